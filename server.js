@@ -12,11 +12,16 @@ const path = require("path");
 // --- 3. Import Our Custom Modules & Routes ---
 const { initializeFirebaseAdmin } = require("./src/config/firebase");
 const {
-  sequelize,
   testPostgresConnection,
   loadModels,
-} = require("./src/config/postgres"); // Import sequelize instance and loader
+  getPendingMigrations,
+} = require("./src/config/postgres"); // Import connection helpers and loader
 const { initializeSocket } = require("./src/realtime/socketHandler");
+const {
+  startRideReconciliationJob,
+} = require("./src/services/rideReconciliation");
+const { startRideSchedulerJob } = require("./src/services/rideScheduler");
+const { getMapProviderName } = require("./src/services/mapProvider");
 const errorHandler = require("./src/utils/errorHandler"); // Global error handler
 const { isAuth } = require("./src/middleware/isAuth"); // Auth middleware
 
@@ -29,6 +34,11 @@ const sosRoutes = require("./src/api/sos/sos.routes");
 const ratingsRoutes = require("./src/api/ratings/ratings.routes");
 const paymentsRoutes = require("./src/api/payments/payments.routes");
 const webhooksRoutes = require("./src/api/webhooks/webhooks.routes");
+const sharesRoutes = require("./src/api/shares/shares.routes");
+const receiptsRoutes = require("./src/api/receipts/receipts.routes");
+const pricingRoutes = require("./src/api/pricing/pricing.routes");
+const poolsRoutes = require("./src/api/pools/pools.routes");
+const reportsRoutes = require("./src/api/reports/reports.routes");
 
 // --- 4. Initialize Express App, HTTP Server, and Socket.IO ---
 const app = express();
@@ -59,6 +69,11 @@ app.use("/api/v1/sos", isAuth, sosRoutes); // Protect SOS routes
 app.use("/api/v1/ratings", isAuth, ratingsRoutes); // Protect ratings routes
 app.use("/api/v1/payments", isAuth, paymentsRoutes); // Protect payment routes
 app.use("/api/v1/webhooks", webhooksRoutes); // Webhooks are usually public but secured differently
+app.use("/api/v1/shares", sharesRoutes); // Public trip view; other share routes check auth themselves
+app.use("/api/v1/receipts", isAuth, receiptsRoutes); // Protect receipts and statements
+app.use("/api/v1/pricing", isAuth, pricingRoutes); // Surge (overrides are admin only)
+app.use("/api/v1/pools", isAuth, poolsRoutes); // Pooled rides (riders only)
+app.use("/api/v1/reports", isAuth, reportsRoutes); // Unsafe-area reports (moderation is admin only)
 
 // Simple health check route
 app.get("/", (req, res) => {
@@ -84,17 +99,31 @@ const startServer = async () => {
   try {
     console.log("[Startup] Initializing...");
 
+    // A bad MAP_PROVIDER would otherwise only fail on the first maps call
+    getMapProviderName();
+
     // STEP 1: Connect to Firebase
     initializeFirebaseAdmin();
     console.log("[Startup] Firebase Admin SDK initialized.");
 
-    // STEP 2: Connect to PostgreSQL & Load/Sync Models
+    // STEP 2: Connect to PostgreSQL, check migrations & Load Models
     await testPostgresConnection();
     console.log("[Startup] Postgres Database connection successful.");
+    // Schema is managed by migrations (npm run db:migrate), never by sync()
+    const pendingMigrations = await getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      const message = `${
+        pendingMigrations.length
+      } pending migration(s): ${pendingMigrations.join(", ")}`;
+      if (process.env.NODE_ENV === "production") {
+        throw new Error(
+          `${message}. Run 'npm run db:migrate' before starting.`
+        );
+      }
+      console.warn(`[Startup] ${message}. Run 'npm run db:migrate'.`);
+    }
     loadModels(); // Load models into sequelize
-    // Sync models - use alter:true carefully in dev, never in prod without backups
-    await sequelize.sync({ alter: process.env.NODE_ENV === "development" });
-    console.log("[Startup] Sequelize models loaded and synced.");
+    console.log("[Startup] Sequelize models loaded.");
 
     // STEP 3: Initialize Socket.IO
     const socketHelpers = initializeSocket(io);
@@ -104,7 +133,23 @@ const startServer = async () => {
     app.set("socketHelpers", socketHelpers);
     app.set("io", io);
 
-    // STEP 5: Start the HTTP server
+    // STEP 5: Periodically repair rides that diverge between Firestore and Postgres
+    const reconcileMinutes = parseInt(
+      process.env.RIDE_RECONCILE_INTERVAL_MINUTES || "15",
+      10
+    );
+    if (reconcileMinutes > 0) {
+      startRideReconciliationJob(reconcileMinutes);
+      console.log(
+        `[Startup] Ride reconciliation job scheduled every ${reconcileMinutes} minutes.`
+      );
+    }
+
+    // STEP 6: Start dispatch for scheduled rides as their pickup time nears
+    startRideSchedulerJob(socketHelpers);
+    console.log("[Startup] Scheduled ride dispatcher started.");
+
+    // STEP 7: Start the HTTP server
     server.listen(PORT, () => {
       console.log(`[Startup] Server Running on http://localhost:${PORT}`);
     });
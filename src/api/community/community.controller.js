@@ -199,7 +199,14 @@ exports.updateSharedJourneyLocation = async (req, res, next) => {
 
     // --- Notify the OTHER rider of location update via Socket.IO ---
     try {
-      const { notifyRider } = req.app.get("socketHelpers");
+      const { notifyRider, publishTripUpdate } = req.app.get("socketHelpers");
+      // Trusted contacts following this rider's trip see the update too
+      if (publishTripUpdate) {
+        publishTripUpdate("journey", journeyId, userId, "location_update", {
+          location,
+          timestamp: new Date().toISOString(),
+        });
+      }
       const otherRiderUid = journeyData.riderIds.find((id) => id !== userId);
       if (otherRiderUid && notifyRider) {
         notifyRider(otherRiderUid, "journey_location_update", {
@@ -283,7 +290,8 @@ exports.endSharedJourney = async (req, res, next) => {
 
     // --- Notify the OTHER rider via Socket.IO ---
     try {
-      const { notifyRider } = req.app.get("socketHelpers");
+      const { notifyRider, endTripSharing } = req.app.get("socketHelpers");
+      if (endTripSharing) endTripSharing("journey", journeyId, status);
       const otherRiderUid = journeyData.riderIds.find((id) => id !== userId);
       if (otherRiderUid && notifyRider) {
         notifyRider(otherRiderUid, "shared_journey_ended", {
@@ -0,0 +1,319 @@
+// src/api/pools/pools.controller.js
+
+const ridePooling = require("../../services/ridePooling");
+const { estimateFare } = require("../../services/pricingService");
+const { getSurge } = require("../../services/surgeService");
+const { getMatchingPreferences } = require("../../services/driverMatching");
+const { getDispatchRelations } = require("../../services/userRelations");
+const { RIDE_STATUS } = require("../../services/rideLifecycle");
+const { createRide } = require("../../services/rideRepository");
+const { DISPATCH_MAX_RADIUS_KM } = require("../../realtime/socketHandler");
+const { toLatLng } = require("../../utils/geo");
+
+/**
+ * @description Verified riders nearby who are heading the same way and could
+ * share a ride (pickups within walking distance, destinations close together).
+ * Only riders currently looking for company show up.
+ * @route GET /api/v1/pools/candidates?pickupLat=..&pickupLng=..&destinationLat=..&destinationLng=..
+ * @access Private (Riders only)
+ */
+exports.getPoolCandidates = async (req, res, next) => {
+  try {
+    const { findNearbyRiders } = req.app.get("socketHelpers");
+    const { pickupLat, pickupLng, destinationLat, destinationLng } = req.query;
+    const nearbyRiders = findNearbyRiders(
+      req.user.uid,
+      { lat: pickupLat, lng: pickupLng },
+      { lat: destinationLat, lng: destinationLng }
+    );
+    const candidates = await ridePooling.findPoolCandidates(nearbyRiders);
+    res.status(200).json({ candidates });
+  } catch (error) {
+    console.error("[Ride Pooling] Error finding pool candidates:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Starts a pool and invites compatible riders. Everyone involved
+ * must be verified; invitees see each other's verification before accepting.
+ * @route POST /api/v1/pools
+ * @access Private (Riders only)
+ */
+exports.createPool = async (req, res, next) => {
+  try {
+    const { findNearbyRiders, notifyRider } = req.app.get("socketHelpers");
+    const { pickupLocation, destinationLocation, inviteeUids } = req.body;
+    const organiserUid = req.user.uid;
+
+    // Invitees must still be looking and heading the same way
+    const nearbyRiders = findNearbyRiders(
+      organiserUid,
+      pickupLocation,
+      destinationLocation
+    );
+    const invitees = inviteeUids.map((uid) =>
+      nearbyRiders.find((rider) => rider.uid === uid)
+    );
+    if (invitees.some((invitee) => !invitee)) {
+      return res.status(409).json({
+        message: "Some riders are no longer available to share this trip.",
+        code: "POOL_RIDER_UNAVAILABLE",
+      });
+    }
+
+    const pool = await ridePooling.createPool({
+      organiserUid,
+      pickup: pickupLocation,
+      destination: destinationLocation,
+      invitees: invitees.map((invitee) => ({
+        uid: invitee.uid,
+        location: toLatLng(invitee.location),
+        destination: toLatLng(invitee.destination),
+      })),
+    });
+    inviteeUids.forEach((uid) =>
+      notifyRider(uid, "pool_invitation", ridePooling.toPoolView(pool, uid))
+    );
+
+    res.status(201).json({
+      message: "Pool created. Waiting for riders to accept.",
+      pool: ridePooling.toPoolView(pool, organiserUid),
+    });
+  } catch (error) {
+    console.error("[Ride Pooling] Error creating pool:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description A pool as its riders see it: each rider's first name,
+ * verification status, rating and answer.
+ * @route GET /api/v1/pools/:poolId
+ * @access Private (Riders in the pool)
+ */
+exports.getPool = async (req, res, next) => {
+  try {
+    const pool = await ridePooling.getPool(req.params.poolId, req.user.uid);
+    res.status(200).json(ridePooling.toPoolView(pool, req.user.uid));
+  } catch (error) {
+    console.error(
+      `[Ride Pooling] Error fetching pool ${req.params.poolId}:`,
+      error
+    );
+    next(error);
+  }
+};
+
+/**
+ * @description Accepts or declines a pool invitation. The other riders are
+ * told, and once everyone has answered the organiser can request the ride.
+ * @route PUT /api/v1/pools/:poolId/respond
+ * @access Private (Invited riders)
+ */
+exports.respondToPool = async (req, res, next) => {
+  try {
+    const { notifyRider } = req.app.get("socketHelpers");
+    const uid = req.user.uid;
+    const pool = await ridePooling.respondToPool(
+      req.params.poolId,
+      uid,
+      req.body.accept
+    );
+    pool.riderIds
+      .filter((riderId) => riderId !== uid)
+      .forEach((riderId) =>
+        notifyRider(
+          riderId,
+          "pool_updated",
+          ridePooling.toPoolView(pool, riderId)
+        )
+      );
+    res.status(200).json({
+      message: req.body.accept
+        ? "You joined the pool."
+        : "Invitation declined.",
+      pool: ridePooling.toPoolView(pool, uid),
+    });
+  } catch (error) {
+    console.error(
+      `[Ride Pooling] Error answering pool ${req.params.poolId}:`,
+      error
+    );
+    next(error);
+  }
+};
+
+/**
+ * @description Calls a pool off before its ride is requested.
+ * @route DELETE /api/v1/pools/:poolId
+ * @access Private (Organiser only)
+ */
+exports.cancelPool = async (req, res, next) => {
+  try {
+    const { notifyRider } = req.app.get("socketHelpers");
+    const pool = await ridePooling.cancelPool(req.params.poolId, req.user.uid);
+    pool.riderIds
+      .filter((riderId) => riderId !== req.user.uid)
+      .forEach((riderId) =>
+        notifyRider(riderId, "pool_cancelled", { poolId: pool.id })
+      );
+    res.status(200).json({ message: "Pool cancelled." });
+  } catch (error) {
+    console.error(
+      `[Ride Pooling] Error cancelling pool ${req.params.poolId}:`,
+      error
+    );
+    next(error);
+  }
+};
+
+/**
+ * @description Requests one ride for everyone who accepted. The route picks
+ * every rider up before dropping anyone off, each pickup and drop-off is a
+ * stop, and each rider's share of the fare follows their distance on board.
+ * Dispatch uses the organiser's matching preferences and skips drivers
+ * blocked by (or blocking) any rider in the pool.
+ * @route POST /api/v1/pools/:poolId/request
+ * @access Private (Organiser only)
+ */
+exports.requestPooledRide = async (req, res, next) => {
+  const { findNearbyDrivers, dispatchRide, notifyRider, countSurgeDemand } =
+    req.app.get("socketHelpers");
+  try {
+    const organiserUid = req.user.uid;
+    const pool = await ridePooling.getPool(req.params.poolId, organiserUid);
+    if (pool.organiserUid !== organiserUid) {
+      return res
+        .status(403)
+        .json({ message: "Only the organiser can request the pooled ride." });
+    }
+    if (
+      ![
+        ridePooling.POOL_STATUS.FORMING,
+        ridePooling.POOL_STATUS.READY,
+      ].includes(pool.status)
+    ) {
+      return res
+        .status(409)
+        .json({ message: `This pool is already ${pool.status}.` });
+    }
+    const members = ridePooling.getRidingMembers(pool); // 409 until settled
+    const riderIds = members.map((m) => m.uid);
+    const plan = await ridePooling.planPooledRoute(members);
+
+    // Nobody in the pool is matched with a driver they blocked, or who blocked them
+    const allRelations = await Promise.all(riderIds.map(getDispatchRelations));
+    const relations = {
+      favouriteDriverIds: allRelations[0].favouriteDriverIds,
+      blockedDriverIds: [
+        ...new Set(allRelations.flatMap((r) => r.blockedDriverIds)),
+      ],
+    };
+    const nearbyDrivers = findNearbyDrivers(
+      plan.pickup,
+      DISPATCH_MAX_RADIUS_KM,
+      relations.blockedDriverIds
+    );
+    if (nearbyDrivers.length === 0) {
+      return res.status(404).json({
+        message: "No available drivers for this pool right now.",
+        code: "NO_DRIVERS",
+      });
+    }
+
+    const surge = await getSurge(plan.pickup, {
+      countDemand: countSurgeDemand,
+    });
+    const estimate = estimateFare({
+      pickup: plan.pickup,
+      distanceMeters: plan.distanceMeters,
+      durationSeconds: plan.durationSeconds,
+      surgeMultiplier: surge.multiplier,
+    });
+    const estimatedSplit = ridePooling.splitFare(
+      estimate.upfrontFare,
+      plan.fareShares,
+      organiserUid
+    );
+    const matchingPreferences = await getMatchingPreferences(
+      organiserUid,
+      plan.pickup
+    );
+
+    // Claim the pool first: a second request for it stops here with a 409
+    await ridePooling.claimPool(pool.id, organiserUid);
+    let rideRef;
+    try {
+      rideRef = await createRide({
+        riderId: organiserUid,
+        driverId: null,
+        status: RIDE_STATUS.PENDING,
+        pickup: plan.pickup,
+        destination: plan.destination,
+        routePolyline: plan.routePolyline,
+        stops: plan.stops,
+        fareQuote: null,
+        surge,
+        matchingPreferences,
+        allowPreferenceFallback: false,
+        pool: {
+          poolId: pool.id,
+          riderIds,
+          fareShares: plan.fareShares,
+          fareSplit: null, // Set from the final fare at completion
+          paidRiderIds: [],
+        },
+        requestedAt: new Date().toISOString(),
+        riderFirebaseUid: organiserUid,
+        driverFirebaseUid: null,
+      });
+    } catch (error) {
+      await ridePooling.releasePool(pool);
+      throw error;
+    }
+    await ridePooling.markPoolRequested(pool.id, rideRef.id);
+    console.log(
+      `[Ride Pooling] Created pooled ride ${rideRef.id} for pool ${pool.id} (${riderIds.length} riders).`
+    );
+
+    const firstDriverUid = await dispatchRide(rideRef.id, {
+      riderId: organiserUid,
+      riderIds,
+      pickup: plan.pickup,
+      destination: plan.destination,
+      matchingPreferences,
+      relations,
+    });
+    riderIds
+      .filter((uid) => uid !== organiserUid)
+      .forEach((uid) =>
+        notifyRider(uid, "pool_ride_requested", {
+          poolId: pool.id,
+          rideId: rideRef.id,
+          estimatedFare: estimatedSplit[uid],
+          currency: estimate.currency,
+        })
+      );
+
+    res.status(200).json({
+      message: firstDriverUid
+        ? "Requesting pooled ride..."
+        : "Pooled ride requested, but no driver could be reached yet.",
+      rideId: rideRef.id,
+      driverUid: firstDriverUid,
+      stops: plan.stops.map(({ passengerPhone, ...stop }) => stop),
+      fareEstimate: {
+        ...estimate,
+        fareShares: plan.fareShares,
+        estimatedSplit,
+      },
+    });
+  } catch (error) {
+    console.error(
+      `[Ride Pooling] Error requesting ride for pool ${req.params.poolId}:`,
+      error
+    );
+    next(error);
+  }
+};
@@ -0,0 +1,82 @@
+// src/api/pools/pools.routes.js
+const express = require("express");
+const router = express.Router();
+const controller = require("./pools.controller");
+const { isRider } = require("../../middleware/isAuth");
+const {
+  validatePoolCandidates,
+  validateCreatePool,
+  validatePoolIdParam,
+  validateRespondToPool,
+  handleValidationErrors,
+} = require("../../middleware/validators");
+
+// --- Protected Routes (isAuth applied in server.js) ---
+
+// @route   GET /api/v1/pools/candidates
+// @desc    Verified riders nearby heading the same way (?pickupLat&pickupLng&destinationLat&destinationLng)
+// @access  Private (Rider only)
+router.get(
+  "/candidates",
+  isRider,
+  validatePoolCandidates,
+  handleValidationErrors,
+  controller.getPoolCandidates
+);
+
+// @route   POST /api/v1/pools
+// @desc    Start a pool and invite compatible riders
+// @access  Private (Rider only)
+router.post(
+  "/",
+  isRider,
+  validateCreatePool,
+  handleValidationErrors,
+  controller.createPool
+);
+
+// @route   GET /api/v1/pools/:poolId
+// @desc    See a pool's riders (first name, verification, rating) and answers
+// @access  Private (Riders in the pool)
+router.get(
+  "/:poolId",
+  isRider,
+  validatePoolIdParam,
+  handleValidationErrors,
+  controller.getPool
+);
+
+// @route   PUT /api/v1/pools/:poolId/respond
+// @desc    Accept or decline a pool invitation ({ accept })
+// @access  Private (Invited riders)
+router.put(
+  "/:poolId/respond",
+  isRider,
+  validateRespondToPool,
+  handleValidationErrors,
+  controller.respondToPool
+);
+
+// @route   POST /api/v1/pools/:poolId/request
+// @desc    Request one shared ride for every rider who accepted
+// @access  Private (Organiser only)
+router.post(
+  "/:poolId/request",
+  isRider,
+  validatePoolIdParam,
+  handleValidationErrors,
+  controller.requestPooledRide
+);
+
+// @route   DELETE /api/v1/pools/:poolId
+// @desc    Cancel a pool before its ride is requested
+// @access  Private (Organiser only)
+router.delete(
+  "/:poolId",
+  isRider,
+  validatePoolIdParam,
+  handleValidationErrors,
+  controller.cancelPool
+);
+
+module.exports = router;
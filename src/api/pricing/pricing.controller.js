@@ -0,0 +1,65 @@
+// src/api/pricing/pricing.controller.js
+
+const {
+  getSurge,
+  setSurgeOverride,
+  clearSurgeOverride,
+} = require("../../services/surgeService");
+
+/**
+ * @description Current surge multiplier at a location, with the reason
+ * ('demand', 'no_surge', 'admin_override', 'recent_sos', 'late_night'...).
+ * @route GET /api/v1/pricing/surge?lat=..&lng=..
+ * @access Private (Any logged-in user)
+ */
+exports.getSurge = async (req, res, next) => {
+  try {
+    const { countSurgeDemand } = req.app.get("socketHelpers");
+    const surge = await getSurge(
+      { lat: req.query.lat, lng: req.query.lng },
+      { countDemand: countSurgeDemand }
+    );
+    res.status(200).json(surge);
+  } catch (error) {
+    console.error("[Surge] Error getting surge:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Overrides surge for one cell (body.location) or everywhere.
+ * Capped at the hard cap; safety rules (late night, recent SOS) still apply.
+ * @route PUT /api/v1/pricing/surge/override
+ * @access Private (Admin only)
+ */
+exports.setSurgeOverride = async (req, res, next) => {
+  try {
+    const { location, multiplier, expiresInMinutes, reason } = req.body;
+    const override = await setSurgeOverride({
+      location,
+      multiplier,
+      expiresInMinutes,
+      reason,
+      setBy: req.user.uid,
+    });
+    res.status(200).json({ message: "Surge override saved.", override });
+  } catch (error) {
+    console.error("[Surge] Error setting surge override:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Removes a surge override for one cell (body.location) or the global one.
+ * @route DELETE /api/v1/pricing/surge/override
+ * @access Private (Admin only)
+ */
+exports.clearSurgeOverride = async (req, res, next) => {
+  try {
+    const id = await clearSurgeOverride(req.body.location);
+    res.status(200).json({ message: "Surge override removed.", id });
+  } catch (error) {
+    console.error("[Surge] Error clearing surge override:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,47 @@
+// src/api/pricing/pricing.routes.js
+const express = require("express");
+const router = express.Router();
+const controller = require("./pricing.controller");
+const { isAdmin } = require("../../middleware/isAuth");
+const {
+  validateGetSurge,
+  validateSurgeOverride,
+  validateClearSurgeOverride,
+  handleValidationErrors,
+} = require("../../middleware/validators");
+
+// --- Protected Routes (isAuth applied in server.js) ---
+
+// @route   GET /api/v1/pricing/surge
+// @desc    Current surge multiplier at a location (?lat=..&lng=..)
+// @access  Private (Any logged-in user)
+router.get(
+  "/surge",
+  validateGetSurge,
+  handleValidationErrors,
+  controller.getSurge
+);
+
+// @route   PUT /api/v1/pricing/surge/override
+// @desc    Override surge for a cell or globally (capped; safety rules still apply)
+// @access  Private (Admin only)
+router.put(
+  "/surge/override",
+  isAdmin,
+  validateSurgeOverride,
+  handleValidationErrors,
+  controller.setSurgeOverride
+);
+
+// @route   DELETE /api/v1/pricing/surge/override
+// @desc    Remove a surge override for a cell or the global one
+// @access  Private (Admin only)
+router.delete(
+  "/surge/override",
+  isAdmin,
+  validateClearSurgeOverride,
+  handleValidationErrors,
+  controller.clearSurgeOverride
+);
+
+module.exports = router;
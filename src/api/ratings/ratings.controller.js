@@ -5,6 +5,8 @@ const { sequelize } = require("../../config/postgres"); // Sequelize instance fo
 // Assuming models are loaded and attached in postgres.js or server.js
 const { models } = require("../../config/postgres");
 const { validationResult } = require("express-validator"); // To check validation results
+const { RIDE_STATUS } = require("../../services/rideLifecycle");
+const { updateRide } = require("../../services/rideRepository");
 
 /**
  * @description Submits a rating for a specific ride, updating both the ride record
@@ -41,7 +43,7 @@ exports.submitRideRating = async (req, res, next) => {
 
     // --- 2. Validation Checks ---
     // a) Check if ride is completed
-    if (rideData.status !== "completed") {
+    if (rideData.status !== RIDE_STATUS.COMPLETED) {
       // await transaction.rollback(); // Uncomment if using transaction
       return res
         .status(400)
@@ -52,7 +54,6 @@ exports.submitRideRating = async (req, res, next) => {
     let targetUid; // Firebase UID of the user being rated
     let targetUserId; // Postgres ID of the user being rated (if needed)
     let updateFieldFirestore; // Field in Firestore Ride doc (e.g., 'driverRatingByRider')
-    let updateFieldPostgres; // Field in Postgres Ride table (e.g., 'driverRatingByRider')
     let targetType; // 'rider' or 'driver'
 
     if (submitterType === "rider" && rideData.riderId === submitterUid) {
@@ -67,7 +68,6 @@ exports.submitRideRating = async (req, res, next) => {
       }
       targetUid = rideData.driverId;
       updateFieldFirestore = "driverRatingByRider";
-      updateFieldPostgres = "driverRatingByRider";
       targetType = "driver";
     } else if (
       submitterType === "driver" &&
@@ -84,7 +84,6 @@ exports.submitRideRating = async (req, res, next) => {
       }
       targetUid = rideData.riderId;
       updateFieldFirestore = "riderRatingByDriver";
-      updateFieldPostgres = "riderRatingByDriver";
       targetType = "rider";
     } else {
       // await transaction.rollback();
@@ -108,17 +107,7 @@ exports.submitRideRating = async (req, res, next) => {
       [`${updateFieldFirestore}Comment`]: comment || null, // Add comment field
       updatedAt: new Date().toISOString(), // Keep track of updates
     };
-    await rideRef.update(rideUpdateData);
-
-    // --- TODO: Update corresponding Ride record in Postgres using Sequelize ---
-    // Find the Postgres Ride ID (maybe stored in Firestore or queried by firestoreId)
-    // Example:
-    // const pgRide = await models.Ride.findOne({ where: { firestoreRideId: rideId } }); // Assuming you store firestore ID
-    // if (pgRide) {
-    //     await pgRide.update({ [updateFieldPostgres]: rating }, { transaction });
-    // } else {
-    //     console.warn(`[Ratings] Postgres Ride record not found for Firestore ID: ${rideId}`);
-    // }
+    await updateRide(rideRef, rideUpdateData); // Also mirrors the rating to Postgres
 
     // --- 4. Update Target User's Average Rating (in Firestore) ---
     const targetUserRef = db.collection("users").doc(targetUid);
@@ -0,0 +1,76 @@
+// src/api/receipts/receipts.controller.js
+
+const {
+  getRideReceipt,
+  buildMonthlyStatement,
+  renderReceiptHtml,
+  renderStatementHtml,
+} = require("../../services/receiptService");
+
+/** Sends an HTML document as a download. */
+function sendHtmlDownload(res, filename, html) {
+  res
+    .status(200)
+    .set("Content-Type", "text/html; charset=utf-8")
+    .set("Content-Disposition", `attachment; filename="${filename}"`)
+    .send(html);
+}
+
+/**
+ * @description Receipt for a paid ride: fare breakdown, tax, driver and
+ * vehicle, route map. `?format=html` downloads it as an HTML document.
+ * @route GET /api/v1/receipts/rides/:rideId
+ * @access Private (Rider or Driver of the ride)
+ */
+exports.getRideReceipt = async (req, res, next) => {
+  try {
+    const receipt = await getRideReceipt(req.params.rideId, req.user.uid);
+    if (req.query.format === "html") {
+      return sendHtmlDownload(
+        res,
+        `receipt-${receipt.receiptNumber}.html`,
+        renderReceiptHtml(receipt)
+      );
+    }
+    res.status(200).json(receipt);
+  } catch (error) {
+    console.error(
+      `[Receipts] Error building receipt for ride ${req.params.rideId}:`,
+      error
+    );
+    next(error);
+  }
+};
+
+/**
+ * @description Monthly statement: paid rides for riders, earnings after the
+ * platform fee for drivers. `?format=html` downloads it as an HTML document.
+ * @route GET /api/v1/receipts/statements/:month
+ * @access Private (Rider or Driver)
+ */
+exports.getMonthlyStatement = async (req, res, next) => {
+  try {
+    const role = req.user.type === "driver" ? "driver" : "rider";
+    const statement = await buildMonthlyStatement({
+      uid: req.user.uid,
+      role,
+      month: req.params.month,
+    });
+    if (req.query.format === "html") {
+      return sendHtmlDownload(
+        res,
+        `${role === "driver" ? "earnings" : "statement"}-${
+          req.params.month
+        }.html`,
+        renderStatementHtml(statement)
+      );
+    }
+    res.status(200).json(statement);
+  } catch (error) {
+    console.error(
+      `[Receipts] Error building statement for ${req.params.month}:`,
+      error
+    );
+    next(error);
+  }
+};
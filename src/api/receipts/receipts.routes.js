@@ -0,0 +1,33 @@
+// src/api/receipts/receipts.routes.js
+const express = require("express");
+const router = express.Router();
+const controller = require("./receipts.controller");
+const {
+  validateRideReceipt,
+  validateMonthlyStatement,
+  handleValidationErrors,
+} = require("../../middleware/validators");
+
+// --- Protected Routes (isAuth applied in server.js) ---
+
+// @route   GET /api/v1/receipts/rides/:rideId
+// @desc    Receipt for a paid ride (?format=json|html)
+// @access  Private (Rider, pool rider or Driver of the ride)
+router.get(
+  "/rides/:rideId",
+  validateRideReceipt,
+  handleValidationErrors,
+  controller.getRideReceipt
+);
+
+// @route   GET /api/v1/receipts/statements/:month
+// @desc    Monthly statement (YYYY-MM): rider spending or driver earnings (?format=json|html)
+// @access  Private (Rider or Driver)
+router.get(
+  "/statements/:month",
+  validateMonthlyStatement,
+  handleValidationErrors,
+  controller.getMonthlyStatement
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// src/api/reports/reports.controller.js
+
+const safetyReports = require("../../services/safetyReports");
+
+/**
+ * @description Reports an unsafe place (poor lighting, harassment...). Reports
+ * are reviewed by moderators; once verified they lower the safety score of
+ * routes passing nearby, less and less as they age.
+ * @route POST /api/v1/reports
+ * @access Private (Riders only)
+ */
+exports.createReport = async (req, res, next) => {
+  try {
+    const { location, category, occurredAt, description } = req.body;
+    const report = await safetyReports.createSafetyReport({
+      reporterUid: req.user.uid,
+      location,
+      category,
+      occurredAt,
+      description,
+    });
+    res.status(201).json({
+      message: "Thanks for reporting. A moderator will review it shortly.",
+      report,
+    });
+  } catch (error) {
+    console.error("[Safety Reports] Error creating report:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description The current user's reports and their moderation status.
+ * @route GET /api/v1/reports/mine
+ * @access Private (Riders only)
+ */
+exports.getMyReports = async (req, res, next) => {
+  try {
+    const reports = await safetyReports.listMyReports(req.user.uid);
+    res.status(200).json({ reports });
+  } catch (error) {
+    console.error("[Safety Reports] Error listing user's reports:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Reports by moderation status; pending ones by default (the
+ * moderation queue).
+ * @route GET /api/v1/reports?status=pending
+ * @access Private (Admin only)
+ */
+exports.getReportsForModeration = async (req, res, next) => {
+  try {
+    const status = req.query.status || safetyReports.MODERATION_STATUS.PENDING;
+    const reports = await safetyReports.listReportsByStatus(status);
+    res.status(200).json({ status, reports });
+  } catch (error) {
+    console.error("[Safety Reports] Error listing reports:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Verifies or rejects a report. The reporter is told the outcome.
+ * @route PUT /api/v1/reports/:reportId/moderation
+ * @access Private (Admin only)
+ */
+exports.moderateReport = async (req, res, next) => {
+  try {
+    const { notifyRider } = req.app.get("socketHelpers");
+    const { status, note } = req.body;
+    const report = await safetyReports.moderateReport(req.params.reportId, {
+      status,
+      moderatorUid: req.user.uid,
+      note,
+    });
+    notifyRider(report.reporterUid, "safety_report_moderated", {
+      reportId: report.reportId,
+      moderationStatus: report.moderationStatus,
+    });
+    res.status(200).json({ message: `Report ${status}.`, report });
+  } catch (error) {
+    console.error(
+      `[Safety Reports] Error moderating report ${req.params.reportId}:`,
+      error
+    );
+    next(error);
+  }
+};
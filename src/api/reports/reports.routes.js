@@ -0,0 +1,53 @@
+// src/api/reports/reports.routes.js
+const express = require("express");
+const router = express.Router();
+const controller = require("./reports.controller");
+const { isRider, isAdmin } = require("../../middleware/isAuth");
+const {
+  validateCreateSafetyReport,
+  validateListSafetyReports,
+  validateModerateSafetyReport,
+  handleValidationErrors,
+} = require("../../middleware/validators");
+
+// --- Protected Routes (isAuth applied in server.js) ---
+
+// @route   POST /api/v1/reports
+// @desc    Report an unsafe place (category, location, time, optional description)
+// @access  Private (Rider only)
+router.post(
+  "/",
+  isRider,
+  validateCreateSafetyReport,
+  handleValidationErrors,
+  controller.createReport
+);
+
+// @route   GET /api/v1/reports/mine
+// @desc    The rider's reports and their moderation status
+// @access  Private (Rider only)
+router.get("/mine", isRider, controller.getMyReports);
+
+// @route   GET /api/v1/reports
+// @desc    Reports awaiting moderation (or ?status=verified|rejected)
+// @access  Private (Admin only)
+router.get(
+  "/",
+  isAdmin,
+  validateListSafetyReports,
+  handleValidationErrors,
+  controller.getReportsForModeration
+);
+
+// @route   PUT /api/v1/reports/:reportId/moderation
+// @desc    Verify or reject a report
+// @access  Private (Admin only)
+router.put(
+  "/:reportId/moderation",
+  isAdmin,
+  validateModerateSafetyReport,
+  handleValidationErrors,
+  controller.moderateReport
+);
+
+module.exports = router;
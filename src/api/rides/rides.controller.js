@@ -3,32 +3,123 @@
 const {
   getAlternativeRoutes,
   findPOIsAlongRoute,
-} = require("../../services/googleMaps");
+  findPOIsNearLocation,
+} = require("../../services/mapProvider");
+const {
+  calculateFare,
+  estimateFare,
+  applyUpfrontPrice,
+  removeQuotedSurge,
+} = require("../../services/pricingService");
+const {
+  createFareQuote,
+  validateFareQuote,
+  claimFareQuote,
+  releaseFareQuote,
+} = require("../../services/fareQuoteService");
+const {
+  getSurge,
+  enforceSurgeSafetyRules,
+} = require("../../services/surgeService");
+const { estimateEtaMinutes, decodePolyline } = require("../../utils/geo");
+const {
+  RIDE_STATUS,
+  InvalidRideTransitionError,
+} = require("../../services/rideLifecycle");
+const {
+  createRide,
+  transitionRide,
+  updateRide,
+} = require("../../services/rideRepository"); // Writes to Firestore + Postgres
+const {
+  calculateCancellationFee,
+  isSafetyReason,
+} = require("../../services/cancellationPolicy");
+const { verifyRidePin } = require("../../services/ridePinService");
+const {
+  buildRideStops,
+  nextStopIndex,
+  sendStopReachedConfirmation,
+} = require("../../services/rideStops");
+const {
+  validateScheduledPickupTime,
+} = require("../../services/rideScheduler");
+const { listRideHistory } = require("../../services/rideHistory");
+const {
+  getMatchingPreferences,
+  hasPreferences,
+  partitionByPreferences,
+} = require("../../services/driverMatching");
+const {
+  BLOCK_SOURCES,
+  blockUser,
+  getDispatchRelations,
+} = require("../../services/userRelations");
+const {
+  splitFare,
+  isPoolRider,
+  getRideRiderIds,
+  leavePooledRide,
+} = require("../../services/ridePooling");
+const {
+  loadVerifiedReportsNear,
+  scoreReportsAlongPath,
+} = require("../../services/safetyReports");
+const {
+  SAFETY_POI_TYPES,
+  CROWD_POI_TYPES,
+  ROUTE_POI_RADIUS_METERS,
+  scoreRoute,
+  scoreLocationSafety,
+} = require("../../services/routeSafetyScore");
+const {
+  stripeInstance: stripe,
+  getOrCreateStripeCustomer,
+  calculateApplicationFee,
+} = require("../../services/stripeService");
+const { DISPATCH_MAX_RADIUS_KM } = require("../../realtime/socketHandler");
 const { validationResult } = require("express-validator"); // For input validation
 const firebaseConfig = require("../../config/firebase"); // Need this for db and messaging
 // Assuming models are loaded and attached in postgres.js or server.js
 const { models } = require("../../config/postgres");
 const { Op } = require("sequelize"); // For Sequelize operators if needed
 
-// --- Define Scoring Weights FIRST ---
-const WEIGHTS = {
-  SAFETY: { police: 10, hospital: 5, atm: 1, pharmacy: 2 },
-  CROWDEDNESS: {
-    transit_station: 8,
-    shopping_mall: 6,
-    market: 6,
-    tourist_attraction: 4,
-    restaurant: 5,
-    cafe: 4,
-    bar: 3,
-    movie_theater: 4,
-  },
-};
-const SAFETY_POI_TYPES = Object.keys(WEIGHTS.SAFETY);
-const CROWD_POI_TYPES = Object.keys(WEIGHTS.CROWDEDNESS);
+/** Totals distance and duration over every leg of a route (stops + 1). */
+function summarizeLegs(legs) {
+  const total = (field) =>
+    legs.reduce((sum, leg) => sum + (leg[field]?.value || 0), 0);
+  const seconds = total("duration");
+  const meters = total("distance");
+  if (legs.length === 1) {
+    return {
+      duration: legs[0].duration?.text || "N/A",
+      distance: legs[0].distance?.text || "N/A",
+      durationSeconds: seconds,
+      distanceMeters: meters,
+    };
+  }
+  const minutes = Math.round(seconds / 60);
+  return {
+    duration:
+      minutes >= 60
+        ? `${Math.floor(minutes / 60)} hours ${minutes % 60} mins`
+        : `${minutes} mins`,
+    distance: `${(meters / 1000).toFixed(1)} km`,
+    durationSeconds: seconds,
+    distanceMeters: meters,
+  };
+}
 
 /**
  * @description Calculates safest route alternatives based on POI density and time.
+ * Verified unsafe-area reports near a route lower its safety score, and the
+ * reports that did are listed with it. Each route also explains its score in
+ * `scoreBreakdown`: what each POI type contributed, opening-hours adjustments,
+ * its weakest stretches and the POIs that counted most.
+ * Optional `stops` are routed as waypoints, and each stop gets its own safety
+ * score since someone may be getting out there. Each route also carries a fare
+ * estimate with an upfront-price quote ID (accepted by /request) and the ETA
+ * of the nearest available driver.
  */
 exports.getSafestRoutes = async (req, res, next) => {
   // --- Input Validation ---
@@ -39,14 +130,28 @@ exports.getSafestRoutes = async (req, res, next) => {
 
   try {
     const { origin, destination, time } = req.body;
-
-    const googleRoutes = await getAlternativeRoutes(origin, destination);
+    const stops = req.body.stops || [];
+    const { findNearbyDrivers, countSurgeDemand } =
+      req.app.get("socketHelpers");
+
+    const googleRoutes = await getAlternativeRoutes(
+      origin,
+      destination,
+      stops.map((stop) => stop.location)
+    );
     if (!googleRoutes || googleRoutes.length === 0) {
       return res
         .status(404)
         .json({ message: "No routes found between the specified locations." });
     }
 
+    // Verified unsafe-area reports, loaded once for every alternative
+    const unsafeAreaReports = await loadVerifiedReportsNear(
+      googleRoutes.map((route) =>
+        decodePolyline(route.overview_polyline?.points)
+      )
+    );
+
     const scoringPromises = googleRoutes.map(async (route, index) => {
       if (
         !route.legs ||
@@ -59,66 +164,98 @@ exports.getSafestRoutes = async (req, res, next) => {
         );
         return null;
       }
-      const searchRadiusMeters = 750;
-      const safetyPOIs = await findPOIsAlongRoute(
+      const safetySearch = await findPOIsAlongRoute(
         route,
         SAFETY_POI_TYPES,
-        searchRadiusMeters
+        ROUTE_POI_RADIUS_METERS
       );
-      const crowdPOIs = await findPOIsAlongRoute(
+      const crowdSearch = await findPOIsAlongRoute(
         route,
         CROWD_POI_TYPES,
-        searchRadiusMeters
+        ROUTE_POI_RADIUS_METERS
       );
-
-      let safetyScore = 0;
-      let crowdScore = 0;
-      const currentHour = time
-        ? parseInt(time.split(":")[0], 10)
-        : new Date().getHours();
-
-      safetyPOIs.forEach((poi) => {
-        const type = poi.types?.find((t) => WEIGHTS.SAFETY[t]);
-        if (type) safetyScore += WEIGHTS.SAFETY[type];
-      });
-
-      crowdPOIs.forEach((poi) => {
-        const type = poi.types?.find((t) => WEIGHTS.CROWDEDNESS[t]);
-        if (type) {
-          let weight = WEIGHTS.CROWDEDNESS[type];
-          if (type === "restaurant" && (currentHour < 18 || currentHour > 23))
-            weight *= 0.2;
-          if (type === "cafe" && (currentHour < 8 || currentHour > 18))
-            weight *= 0.3;
-          if (type === "bar" && (currentHour < 19 || currentHour > 2))
-            weight = 0;
-          if (
-            type === "shopping_mall" &&
-            (currentHour < 10 || currentHour > 21)
-          )
-            weight *= 0.1;
-          if (type === "market" && (currentHour < 9 || currentHour > 19))
-            weight *= 0.1;
-          crowdScore += weight;
-        }
+      const path = decodePolyline(route.overview_polyline.points);
+      const reportImpact = scoreReportsAlongPath(unsafeAreaReports, path);
+      const { safetyScore, crowdScore, totalScore, breakdown } = scoreRoute({
+        path,
+        safetyPOIs: safetySearch.places,
+        crowdPOIs: crowdSearch.places,
+        reportImpact,
+        hour: time ? parseInt(time.split(":")[0], 10) : new Date().getHours(),
       });
 
       return {
         summary: route.summary || `Route ${index + 1}`,
-        duration: route.legs[0].duration?.text || "N/A",
-        distance: route.legs[0].distance?.text || "N/A",
-        safetyScore: Math.round(safetyScore),
-        crowdScore: Math.round(crowdScore),
-        totalScore: Math.round(safetyScore + crowdScore),
+        ...summarizeLegs(route.legs),
+        safetyScore,
+        crowdScore,
+        totalScore,
+        reportPenalty: Math.round(reportImpact.penalty),
+        safetyReports: reportImpact.reports,
+        // Why the route scored as it did, for the client to show on the map
+        scoreBreakdown: breakdown,
         isDefaultRoute: index === 0,
         polyline: route.overview_polyline.points,
+        // False if the POI lookup budget ran out mid-search, or busy areas
+        // may have more POIs than the map provider returned
+        poiDataComplete: safetySearch.complete && crowdSearch.complete,
+      };
+    });
+
+    // Stops are the same on every alternative, so score them once
+    const stopScoringPromises = stops.map(async (stop, index) => {
+      const { places: nearbyPOIs, complete } = await findPOIsNearLocation(
+        stop.location,
+        SAFETY_POI_TYPES
+      );
+      return {
+        stopIndex: index,
+        label: stop.label || null,
+        safetyScore: scoreLocationSafety(nearbyPOIs),
+        poiDataComplete: complete,
       };
     });
 
     let scoredRoutes = await Promise.all(scoringPromises);
+    const stopScores = await Promise.all(stopScoringPromises);
     scoredRoutes = scoredRoutes.filter((route) => route !== null);
     scoredRoutes.sort((a, b) => b.totalScore - a.totalScore);
     if (scoredRoutes.length > 0) scoredRoutes[0].isRecommended = true;
+    if (stops.length > 0) {
+      scoredRoutes.forEach((route) => (route.stopScores = stopScores));
+    }
+
+    // --- Driver ETA & Fare Estimates ---
+    const nearestDriver = findNearbyDrivers
+      ? findNearbyDrivers(origin, DISPATCH_MAX_RADIUS_KM)[0]
+      : null;
+    const driverEtaMinutes = nearestDriver
+      ? estimateEtaMinutes(nearestDriver.location, origin)
+      : null; // No driver available nearby right now
+    const surge = await getSurge(origin, { countDemand: countSurgeDemand });
+    await Promise.all(
+      scoredRoutes.map(async (route) => {
+        const estimate = estimateFare({
+          pickup: origin,
+          distanceMeters: route.distanceMeters,
+          durationSeconds: route.durationSeconds,
+          surgeMultiplier: surge.multiplier,
+        });
+        const quote = await createFareQuote({
+          riderUid: req.user.uid,
+          pickup: origin,
+          destination,
+          estimate,
+          surge,
+        });
+        route.driverEtaMinutes = driverEtaMinutes;
+        route.fareEstimate = {
+          ...estimate,
+          surgeReason: surge.reason,
+          ...quote,
+        };
+      })
+    );
 
     res.status(200).json(scoredRoutes);
   } catch (error) {
@@ -129,10 +266,17 @@ exports.getSafestRoutes = async (req, res, next) => {
 
 /**
  * @description Initiates a ride request after the rider selects a route.
+ * Dispatch honours the rider's matching preferences (see PUT
+ * /users/me/matching-preferences); with `allowPreferenceFallback: true` it may
+ * fall back to any driver when nobody matching them is available.
  */
 exports.requestRide = async (req, res, next) => {
-  const { findNearbyDrivers, sendRideRequestToDriver, findNearbyRiders } =
-    req.app.get("socketHelpers");
+  const {
+    findNearbyDrivers,
+    dispatchRide,
+    findNearbyRiders,
+    countSurgeDemand,
+  } = req.app.get("socketHelpers");
   const { db } = firebaseConfig;
   const errors = validationResult(req);
   if (!errors.isEmpty())
@@ -141,8 +285,39 @@ exports.requestRide = async (req, res, next) => {
   try {
     const { pickupLocation, destinationLocation, routePolyline } = req.body;
     const riderId = req.user.uid;
-
-    const nearbyDrivers = findNearbyDrivers(pickupLocation, 10);
+    const stops = buildRideStops(req.body.stops);
+    // Upfront price from /get-routes, if accepted (404/409/410 if unusable)
+    const quote = req.body.quoteId
+      ? await validateFareQuote(req.body.quoteId, {
+          riderUid: riderId,
+          pickup: pickupLocation,
+          destination: destinationLocation,
+        })
+      : null;
+    // Surge is locked in at request time (the quoted one, if any), but a
+    // quoted surge must still pass the safety rules: an SOS nearby or late
+    // night since the quote takes it off, and the price with it
+    const surge = quote?.surge
+      ? await enforceSurgeSafetyRules(quote.surge, pickupLocation)
+      : await getSurge(pickupLocation, { countDemand: countSurgeDemand });
+    const fareQuote =
+      quote?.surge && surge !== quote.surge
+        ? removeQuotedSurge(quote, pickupLocation, surge)
+        : quote;
+
+    const matchingPreferences = await getMatchingPreferences(
+      riderId,
+      pickupLocation
+    );
+    const allowPreferenceFallback = req.body.allowPreferenceFallback === true;
+    // Favourites go first; blocked drivers (either way) are never matched
+    const relations = await getDispatchRelations(riderId);
+
+    const nearbyDrivers = findNearbyDrivers(
+      pickupLocation,
+      DISPATCH_MAX_RADIUS_KM,
+      relations.blockedDriverIds
+    );
 
     if (!nearbyDrivers || nearbyDrivers.length === 0) {
       console.log(
@@ -175,70 +350,221 @@ exports.requestRide = async (req, res, next) => {
         });
     }
 
-    const closestDriver = nearbyDrivers[0];
+    if (hasPreferences(matchingPreferences) && !allowPreferenceFallback) {
+      const { matching, unmetCounts } = partitionByPreferences(
+        nearbyDrivers,
+        matchingPreferences
+      );
+      if (matching.length === 0) {
+        console.log(
+          `[Ride Request] ${nearbyDrivers.length} driver(s) near rider ${riderId}, none matching their preferences.`
+        );
+        return res.status(404).json({
+          message:
+            "No available drivers match your preferences. Request again with allowPreferenceFallback to accept any driver.",
+          code: "NO_MATCHING_DRIVERS",
+          driversNearby: nearbyDrivers.length,
+          unmetPreferences: unmetCounts,
+        });
+      }
+    }
+
     console.log(
-      `[Ride Request] Closest driver found for rider ${riderId}: ${
-        closestDriver.uid
-      } (${closestDriver.distance.toFixed(1)}km away)`
+      `[Ride Request] ${nearbyDrivers.length} driver(s) within ${DISPATCH_MAX_RADIUS_KM}km of rider ${riderId}. Starting dispatch.`
     );
 
     const rideData = {
       riderId: riderId,
       driverId: null,
-      status: "pending",
+      status: RIDE_STATUS.PENDING,
       pickup: pickupLocation,
       destination: destinationLocation,
       routePolyline: routePolyline,
+      stops,
+      fareQuote,
+      surge,
+      matchingPreferences,
+      allowPreferenceFallback,
       requestedAt: new Date().toISOString(),
       riderFirebaseUid: riderId,
       driverFirebaseUid: null,
     };
-    const rideRef = await db.collection("rides").add(rideData);
+    // 410 if another request used the quote in the meantime
+    const rideRef = await createQuotedRide(rideData);
     console.log(
-      `[Ride Request] Created pending ride document ${rideRef.id} in Firestore.`
+      `[Ride Request] Created pending ride ${rideRef.id} in Firestore and Postgres.`
     );
 
-    // TODO: Create corresponding Ride record in Postgres?
-
-    const rideDetailsForDriver = {
-      rideId: rideRef.id,
+    // Offer the ride to the closest driver; the dispatcher moves on to the next
+    // driver on timeout, rejection or disconnect until someone accepts.
+    const firstDriverUid = await dispatchRide(rideRef.id, {
+      riderId,
       pickup: pickupLocation,
       destination: destinationLocation,
-    };
-    const success = sendRideRequestToDriver(
-      closestDriver.uid,
-      rideDetailsForDriver
-    );
+      matchingPreferences,
+      allowPreferenceFallback,
+      relations,
+    });
 
-    if (!success) {
+    if (!firstDriverUid) {
       console.warn(
-        `[Ride Request] Driver ${closestDriver.uid} found but could not be contacted.`
+        `[Ride Request] Drivers were found for ride ${rideRef.id} but none could be contacted.`
       );
-      await rideRef.update({
-        status: "cancelled_system",
-        cancellationReason: "Driver unavailable",
+      return res.status(503).json({
+        message: "Drivers found but none are reachable. Please try again.",
+        code: "NO_DRIVERS",
+        rideId: rideRef.id,
       });
-      // TODO: Implement logic to try the next driver
-      return res
-        .status(503)
-        .json({
-          message: "Driver found but became unavailable. Please try again.",
-        });
     }
 
-    res
-      .status(200)
-      .json({
-        message: `Requesting ride...`,
-        rideId: rideRef.id,
-        driverUid: closestDriver.uid,
-      });
+    res.status(200).json({
+      message: `Requesting ride...`,
+      rideId: rideRef.id,
+      driverUid: firstDriverUid,
+    });
   } catch (error) {
     console.error("[Ride Request] Error:", error);
     next(error);
   }
 };
 
+/**
+ * @description Books a ride for a later pickup time. Dispatch starts
+ * automatically shortly before pickup (see services/rideScheduler.js).
+ */
+exports.scheduleRide = async (req, res, next) => {
+  try {
+    const {
+      pickupLocation,
+      destinationLocation,
+      routePolyline,
+      scheduledPickupAt,
+    } = req.body;
+    const riderId = req.user.uid;
+
+    const pickupAt = new Date(scheduledPickupAt);
+    const invalidReason = validateScheduledPickupTime(pickupAt);
+    if (invalidReason) {
+      return res.status(400).json({ message: invalidReason });
+    }
+    const quote = req.body.quoteId
+      ? await validateFareQuote(req.body.quoteId, {
+          riderUid: riderId,
+          pickup: pickupLocation,
+          destination: destinationLocation,
+        })
+      : null;
+    // Quoted surge never applies to a pickup late at night (checked again,
+    // with any SOS nearby, when dispatch starts)
+    const surge = quote?.surge
+      ? await enforceSurgeSafetyRules(quote.surge, pickupLocation, pickupAt)
+      : null;
+    const fareQuote =
+      quote?.surge && surge !== quote.surge
+        ? removeQuotedSurge(quote, pickupLocation, surge)
+        : quote;
+    // Preferences as they were when booking apply at dispatch time
+    const matchingPreferences = await getMatchingPreferences(
+      riderId,
+      pickupLocation
+    );
+
+    const now = new Date().toISOString();
+    const rideData = {
+      riderId: riderId,
+      driverId: null,
+      status: RIDE_STATUS.SCHEDULED,
+      pickup: pickupLocation,
+      destination: destinationLocation,
+      routePolyline: routePolyline,
+      stops: buildRideStops(req.body.stops),
+      fareQuote,
+      // Demand at pickup is unknown when booking, so only quoted surge applies
+      surge,
+      matchingPreferences,
+      allowPreferenceFallback: req.body.allowPreferenceFallback === true,
+      scheduledPickupAt: pickupAt.toISOString(),
+      bookedAt: now,
+      requestedAt: now, // Overwritten when dispatch starts
+      riderFirebaseUid: riderId,
+      driverFirebaseUid: null,
+    };
+    // 410 if another request used the quote in the meantime
+    const rideRef = await createQuotedRide(rideData);
+    console.log(
+      `[Ride Request] Rider ${riderId} scheduled ride ${rideRef.id} for ${rideData.scheduledPickupAt}.`
+    );
+
+    res.status(201).json({
+      message: "Ride scheduled successfully.",
+      rideId: rideRef.id,
+      scheduledPickupAt: rideData.scheduledPickupAt,
+    });
+  } catch (error) {
+    console.error("[Ride Request] Error scheduling ride:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Lists the rider's upcoming scheduled rides, soonest first.
+ * Cancel one with PUT /rides/:rideId/cancel (always free before dispatch).
+ */
+exports.getScheduledRides = async (req, res, next) => {
+  const { db } = firebaseConfig;
+  try {
+    const snapshot = await db
+      .collection("rides")
+      .where("riderId", "==", req.user.uid)
+      .where("status", "==", RIDE_STATUS.SCHEDULED)
+      .orderBy("scheduledPickupAt", "asc")
+      .get();
+    const rides = snapshot.docs.map((doc) => ({
+      id: doc.id,
+      pickup: doc.data().pickup,
+      destination: doc.data().destination,
+      stops: doc.data().stops || [],
+      scheduledPickupAt: doc.data().scheduledPickupAt,
+      bookedAt: doc.data().bookedAt,
+    }));
+    res.status(200).json({ rides });
+  } catch (error) {
+    console.error("[Ride Request] Error listing scheduled rides:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Lists the user's past and current rides, newest first, as rider
+ * or driver depending on their account type. Served from Postgres.
+ * Query: status (comma-separated), paymentStatus, from, to, page, limit.
+ */
+exports.getRideHistory = async (req, res, next) => {
+  try {
+    const { status, paymentStatus, from, to, page, limit } = req.query;
+    const toDate = to ? new Date(to) : undefined;
+    // A date without a time covers that whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const history = await listRideHistory({
+      uid: req.user.uid,
+      role: req.user.type === "driver" ? "driver" : "rider",
+      statuses: status,
+      paymentStatus,
+      from: from ? new Date(from) : undefined,
+      to: toDate,
+      page,
+      limit,
+    });
+    res.status(200).json(history);
+  } catch (error) {
+    console.error("[Ride History] Error listing rides:", error);
+    next(error);
+  }
+};
+
 // --- NEW: Ride Lifecycle Functions ---
 
 /**
@@ -260,8 +586,14 @@ exports.getRideDetails = async (req, res, next) => {
 
     const rideData = rideDoc.data();
 
-    // Authorization check: User must be the rider or the driver
-    if (rideData.riderId !== userId && rideData.driverId !== userId) {
+    // Authorization check: User must be the rider, the driver or a pool rider
+    const poolRider =
+      rideData.riderId !== userId && isPoolRider(rideData, userId);
+    if (
+      rideData.riderId !== userId &&
+      rideData.driverId !== userId &&
+      !poolRider
+    ) {
       return res
         .status(403)
         .json({
@@ -269,7 +601,18 @@ exports.getRideDetails = async (req, res, next) => {
         });
     }
 
-    res.status(200).json({ id: rideDoc.id, ...rideData });
+    // The PIN is the rider's to read out; never show it to the driver
+    const { ridePin, ...visibleRideData } = rideData;
+    const rideForUser =
+      rideData.riderId === userId ? { ...rideData } : visibleRideData;
+    if (rideData.pool && rideData.driverId !== userId) {
+      // Other riders' phone numbers stay private, from the organiser too
+      rideForUser.stops = (rideData.stops || []).map(
+        ({ passengerPhone, ...stop }) =>
+          stop.poolRiderUid === userId ? { ...stop, passengerPhone } : stop
+      );
+    }
+    res.status(200).json({ id: rideDoc.id, ...rideForUser });
   } catch (error) {
     console.error(
       `[Ride Details] Error fetching ride ${req.params.rideId}:`,
@@ -285,7 +628,8 @@ exports.getRideDetails = async (req, res, next) => {
  */
 exports.markArrived = async (req, res, next) => {
   const { db } = firebaseConfig;
-  const { notifyRider } = req.app.get("socketHelpers"); // Get notify helper
+  const { notifyRideRiders, updateActiveRideStatus } =
+    req.app.get("socketHelpers"); // Get notify helpers
   try {
     const { rideId } = req.params;
     const driverId = req.user.uid; // Driver UID from isAuth/isDriver
@@ -298,35 +642,27 @@ exports.markArrived = async (req, res, next) => {
     }
     const rideData = rideDoc.data();
 
-    // Validation: Only assigned driver can mark arrival, status must be 'accepted'
+    // Validation: Only assigned driver can mark arrival
     if (rideData.driverId !== driverId) {
       return res
         .status(403)
         .json({ message: "Forbidden: You are not the driver for this ride." });
     }
-    if (rideData.status !== "accepted") {
-      return res
-        .status(400)
-        .json({
-          message: `Cannot mark arrival for ride with status: ${rideData.status}`,
-        });
-    }
 
-    // Update Firestore
-    await rideRef.update({
-      status: "driver_arrived",
-      arrivedAtPickupAt: new Date().toISOString(),
-    });
+    // Update Firestore (409 unless the ride is 'accepted')
+    await transitionRide(rideRef, RIDE_STATUS.DRIVER_ARRIVED);
+    if (updateActiveRideStatus)
+      updateActiveRideStatus(rideId, RIDE_STATUS.DRIVER_ARRIVED);
 
-    // Notify Rider via Socket.IO
-    if (notifyRider) {
-      notifyRider(rideData.riderId, "driver_arrived", { rideId });
+    // Notify Rider (every pool rider) via Socket.IO
+    if (notifyRideRiders) {
+      notifyRideRiders(getRideRiderIds(rideData), "driver_arrived", { rideId });
       console.log(
         `[Ride Lifecycle] Notified rider ${rideData.riderId} of driver arrival for ride ${rideId}`
       );
     } else {
       console.warn(
-        `[Ride Lifecycle] notifyRider helper not found. Cannot notify rider ${rideData.riderId}.`
+        `[Ride Lifecycle] notifyRideRiders helper not found. Cannot notify rider ${rideData.riderId}.`
       );
     }
 
@@ -347,14 +683,17 @@ exports.markArrived = async (req, res, next) => {
 
 /**
  * @description Driver starts the actual trip after picking up the rider.
- * Updates ride status and notifies the rider.
+ * Requires the ride PIN the rider was given on acceptance, then updates
+ * ride status and notifies the rider.
  */
 exports.startRide = async (req, res, next) => {
   const { db } = firebaseConfig;
-  const { notifyRider } = req.app.get("socketHelpers");
+  const { notifyRideRiders, updateActiveRideStatus, getDriverLocation } =
+    req.app.get("socketHelpers");
   try {
     const { rideId } = req.params;
     const driverId = req.user.uid;
+    const { pin } = req.body; // 4-digit PIN read out by the rider
 
     const rideRef = db.collection("rides").doc(rideId);
     const rideDoc = await rideRef.get();
@@ -363,29 +702,55 @@ exports.startRide = async (req, res, next) => {
       return res.status(404).json({ message: "Ride not found." });
     const rideData = rideDoc.data();
 
-    // Validation: Only assigned driver, status must be 'driver_arrived'
+    // Validation: Only assigned driver can start the ride
     if (rideData.driverId !== driverId) {
       return res
         .status(403)
         .json({ message: "Forbidden: You are not the driver for this ride." });
     }
-    if (rideData.status !== "driver_arrived") {
-      return res
-        .status(400)
-        .json({
-          message: `Cannot start ride with status: ${rideData.status}. Driver must mark arrival first.`,
+
+    // --- Ride PIN Check (409 unless the driver has marked arrival) ---
+    const pinCheck = await verifyRidePin(rideRef, pin);
+    if (!pinCheck.valid) {
+      console.warn(
+        `[Ride Lifecycle] Wrong PIN for ride ${rideId} from driver ${driverId} (${pinCheck.failedAttempts} failed).`
+      );
+      // Let the riders know someone is trying to start their ride
+      if (notifyRideRiders) {
+        notifyRideRiders(getRideRiderIds(rideData), "ride_pin_failed", {
+          rideId,
+          attemptsRemaining: pinCheck.attemptsRemaining,
+          locked: pinCheck.locked,
+        });
+      }
+      if (pinCheck.lockedNow) {
+        alertSafetyTeamOfPinLock(req, rideId, rideData, getDriverLocation);
+      }
+      if (pinCheck.locked) {
+        return res.status(423).json({
+          message:
+            "Too many incorrect PIN attempts. This ride can no longer be started; our safety team has been notified.",
+          code: "RIDE_PIN_LOCKED",
         });
+      }
+      return res.status(403).json({
+        message: "Incorrect ride PIN.",
+        code: "INVALID_RIDE_PIN",
+        attemptsRemaining: pinCheck.attemptsRemaining,
+      });
     }
 
-    // Update Firestore
-    await rideRef.update({
-      status: "ongoing",
-      startedAt: new Date().toISOString(),
+    // Update Firestore (409 unless the driver has marked arrival)
+    await transitionRide(rideRef, RIDE_STATUS.ONGOING, {
+      extraFields: { pinVerifiedAt: new Date().toISOString() },
     });
+    // Live ETA now counts down to the destination
+    if (updateActiveRideStatus)
+      updateActiveRideStatus(rideId, RIDE_STATUS.ONGOING);
 
-    // Notify Rider via Socket.IO
-    if (notifyRider) {
-      notifyRider(rideData.riderId, "ride_started", { rideId });
+    // Notify Rider (every pool rider) via Socket.IO
+    if (notifyRideRiders) {
+      notifyRideRiders(getRideRiderIds(rideData), "ride_started", { rideId });
       console.log(
         `[Ride Lifecycle] Notified rider ${rideData.riderId} of ride start for ${rideId}`
       );
@@ -404,13 +769,116 @@ exports.startRide = async (req, res, next) => {
   }
 };
 
+/**
+ * @description Driver marks an intermediate stop as reached. Stops must be
+ * reached in order; anyone getting out there is texted that they arrived.
+ */
+exports.markStopReached = async (req, res, next) => {
+  const { db } = firebaseConfig;
+  const { notifyRideRiders, publishTripUpdate, updateActiveRideStops } =
+    req.app.get("socketHelpers");
+  try {
+    const { rideId, stopIndex } = req.params;
+    const driverId = req.user.uid;
+
+    const rideRef = db.collection("rides").doc(rideId);
+    const rideDoc = await rideRef.get();
+
+    if (!rideDoc.exists)
+      return res.status(404).json({ message: "Ride not found." });
+    const rideData = rideDoc.data();
+
+    // Validation: Only assigned driver can update stops
+    if (rideData.driverId !== driverId) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden: You are not the driver for this ride." });
+    }
+    if (rideData.status !== RIDE_STATUS.ONGOING) {
+      return res
+        .status(409)
+        .json({ message: "Stops can only be reached on an ongoing ride." });
+    }
+    const stops = rideData.stops || [];
+    if (!stops[stopIndex]) {
+      return res.status(404).json({ message: "Stop not found on this ride." });
+    }
+    const expectedIndex = nextStopIndex(stops);
+    if (stopIndex !== expectedIndex) {
+      return res.status(409).json({
+        message:
+          expectedIndex === -1 || stopIndex < expectedIndex
+            ? "This stop has already been reached."
+            : "Stops must be reached in order.",
+        nextStopIndex: expectedIndex,
+      });
+    }
+
+    const updatedStops = stops.map((stop, index) =>
+      index === stopIndex
+        ? {
+            ...stop,
+            reachedAt: new Date().toISOString(),
+            reachedLocation: req.body.location || null,
+          }
+        : stop
+    );
+    const reachedStop = updatedStops[stopIndex];
+    await updateRide(rideRef, { stops: updatedStops });
+    // Live monitoring and ETA move on to the next leg
+    if (updateActiveRideStops) updateActiveRideStops(rideId, updatedStops);
+
+    const stopUpdate = {
+      rideId,
+      stopIndex,
+      label: reachedStop.label,
+      reachedAt: reachedStop.reachedAt,
+      nextStopIndex: nextStopIndex(updatedStops),
+    };
+    if (notifyRideRiders) {
+      notifyRideRiders(getRideRiderIds(rideData), "stop_reached", stopUpdate);
+    }
+    if (publishTripUpdate) {
+      publishTripUpdate(
+        "ride",
+        rideId,
+        rideData.riderId,
+        "stop_reached",
+        stopUpdate
+      );
+    }
+    sendStopReachedConfirmation(reachedStop, rideData.riderId).catch(
+      (smsError) =>
+        console.error(
+          `[Ride Lifecycle] Error sending stop confirmation for ride ${rideId}:`,
+          smsError
+        )
+    );
+
+    console.log(
+      `[Ride Lifecycle] Driver ${driverId} reached stop ${stopIndex} of ride ${rideId}`
+    );
+    res.status(200).json({
+      message: "Stop marked as reached.",
+      stops: updatedStops,
+    });
+  } catch (error) {
+    console.error(
+      `[Ride Lifecycle] Error marking stop for ride ${req.params.rideId}:`,
+      error
+    );
+    next(error);
+  }
+};
+
 /**
  * @description Driver completes the trip at the destination.
- * Updates status, calculates fare (placeholder), notifies rider.
+ * Updates status, calculates fare via the pricing service, notifies rider.
  */
 exports.completeRide = async (req, res, next) => {
   const { db } = firebaseConfig;
-  const { notifyRider, makeDriverAvailable } = req.app.get("socketHelpers");
+  const { notifyRider, makeDriverAvailable, endActiveRide, endTripSharing } =
+    req.app.get("socketHelpers");
   try {
     const { rideId } = req.params;
     const driverId = req.user.uid;
@@ -423,73 +891,104 @@ exports.completeRide = async (req, res, next) => {
       return res.status(404).json({ message: "Ride not found." });
     const rideData = rideDoc.data();
 
-    // Validation: Only assigned driver, status must be 'ongoing'
+    // Validation: Only assigned driver can complete the ride
     if (rideData.driverId !== driverId) {
       return res
         .status(403)
         .json({ message: "Forbidden: You are not the driver for this ride." });
     }
-    if (rideData.status !== "ongoing") {
-      return res
-        .status(400)
-        .json({
-          message: `Cannot complete ride with status: ${rideData.status}. Ride must be ongoing.`,
-        });
-    }
 
-    // --- TODO: Calculate Final Fare ---
-    // This logic depends heavily on your pricing model (distance, time, base fare, surge?)
-    // Example placeholder:
-    const calculatedFare = calculateFare(
-      rideData.pickup,
-      finalLocation || rideData.destination,
-      rideData.startedAt
-    ); // Implement this
+    // --- Calculate Final Fare ---
+    const completedAt = new Date();
+    const meteredFare = calculateFare({
+      pickup: rideData.pickup,
+      dropoff: finalLocation || rideData.destination,
+      routePolyline: rideData.routePolyline,
+      stops: rideData.stops || [], // Fare covers every leg
+      startedAt: rideData.startedAt,
+      endedAt: completedAt.toISOString(),
+      surgeMultiplier: rideData.surge?.multiplier || 1,
+    });
+    // A quoted upfront price is charged if the trip went roughly as planned
+    const fareBreakdown = applyUpfrontPrice(meteredFare, rideData.fareQuote);
+    const calculatedFare = fareBreakdown.total;
     console.log(
-      `[Ride Lifecycle] Calculated fare for ride ${rideId}: ${calculatedFare}`
+      `[Ride Lifecycle] Calculated fare for ride ${rideId}: ${calculatedFare} ${fareBreakdown.currency} (tariff: ${fareBreakdown.tariffId})`
     );
-
-    // Update Firestore
-    await rideRef.update({
-      status: "completed",
-      endedAt: new Date().toISOString(),
-      actualFare: calculatedFare,
-      finalDropoffLocation: finalLocation || null, // Store actual dropoff if provided
-      paymentStatus: "pending", // Ready for payment processing
+    // Pooled rides: each rider pays their share of the final fare
+    const pool = rideData.pool
+      ? {
+          ...rideData.pool,
+          fareSplit: splitFare(
+            calculatedFare,
+            rideData.pool.fareShares,
+            rideData.riderId
+          ),
+        }
+      : null;
+
+    // Update Firestore (409 unless the ride is 'ongoing')
+    await transitionRide(rideRef, RIDE_STATUS.COMPLETED, {
+      at: completedAt,
+      extraFields: {
+        actualFare: calculatedFare,
+        currency: fareBreakdown.currency,
+        fareBreakdown,
+        finalDropoffLocation: finalLocation || null, // Store actual dropoff if provided
+        paymentStatus: "pending", // Ready for payment processing
+        ...(pool && { pool }),
+      },
     });
 
-    // Make driver available again in the live pool
+    // Stop live tracking and make driver available again in the live pool
+    if (endActiveRide) endActiveRide(rideId);
     if (makeDriverAvailable) makeDriverAvailable(driverId);
+    // Tell trusted contacts following the trip that it ended
+    if (endTripSharing) endTripSharing("ride", rideId, "completed");
 
     // Notify Rider via Socket.IO (including fare)
     if (notifyRider) {
       notifyRider(rideData.riderId, "ride_completed", {
         rideId,
         fare: calculatedFare,
+        currency: fareBreakdown.currency,
+        fareBreakdown,
+        fareSplit: pool?.fareSplit,
         paymentStatus: "pending",
       });
       console.log(
         `[Ride Lifecycle] Notified rider ${rideData.riderId} of ride completion for ${rideId}`
       );
+      pool?.riderIds
+        .filter((uid) => uid !== rideData.riderId)
+        .forEach((uid) =>
+          notifyRider(uid, "ride_completed", {
+            rideId,
+            fare: pool.fareSplit[uid], // Their share
+            currency: fareBreakdown.currency,
+            paymentStatus: "pending",
+          })
+        );
     }
 
-    // --- TODO: Update Postgres Ride record ---
-    // await models.Ride.update({ status: 'completed', endedAt: new Date(), actualFare: calculatedFare }, { where: { firestoreRideId: rideId } });
-
     console.log(`[Ride Lifecycle] Driver ${driverId} completed ride ${rideId}`);
     res
       .status(200)
       .json({
         message: "Ride completed successfully. Rider notified.",
         fare: calculatedFare,
+        currency: fareBreakdown.currency,
+        fareBreakdown,
       });
   } catch (error) {
     console.error(
       `[Ride Lifecycle] Error completing ride ${req.params.rideId}:`,
       error
     );
-    // If error, potentially revert driver status if changed
-    if (makeDriverAvailable) makeDriverAvailable(req.user.uid); // Make available on error? Or keep on-ride? Needs thought.
+    // If error, potentially revert driver status if changed.
+    // An illegal transition means the ride is still in progress, so leave the driver on-ride.
+    if (makeDriverAvailable && !(error instanceof InvalidRideTransitionError))
+      makeDriverAvailable(req.user.uid);
     next(error);
   }
 };
@@ -500,13 +999,21 @@ exports.completeRide = async (req, res, next) => {
  */
 exports.cancelRide = async (req, res, next) => {
   const { db } = firebaseConfig;
-  const { notifyRider, notifyDriver, makeDriverAvailable } =
-    req.app.get("socketHelpers");
+  const {
+    notifyDriver,
+    notifyRideRiders,
+    makeDriverAvailable,
+    stopRideDispatch,
+    getDriverLocation,
+    endActiveRide,
+    endTripSharing,
+  } = req.app.get("socketHelpers");
   try {
     const { rideId } = req.params;
     const cancellerUid = req.user.uid;
     const cancellerType = req.user.type; // 'rider' or 'driver'
     const reason = req.body.reason || "No reason provided"; // Optional reason from app
+    const reasonCode = req.body.reasonCode || null; // Optional structured reason (safety reasons are always free)
 
     const rideRef = db.collection("rides").doc(rideId);
     const rideDoc = await rideRef.get();
@@ -516,53 +1023,86 @@ exports.cancelRide = async (req, res, next) => {
     const rideData = rideDoc.data();
 
     // Validation: User must be part of the ride
+    const poolRider =
+      rideData.riderId !== cancellerUid && isPoolRider(rideData, cancellerUid);
     if (
       rideData.riderId !== cancellerUid &&
-      rideData.driverId !== cancellerUid
+      rideData.driverId !== cancellerUid &&
+      !poolRider
     ) {
       return res
         .status(403)
         .json({ message: "Forbidden: You are not part of this ride." });
     }
-
-    // Validation: Cannot cancel already completed or cancelled rides
-    const terminalStatuses = [
-      "completed",
-      "cancelled_rider",
-      "cancelled_driver",
-      "cancelled_system",
-    ];
-    if (terminalStatuses.includes(rideData.status)) {
-      return res
-        .status(400)
-        .json({
-          message: `Cannot cancel ride with status: ${rideData.status}.`,
-        });
+    // Pool riders give up their own seat; the ride goes on for the others
+    if (poolRider) {
+      return await cancelPoolSeat(req, res, rideRef, rideData, reasonCode);
     }
 
     // Determine new status and who to notify
     const newStatus =
-      cancellerType === "rider" ? "cancelled_rider" : "cancelled_driver";
+      cancellerType === "rider"
+        ? RIDE_STATUS.CANCELLED_RIDER
+        : RIDE_STATUS.CANCELLED_DRIVER;
     const otherPartyUid =
       cancellerType === "rider" ? rideData.driverId : rideData.riderId;
-    const notifyFunction =
-      cancellerType === "rider" ? notifyDriver : notifyRider;
 
-    // --- TODO: Cancellation Fee Logic ---
-    // Check conditions (e.g., time since acceptance, driver proximity) to apply fee
-    let cancellationFee = 0; // Placeholder
-    // if (shouldApplyCancellationFee(rideData, cancellerType)) {
-    //    cancellationFee = 50; // Example fee
-    // }
+    // --- Cancellation Fee (see services/cancellationPolicy.js) ---
+    const feeResult = calculateCancellationFee({
+      rideData,
+      cancelledBy: cancellerType,
+      reasonCode,
+      driverLocation:
+        rideData.driverId && getDriverLocation
+          ? getDriverLocation(rideData.driverId)
+          : null,
+    });
+    const cancellationFee = feeResult.fee;
+    console.log(
+      `[Ride Lifecycle] Cancellation fee for ride ${rideId}: ${cancellationFee} ${feeResult.currency} (${feeResult.reason})`
+    );
 
-    // Update Firestore
-    await rideRef.update({
-      status: newStatus,
-      endedAt: new Date().toISOString(),
-      cancellationReason: reason,
-      cancellationFee: cancellationFee > 0 ? cancellationFee : null,
+    // Update Firestore (409 if the ride already ended)
+    await transitionRide(rideRef, newStatus, {
+      extraFields: {
+        cancellationReason: reason,
+        cancellationReasonCode: reasonCode,
+        cancellationFee: cancellationFee > 0 ? cancellationFee : null,
+        cancellationFeeDetails: feeResult,
+      },
     });
 
+    // Charge the fee through Stripe; the rider's app confirms it with the client secret
+    let feePayment = null;
+    if (cancellationFee > 0) {
+      feePayment = await chargeCancellationFee(
+        rideRef,
+        rideData,
+        feeResult,
+        req.user.email
+      );
+    }
+
+    // A safety cancellation reports the other party: never match them again
+    if (isSafetyReason(reasonCode) && otherPartyUid) {
+      blockUser(cancellerUid, otherPartyUid, {
+        rideId,
+        reason: reasonCode,
+        source: BLOCK_SOURCES.REPORT,
+      }).catch((blockError) =>
+        console.error(
+          `[Ride Lifecycle] Error blocking ${otherPartyUid} after report on ride ${rideId}:`,
+          blockError
+        )
+      );
+    }
+
+    // Withdraw any outstanding driver offer if the ride was still being dispatched
+    if (stopRideDispatch) stopRideDispatch(rideId);
+    // Stop forwarding the driver's location to the rider
+    if (endActiveRide) endActiveRide(rideId);
+    if (endTripSharing) endTripSharing("ride", rideId, "cancelled");
+
     // Make driver available if they were assigned or on the way/ongoing
     if (rideData.driverId && makeDriverAvailable) {
       makeDriverAvailable(rideData.driverId);
@@ -572,28 +1112,52 @@ exports.cancelRide = async (req, res, next) => {
     }
 
     // Notify the other party via Socket.IO
-    if (otherPartyUid && notifyFunction) {
-      notifyFunction(otherPartyUid, "ride_cancelled", {
-        rideId,
-        cancelledBy: cancellerType,
-        reason: reason,
-        fee: cancellationFee > 0 ? cancellationFee : null,
-      });
+    const cancellation = {
+      rideId,
+      cancelledBy: cancellerType,
+      reason: reason,
+      fee: cancellationFee > 0 ? cancellationFee : null,
+      currency: feeResult.currency,
+      feeReason: feeResult.reason,
+    };
+    if (otherPartyUid && cancellerType === "rider" && notifyDriver) {
+      notifyDriver(otherPartyUid, "ride_cancelled", cancellation);
       console.log(
         `[Ride Lifecycle] Notified ${otherPartyUid} of ride cancellation for ${rideId}`
       );
+    } else if (cancellerType !== "rider" && notifyRideRiders) {
+      notifyRideRiders(
+        getRideRiderIds(rideData),
+        "ride_cancelled",
+        cancellation
+      );
+      console.log(
+        `[Ride Lifecycle] Notified the riders of ride cancellation for ${rideId}`
+      );
     } else {
       console.log(
         `[Ride Lifecycle] No other party to notify for ride ${rideId} cancellation.`
       );
     }
-
-    // --- TODO: Update Postgres Ride record ---
+    // The rest of a pool lose their ride too; the fee is the organiser's alone
+    if (cancellerType === "rider" && rideData.pool && notifyRideRiders) {
+      notifyRideRiders(
+        getRideRiderIds(rideData).filter((uid) => uid !== cancellerUid),
+        "ride_cancelled",
+        { ...cancellation, fee: null, feeReason: null }
+      );
+    }
 
     console.log(
       `[Ride Lifecycle] ${cancellerType} ${cancellerUid} cancelled ride ${rideId}`
     );
-    res.status(200).json({ message: "Ride cancelled successfully." });
+    res.status(200).json({
+      message: "Ride cancelled successfully.",
+      fee: cancellationFee > 0 ? cancellationFee : null,
+      currency: feeResult.currency,
+      feeReason: feeResult.reason,
+      feePayment, // { clientSecret, paymentIntentId } when a fee is due
+    });
   } catch (error) {
     console.error(
       `[Ride Lifecycle] Error cancelling ride ${req.params.rideId}:`,
@@ -603,13 +1167,169 @@ exports.cancelRide = async (req, res, next) => {
   }
 };
 
-// --- Placeholder Helper Function for Fare Calculation ---
-function calculateFare(pickupCoords, dropoffCoords, startTimeIsoString) {
-  // --- TODO: Implement actual fare calculation ---
-  // 1. Calculate distance using Haversine or Google Distance Matrix API
-  // 2. Calculate duration (using startTime and current time, or from rideData if stored)
-  // 3. Apply base fare, per km rate, per minute rate
-  // 4. Consider surge pricing based on time/demand (complex)
-  console.log("[Fare Calc] TODO: Implement actual fare calculation.");
-  return Math.floor(Math.random() * 300) + 50; // Return random fare for now
+// --- Helper Functions ---
+
+/**
+ * Creates a ride, first claiming its fare quote (if any) so two requests
+ * sent with the same quote can't both lock in the upfront price.
+ * @throws {Error} 410 if another ride took the quote since it was validated.
+ */
+async function createQuotedRide(rideData) {
+  const { db } = firebaseConfig;
+  const rideRef = db.collection("rides").doc();
+  const quoteId = rideData.fareQuote?.quoteId;
+  if (quoteId) await claimFareQuote(quoteId, rideRef.id);
+  try {
+    return await createRide(rideData, rideRef);
+  } catch (error) {
+    if (quoteId) await releaseFareQuote(quoteId);
+    throw error;
+  }
+}
+
+/**
+ * Takes a pool rider off a pooled ride (see ridePooling.leavePooledRide),
+ * free of charge, and sends the driver and the riders left the new route.
+ */
+async function cancelPoolSeat(req, res, rideRef, rideData, reasonCode) {
+  const { notifyDriver, notifyRideRiders, updateActiveRidePool } =
+    req.app.get("socketHelpers");
+  const riderUid = req.user.uid;
+  // A safety reason reports the driver: block them before the rider leaves,
+  // so they are never matched again
+  if (isSafetyReason(reasonCode) && rideData.driverId) {
+    await blockUser(riderUid, rideData.driverId, {
+      rideId: rideRef.id,
+      reason: reasonCode,
+      source: BLOCK_SOURCES.REPORT,
+    });
+  }
+  // 409 once the ride is under way
+  const update = await leavePooledRide(rideRef, rideData, riderUid);
+  if (updateActiveRidePool) updateActiveRidePool(rideRef.id, update);
+
+  const routeUpdate = {
+    rideId: rideRef.id,
+    destination: update.destination,
+    routePolyline: update.routePolyline,
+  };
+  if (rideData.driverId && notifyDriver) {
+    notifyDriver(rideData.driverId, "pool_rider_left", {
+      ...routeUpdate,
+      stops: update.stops,
+    });
+  }
+  if (notifyRideRiders) {
+    notifyRideRiders(update.pool.riderIds, "pool_rider_left", {
+      ...routeUpdate,
+      // Other riders' phone numbers stay private
+      stops: update.stops.map(({ passengerPhone, ...stop }) => stop),
+      fareShares: update.pool.fareShares,
+    });
+  }
+  res.status(200).json({
+    message: "You have left the pooled ride.",
+    fee: null,
+  });
+}
+
+/**
+ * Creates a Stripe PaymentIntent for a rider's cancellation fee, routed to the
+ * driver's Connect account when available. Failures are recorded on the ride
+ * but don't undo the cancellation.
+ * @returns {Promise<{clientSecret: string, paymentIntentId: string}|null>}
+ */
+async function chargeCancellationFee(rideRef, rideData, feeResult, riderEmail) {
+  const { db } = firebaseConfig;
+  try {
+    const customerId = await getOrCreateStripeCustomer(
+      db,
+      rideData.riderId,
+      riderEmail
+    );
+    const amountInSmallestUnit = Math.round(feeResult.fee * 100);
+    const paymentIntentData = {
+      amount: amountInSmallestUnit,
+      currency: feeResult.currency.toLowerCase(),
+      customer: customerId,
+      metadata: {
+        rideId: rideRef.id,
+        riderUid: rideData.riderId,
+        driverUid: rideData.driverId || "N/A",
+        type: "cancellation_fee",
+      },
+    };
+
+    // Most of the fee compensates the driver who drove towards the pickup
+    if (rideData.driverId) {
+      const driverDoc = await db
+        .collection("users")
+        .doc(rideData.driverId)
+        .get();
+      const driverStripeAccountId = driverDoc.exists
+        ? driverDoc.data().stripeAccountId
+        : null;
+      if (driverStripeAccountId) {
+        paymentIntentData.application_fee_amount =
+          calculateApplicationFee(amountInSmallestUnit);
+        paymentIntentData.transfer_data = {
+          destination: driverStripeAccountId,
+        };
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create(paymentIntentData);
+    await rideRef.update({
+      cancellationFeeStatus: "pending",
+      cancellationFeePaymentIntentId: paymentIntent.id,
+    });
+    console.log(
+      `[Ride Lifecycle] Created cancellation fee PaymentIntent ${paymentIntent.id} for ride ${rideRef.id}`
+    );
+    return {
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+    };
+  } catch (error) {
+    console.error(
+      `[Ride Lifecycle] Failed to charge cancellation fee for ride ${rideRef.id}:`,
+      error
+    );
+    await rideRef
+      .update({ cancellationFeeStatus: "failed" })
+      .catch((updateError) =>
+        console.error(
+          `[Ride Lifecycle] Failed to record fee failure for ride ${rideRef.id}:`,
+          updateError
+        )
+      );
+    return null;
+  }
+}
+
+/**
+ * Tells the safety team that a driver locked a ride by entering the wrong
+ * PIN too many times (possibly the wrong car or an impostor at the pickup).
+ */
+function alertSafetyTeamOfPinLock(req, rideId, rideData, getDriverLocation) {
+  const io = req.app.get("io");
+  if (!io) {
+    console.error(
+      `[Ride Lifecycle] Cannot alert safety team of PIN lock on ride ${rideId}: Socket.IO instance not found.`
+    );
+    return;
+  }
+  io.to("safety_team_room").emit("ride_pin_alert", {
+    rideId,
+    riderId: rideData.riderId,
+    driverId: rideData.driverId,
+    pickup: rideData.pickup,
+    driverLocation: getDriverLocation
+      ? getDriverLocation(rideData.driverId)
+      : null,
+    timestamp: new Date().toISOString(),
+  });
+  console.warn(
+    `[Ride Lifecycle] Ride ${rideId} locked after repeated wrong PINs. Safety team alerted.`
+  );
 }
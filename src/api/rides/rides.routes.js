@@ -8,7 +8,11 @@ const { isAuth, isRider, isDriver } = require("../../middleware/isAuth");
 const {
   validateGetSafestRoutes,
   validateRequestRide,
+  validateScheduleRide,
+  validateRideHistory,
   validateRideIdParam,
+  validateStartRide,
+  validateStopReached,
   validateCompleteRide,
   validateCancelRide,
   handleValidationErrors, // Import the error handler
@@ -39,6 +43,34 @@ router.post(
   controller.requestRide // Proceed if valid
 );
 
+// @route   POST /api/v1/rides/schedule
+// @desc    Rider books a ride for a later pickup time
+// @access  Private (Rider only)
+router.post(
+  "/schedule",
+  isAuth,
+  isRider,
+  validateScheduleRide, // Same body as /request plus scheduledPickupAt
+  handleValidationErrors,
+  controller.scheduleRide
+);
+
+// @route   GET /api/v1/rides/scheduled
+// @desc    List the rider's upcoming scheduled rides (must stay above /:rideId)
+// @access  Private (Rider only)
+router.get("/scheduled", isAuth, isRider, controller.getScheduledRides);
+
+// @route   GET /api/v1/rides/history
+// @desc    Paginated ride history for the rider or driver (must stay above /:rideId)
+// @access  Private (Rider or Driver)
+router.get(
+  "/history",
+  isAuth,
+  validateRideHistory, // status, paymentStatus, from, to, page, limit (query)
+  handleValidationErrors,
+  controller.getRideHistory
+);
+
 // @route   GET /api/v1/rides/:rideId
 // @desc    Get details of a specific ride (for rider or driver involved)
 // @access  Private (Rider or Driver of the ride)
@@ -63,17 +95,29 @@ router.put(
 );
 
 // @route   PUT /api/v1/rides/:rideId/start
-// @desc    Driver starts the ride after pickup
+// @desc    Driver starts the ride after pickup (body: { pin } from the rider)
 // @access  Private (Driver of the ride only)
 router.put(
   "/:rideId/start",
   isAuth,
   isDriver,
-  validateRideIdParam,
+  validateStartRide, // Validate rideId (param) and ride PIN (body)
   handleValidationErrors,
   controller.startRide
 );
 
+// @route   PUT /api/v1/rides/:rideId/stops/:stopIndex/reached
+// @desc    Driver marks an intermediate stop as reached (stops in order)
+// @access  Private (Driver of the ride only)
+router.put(
+  "/:rideId/stops/:stopIndex/reached",
+  isAuth,
+  isDriver,
+  validateStopReached, // Validate rideId/stopIndex (params) and optional location
+  handleValidationErrors,
+  controller.markStopReached
+);
+
 // @route   PUT /api/v1/rides/:rideId/complete
 // @desc    Driver completes the ride at destination
 // @access  Private (Driver of the ride only)
@@ -87,8 +131,8 @@ router.put(
 );
 
 // @route   PUT /api/v1/rides/:rideId/cancel
-// @desc    Cancel an ongoing or requested ride
-// @access  Private (Rider or Driver of the ride only)
+// @desc    Cancel an ongoing or requested ride (pool riders give up their seat)
+// @access  Private (Rider, pool rider or Driver of the ride only)
 router.put(
   "/:rideId/cancel",
   isAuth, // Rider OR Driver can cancel
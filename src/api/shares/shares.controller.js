@@ -0,0 +1,76 @@
+// src/api/shares/shares.controller.js
+
+const {
+  createTripShare,
+  findActiveTripShare,
+  getSharedTripView,
+  revokeTripShare,
+} = require("../../services/tripShareService");
+
+/**
+ * @description Starts sharing a ride or shared journey with the rider's
+ * emergency contacts. Contacts get an SMS with a read-only, expiring link.
+ * @route POST /api/v1/shares
+ * @access Private (Rider on the trip)
+ */
+exports.shareTrip = async (req, res, next) => {
+  try {
+    const { tripType, tripId, contactPhones } = req.body;
+    const share = await createTripShare({
+      ownerUid: req.user.uid,
+      tripType,
+      tripId,
+      contactPhones,
+    });
+    res.status(201).json({
+      message: "Trip sharing started. Your contacts have been sent the link.",
+      ...share,
+    });
+  } catch (error) {
+    console.error("[Trip Share] Error starting trip share:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Stops sharing before the trip ends. Contacts are told by SMS
+ * and anyone watching is disconnected.
+ * @route DELETE /api/v1/shares/:token
+ * @access Private (Owner of the share)
+ */
+exports.stopSharingTrip = async (req, res, next) => {
+  try {
+    const share = await revokeTripShare(req.user.uid, req.params.token);
+    const { closeTripShare } = req.app.get("socketHelpers");
+    if (closeTripShare) {
+      closeTripShare(
+        share.tripType,
+        share.tripId,
+        share.ownerUid,
+        "stopped_by_rider"
+      );
+    }
+    res.status(200).json({ message: "Trip sharing stopped." });
+  } catch (error) {
+    console.error("[Trip Share] Error stopping trip share:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Read-only view of a shared trip for trusted contacts:
+ * status, driver name, vehicle and live location.
+ * @route GET /api/v1/shares/public/:token
+ * @access Public (valid, unexpired share token)
+ */
+exports.getSharedTrip = async (req, res, next) => {
+  try {
+    const share = await findActiveTripShare(req.params.token);
+    const { getDriverLocation } = req.app.get("socketHelpers");
+    res.status(200).json(await getSharedTripView(share, getDriverLocation));
+  } catch (error) {
+    // 404/410 are expected for old links; don't log them as errors
+    if (!error.status) console.error("[Trip Share] Error loading trip:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,49 @@
+// src/api/shares/shares.routes.js
+const express = require("express");
+const router = express.Router();
+const controller = require("./shares.controller");
+const { isAuth, isRider } = require("../../middleware/isAuth");
+const {
+  validateShareTrip,
+  validateTripShareToken,
+  handleValidationErrors,
+} = require("../../middleware/validators");
+
+// --- Public Route ---
+
+// @route   GET /api/v1/shares/public/:token
+// @desc    Read-only live view of a shared trip for trusted contacts
+// @access  Public (the token is the credential)
+router.get(
+  "/public/:token",
+  validateTripShareToken,
+  handleValidationErrors,
+  controller.getSharedTrip
+);
+
+// --- Protected Routes ---
+
+// @route   POST /api/v1/shares
+// @desc    Share a ride or shared journey with the rider's emergency contacts
+// @access  Private (Rider only)
+router.post(
+  "/",
+  isAuth,
+  isRider,
+  validateShareTrip,
+  handleValidationErrors,
+  controller.shareTrip
+);
+
+// @route   DELETE /api/v1/shares/:token
+// @desc    Stop sharing a trip before it ends
+// @access  Private (Owner of the share)
+router.delete(
+  "/:token",
+  isAuth,
+  validateTripShareToken,
+  handleValidationErrors,
+  controller.stopSharingTrip
+);
+
+module.exports = router;
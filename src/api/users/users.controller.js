@@ -1,6 +1,15 @@
 // src/api/users/users.controller.js
 
 const firebaseConfig = require("../../config/firebase"); // Use getters for db/auth
+const { normalizePreferences } = require("../../services/driverMatching");
+const userRelations = require("../../services/userRelations");
+
+/** Favourites are for riders; answers 403 and returns false otherwise. */
+function ensureRider(req, res) {
+  if (req.user.type === "rider") return true;
+  res.status(403).json({ message: "Only riders can have favourite drivers." });
+  return false;
+}
 
 /**
  * @description Get the profile details of the currently authenticated user.
@@ -101,3 +110,171 @@ exports.updateMyProfile = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @description Records a driver's gender as checked against their identity
+ * documents, for riders' driver gender preference. Normally set by the
+ * verification webhook; this is for manual review. Only verified drivers'
+ * recorded gender is used in matching.
+ */
+exports.setVerifiedGender = async (req, res, next) => {
+  const { db } = firebaseConfig;
+  try {
+    const { userUid } = req.params;
+    const userDocRef = db.collection("users").doc(userUid);
+    const userDoc = await userDocRef.get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ message: "User profile not found." });
+    }
+    const verifiedGender = req.body.gender ?? null;
+    await userDocRef.update({
+      verifiedGender,
+      verifiedGenderSetBy: req.user.uid,
+      updatedAt: new Date().toISOString(),
+    });
+    console.log(
+      `[Users] Verified gender for UID ${userUid} set by admin ${req.user.uid}.`
+    );
+    res
+      .status(200)
+      .json({ message: "Verified gender updated.", verifiedGender });
+  } catch (error) {
+    console.error("[Users] Error setting verified gender:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Sets the rider's matching preferences, which dispatch honours
+ * for every ride they request. Omitted fields keep their current value.
+ * A driver gender preference only applies where it's legally allowed.
+ */
+exports.updateMatchingPreferences = async (req, res, next) => {
+  const { db } = firebaseConfig;
+  try {
+    const userId = req.user.uid;
+    if (req.user.type !== "rider") {
+      return res
+        .status(403)
+        .json({ message: "Only riders can set matching preferences." });
+    }
+    const userDocRef = db.collection("users").doc(userId);
+    const userDoc = await userDocRef.get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ message: "User profile not found." });
+    }
+
+    const preferences = normalizePreferences(
+      userDoc.data().matchingPreferences
+    );
+    ["verifiedOnly", "minRating", "preferredDriverGender"].forEach((key) => {
+      if (req.body[key] !== undefined) preferences[key] = req.body[key];
+    });
+    if (preferences.minRating !== null) {
+      preferences.minRating = Number(preferences.minRating);
+    }
+    await userDocRef.update({
+      matchingPreferences: preferences,
+      updatedAt: new Date().toISOString(),
+    });
+
+    console.log(`[Users] Matching preferences updated for UID: ${userId}`);
+    res.status(200).json({
+      message: "Matching preferences updated.",
+      matchingPreferences: preferences,
+    });
+  } catch (error) {
+    console.error("[Users] Error updating matching preferences:", error);
+    next(error);
+  }
+};
+
+// --- Favourite Drivers ---
+
+/** @description Lists the rider's favourite drivers. */
+exports.getFavouriteDrivers = async (req, res, next) => {
+  try {
+    if (!ensureRider(req, res)) return;
+    const favourites = await userRelations.listFavouriteDrivers(req.user.uid);
+    res.status(200).json({ favouriteDrivers: favourites });
+  } catch (error) {
+    console.error("[Users] Error listing favourite drivers:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Adds a driver to the rider's favourites. Dispatch offers the
+ * rider's rides to favourites first when they're nearby.
+ */
+exports.addFavouriteDriver = async (req, res, next) => {
+  try {
+    if (!ensureRider(req, res)) return;
+    const favourite = await userRelations.addFavouriteDriver(
+      req.user.uid,
+      req.params.driverUid,
+      req.body.rideId
+    );
+    res.status(200).json({ message: "Driver added to favourites.", favourite });
+  } catch (error) {
+    console.error("[Users] Error adding favourite driver:", error);
+    next(error);
+  }
+};
+
+/** @description Removes a driver from the rider's favourites. */
+exports.removeFavouriteDriver = async (req, res, next) => {
+  try {
+    if (!ensureRider(req, res)) return;
+    await userRelations.removeFavouriteDriver(
+      req.user.uid,
+      req.params.driverUid
+    );
+    res.status(200).json({ message: "Driver removed from favourites." });
+  } catch (error) {
+    console.error("[Users] Error removing favourite driver:", error);
+    next(error);
+  }
+};
+
+// --- Blocked Users ---
+
+/** @description Lists the users the current user has blocked. */
+exports.getBlockedUsers = async (req, res, next) => {
+  try {
+    const blocked = await userRelations.listBlockedUsers(req.user.uid);
+    res.status(200).json({ blockedUsers: blocked });
+  } catch (error) {
+    console.error("[Users] Error listing blocked users:", error);
+    next(error);
+  }
+};
+
+/**
+ * @description Blocks a rider or driver the current user has shared a ride
+ * with. Dispatch never pairs them again, whichever of them blocked the other.
+ */
+exports.blockUser = async (req, res, next) => {
+  try {
+    const block = await userRelations.blockUser(
+      req.user.uid,
+      req.params.userUid,
+      { rideId: req.body.rideId, reason: req.body.reason || null }
+    );
+    res.status(200).json({ message: "User blocked.", block });
+  } catch (error) {
+    console.error("[Users] Error blocking user:", error);
+    next(error);
+  }
+};
+
+/** @description Unblocks a user. */
+exports.unblockUser = async (req, res, next) => {
+  try {
+    await userRelations.unblockUser(req.user.uid, req.params.userUid);
+    res.status(200).json({ message: "User unblocked." });
+  } catch (error) {
+    console.error("[Users] Error unblocking user:", error);
+    next(error);
+  }
+};
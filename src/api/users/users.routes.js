@@ -3,10 +3,14 @@ const express = require("express");
 const router = express.Router();
 const controller = require("./users.controller");
 // Import Auth Middleware
-const { isAuth } = require("../../middleware/isAuth");
+const { isAuth, isAdmin } = require("../../middleware/isAuth");
 // Import Validation Rules & Handler
 const {
   validateUpdateProfile,
+  validateMatchingPreferences,
+  validateSetVerifiedGender,
+  validateFavouriteDriver,
+  validateBlockUser,
   handleValidationErrors,
 } = require("../../middleware/validators");
 
@@ -33,9 +37,78 @@ router.put(
   controller.updateMyProfile // Proceed if valid
 );
 
+// @route   PUT /api/v1/users/me/matching-preferences
+// @desc    Set the rider's driver matching preferences (verified only, minimum rating, driver gender)
+// @access  Private (Riders only)
+router.put(
+  "/me/matching-preferences",
+  isAuth,
+  validateMatchingPreferences,
+  handleValidationErrors,
+  controller.updateMatchingPreferences
+);
+
+// @route   GET /api/v1/users/me/favourite-drivers
+// @desc    List the rider's favourite drivers (offered their rides first)
+// @access  Private (Riders only)
+router.get("/me/favourite-drivers", isAuth, controller.getFavouriteDrivers);
+
+// @route   PUT /api/v1/users/me/favourite-drivers/:driverUid
+// @desc    Add a driver to the rider's favourites after a completed ride ({ rideId })
+// @access  Private (Riders only)
+router.put(
+  "/me/favourite-drivers/:driverUid",
+  isAuth,
+  validateFavouriteDriver,
+  handleValidationErrors,
+  controller.addFavouriteDriver
+);
+
+// @route   DELETE /api/v1/users/me/favourite-drivers/:driverUid
+// @desc    Remove a driver from the rider's favourites
+// @access  Private (Riders only)
+router.delete(
+  "/me/favourite-drivers/:driverUid",
+  isAuth,
+  controller.removeFavouriteDriver
+);
+
+// @route   GET /api/v1/users/me/blocked-users
+// @desc    List the users (drivers for riders, riders for drivers) you have blocked
+// @access  Private (Requires valid token)
+router.get("/me/blocked-users", isAuth, controller.getBlockedUsers);
+
+// @route   PUT /api/v1/users/me/blocked-users/:userUid
+// @desc    Block someone you've shared a ride with ({ rideId, reason? }); you are never matched again
+// @access  Private (Requires valid token)
+router.put(
+  "/me/blocked-users/:userUid",
+  isAuth,
+  validateBlockUser,
+  handleValidationErrors,
+  controller.blockUser
+);
+
+// @route   DELETE /api/v1/users/me/blocked-users/:userUid
+// @desc    Unblock a user
+// @access  Private (Requires valid token)
+router.delete("/me/blocked-users/:userUid", isAuth, controller.unblockUser);
+
 // --- Add other user-related routes here ---
 // Example: Route to get another user's public profile (maybe limited info)
 // Needs its own controller function and validation rules
 // router.get('/:userId/profile', isAuth, validateUserIdParam, handleValidationErrors, controller.getUserProfile);
 
+// @route   PUT /api/v1/users/:userUid/verified-gender
+// @desc    Record a driver's document-verified gender (used for riders' driver gender preference)
+// @access  Private (Admin only)
+router.put(
+  "/:userUid/verified-gender",
+  isAuth,
+  isAdmin,
+  validateSetVerifiedGender,
+  handleValidationErrors,
+  controller.setVerifiedGender
+);
+
 module.exports = router;
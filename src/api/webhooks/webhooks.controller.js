@@ -4,10 +4,37 @@
 const firebaseConfig = require("../../config/firebase");
 // Assuming stripeService.js exports an initialized instance or a getter
 const stripeService = require("../../services/stripeService");
+const {
+  updateRide,
+  mirrorRideToPostgres,
+} = require("../../services/rideRepository");
+const { issueRideReceipt } = require("../../services/receiptService");
+const { recordPoolSharePayment } = require("../../services/ridePooling");
+const { normalizeVerifiedGender } = require("../../services/driverMatching");
 // Retrieve secrets from environment variables
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 const VERIFICATION_WEBHOOK_TOKEN = process.env.VERIFICATION_WEBHOOK_TOKEN; // Example for token auth
 
+/** Issues a paid ride's receipt and tells the riders it's ready to download. */
+async function issueReceiptAndNotify(req, rideId) {
+  try {
+    const receipt = await issueRideReceipt(rideId);
+    const { notifyRideRiders } = req.app.get("socketHelpers") || {};
+    if (receipt && notifyRideRiders) {
+      notifyRideRiders(receipt.riderIds, "receipt_ready", {
+        rideId,
+        receiptNumber: receipt.receiptNumber,
+      });
+    }
+  } catch (receiptError) {
+    // The payment is recorded; the receipt can still be built on request
+    console.error(
+      `[Stripe Webhook] Failed to issue receipt for ride ${rideId}:`,
+      receiptError
+    );
+  }
+}
+
 /**
  * @description Handles incoming webhook events from Stripe.
  * Verifies the signature and processes relevant events like payment success/failure.
@@ -61,20 +88,40 @@ exports.handleStripeWebhook = async (req, res) => {
           `[Stripe Webhook] PaymentIntent successful: ${paymentIntent.id}`
         );
         const rideId = paymentIntent.metadata?.rideId; // Get associated ride ID
-        if (rideId) {
+        if (rideId && paymentIntent.metadata?.type === "cancellation_fee") {
+          // Cancellation fees are tracked separately from the ride fare
+          await db.collection("rides").doc(rideId).update({
+            cancellationFeeStatus: "paid",
+            cancellationFeePaymentIntentId: paymentIntent.id,
+          });
+          console.log(
+            `[Stripe Webhook] Marked cancellation fee for ride ${rideId} as 'paid'.`
+          );
+        } else if (rideId && paymentIntent.metadata?.type === "pool_share") {
+          // One rider's share of a pooled ride; paid once everyone has paid
           const rideRef = db.collection("rides").doc(rideId);
-          await rideRef.update({
+          const allPaid = await recordPoolSharePayment(
+            rideRef,
+            paymentIntent.metadata.riderUid,
+            paymentIntent.id
+          );
+          await mirrorRideToPostgres(rideId);
+          console.log(
+            `[Stripe Webhook] Recorded pool share of ${
+              paymentIntent.metadata.riderUid
+            } for ride ${rideId}${allPaid ? "; ride fully paid" : ""}.`
+          );
+          if (allPaid) await issueReceiptAndNotify(req, rideId);
+        } else if (rideId) {
+          const rideRef = db.collection("rides").doc(rideId);
+          await updateRide(rideRef, {
             paymentStatus: "paid",
             stripePaymentIntentId: paymentIntent.id, // Store the successful PI ID
           });
           console.log(
-            `[Stripe Webhook] Updated Firestore ride ${rideId} paymentStatus to 'paid'.`
+            `[Stripe Webhook] Updated ride ${rideId} paymentStatus to 'paid'.`
           );
-          // TODO: Update Postgres Ride record as well
-          // const { models } = require('../../config/postgres');
-          // await models.Ride.update({ paymentStatus: 'paid', stripePaymentIntentId: paymentIntent.id }, { where: { firestoreRideId: rideId } });
-
-          // TODO: Notify rider/driver of successful payment?
+          await issueReceiptAndNotify(req, rideId);
         } else {
           console.warn(
             `[Stripe Webhook] PaymentIntent ${paymentIntent.id} succeeded but missing 'rideId' metadata.`
@@ -90,16 +137,26 @@ exports.handleStripeWebhook = async (req, res) => {
           `[Stripe Webhook] PaymentIntent failed: ${failedPaymentIntent.id}. Reason: ${failureMessage}`
         );
         const failedRideId = failedPaymentIntent.metadata?.rideId;
-        if (failedRideId) {
+        if (
+          failedRideId &&
+          failedPaymentIntent.metadata?.type === "cancellation_fee"
+        ) {
+          await db.collection("rides").doc(failedRideId).update({
+            cancellationFeeStatus: "failed",
+            cancellationFeePaymentIntentId: failedPaymentIntent.id,
+          });
+          console.log(
+            `[Stripe Webhook] Marked cancellation fee for ride ${failedRideId} as 'failed'.`
+          );
+        } else if (failedRideId) {
           const failedRideRef = db.collection("rides").doc(failedRideId);
-          await failedRideRef.update({
+          await updateRide(failedRideRef, {
             paymentStatus: "failed",
             stripePaymentIntentId: failedPaymentIntent.id, // Store failed PI ID
           });
           console.log(
-            `[Stripe Webhook] Updated Firestore ride ${failedRideId} paymentStatus to 'failed'.`
+            `[Stripe Webhook] Updated ride ${failedRideId} paymentStatus to 'failed'.`
           );
-          // TODO: Update Postgres Ride record as well
           // TODO: Notify rider of payment failure via Socket.IO or Push Notification
           // const rideData = (await failedRideRef.get()).data();
           // const { notifyRider } = req.app.get('socketHelpers'); // Requires passing req or io somehow
@@ -288,6 +345,14 @@ exports.handleVerificationWebhook = async (req, res) => {
       if (isVerifiedValue) {
         updatePayload.verifiedAt = new Date().toISOString(); // Record time of successful verification
       }
+      // Gender on the checked document, for riders' driver gender preference
+      updatePayload.verifiedGender = isVerifiedValue
+        ? normalizeVerifiedGender(
+            payload.gender ||
+              payload.document?.gender ||
+              payload.properties?.gender
+          )
+        : null;
       console.log(
         `[Verification Webhook] Verification completed for user ${userIdentifier}. Result: ${checkResult}. Setting isVerified: ${isVerifiedValue}`
       );
@@ -295,6 +360,7 @@ exports.handleVerificationWebhook = async (req, res) => {
     } else if (verificationStatus === "failed" || checkResult === "rejected") {
       isVerifiedValue = false; // Explicitly mark as not verified on failure/rejection
       updatePayload.isVerified = isVerifiedValue;
+      updatePayload.verifiedGender = null;
       console.log(
         `[Verification Webhook] Verification failed or rejected for user ${userIdentifier}. Reason: ${
           failureReason || "See report"
@@ -0,0 +1,30 @@
+// src/config/database.js
+// Connection settings for sequelize-cli (migrations/seeders), built from the
+// same .env variables as src/config/postgres.js.
+require("dotenv").config();
+
+const { DB_NAME, DB_USER, DB_PASSWORD, DB_HOST, DB_PORT, DB_SSL } = process.env;
+
+const baseConfig = {
+  username: DB_USER,
+  password: DB_PASSWORD,
+  database: DB_NAME,
+  host: DB_HOST,
+  port: DB_PORT,
+  dialect: "postgres",
+  dialectOptions: {
+    ssl:
+      DB_SSL === "true"
+        ? {
+            require: true,
+            rejectUnauthorized: false, // Common setting for cloud DBs
+          }
+        : false,
+  },
+};
+
+module.exports = {
+  development: baseConfig,
+  test: { ...baseConfig, database: `${DB_NAME}_test` },
+  production: baseConfig,
+};
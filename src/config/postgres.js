@@ -1,5 +1,10 @@
+const fs = require("fs");
+const path = require("path");
 const { Sequelize } = require("sequelize");
 
+// Migration files applied by sequelize-cli (see .sequelizerc)
+const MIGRATIONS_DIR = path.resolve(__dirname, "../db/migrations");
+
 // Load environment variables
 const { DB_NAME, DB_USER, DB_PASSWORD, DB_HOST, DB_PORT, NODE_ENV, DB_SSL } =
   process.env;
@@ -62,20 +67,27 @@ function loadModels() {
     // models.Transaction = require('../models/transaction.model')(sequelize);
 
     // --- Define Associations ---
-    // Example: A User can have many Rides (as Rider or Driver)
+    // Rides reference users by Firebase UID (users.uid), not a numeric id
     models.User.hasMany(models.Ride, {
-      foreignKey: "riderId",
+      foreignKey: "riderUid",
+      sourceKey: "uid",
       as: "ridesAsRider",
     });
     models.User.hasMany(models.Ride, {
-      foreignKey: "driverId",
+      foreignKey: "driverUid",
+      sourceKey: "uid",
       as: "ridesAsDriver",
     });
 
-    // Example: A Ride belongs to one Rider and one Driver
-    models.Ride.belongsTo(models.User, { foreignKey: "riderId", as: "rider" });
+    // A Ride belongs to one Rider and (once accepted) one Driver
+    models.Ride.belongsTo(models.User, {
+      foreignKey: "riderUid",
+      targetKey: "uid",
+      as: "rider",
+    });
     models.Ride.belongsTo(models.User, {
-      foreignKey: "driverId",
+      foreignKey: "driverUid",
+      targetKey: "uid",
       as: "driver",
     });
 
@@ -95,9 +107,32 @@ function loadModels() {
   }
 }
 
+/**
+ * Lists migration files that have not been applied yet, by comparing
+ * src/db/migrations with sequelize-cli's "SequelizeMeta" table.
+ * @returns {Promise<string[]>} Pending migration file names (sorted).
+ */
+async function getPendingMigrations() {
+  const migrationFiles = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+  let applied = [];
+  try {
+    const [rows] = await sequelize.query('SELECT name FROM "SequelizeMeta"');
+    applied = rows.map((row) => row.name);
+  } catch (error) {
+    // Table doesn't exist yet - nothing has been migrated
+    if (error.original?.code !== "42P01") throw error;
+  }
+  return migrationFiles.filter((file) => !applied.includes(file));
+}
+
 module.exports = {
   sequelize,
   models, // Export the populated models object
   testPostgresConnection,
   loadModels, // Export the loader function
+  getPendingMigrations,
 };
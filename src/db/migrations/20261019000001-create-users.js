@@ -0,0 +1,82 @@
+"use strict";
+
+/** Creates the `users` table (see src/models/user.model.js). */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("users", {
+      uid: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      phone: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true,
+      },
+      userType: {
+        type: Sequelize.ENUM("rider", "driver"),
+        allowNull: false,
+      },
+      isVerified: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      isOnline: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      emergencyContacts: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        defaultValue: [],
+      },
+      vehicleDetails: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      averageRating: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      totalRatings: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      stripeId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("users", ["userType"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("users");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_users_userType";'
+    );
+  },
+};
@@ -0,0 +1,132 @@
+"use strict";
+
+/** Creates the `rides` table (see src/models/ride.model.js). */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("rides", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      firestoreRideId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true,
+      },
+      riderUid: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: { model: "users", key: "uid" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+      },
+      driverUid: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        references: { model: "users", key: "uid" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      // Snapshot of RIDE_STATUSES in src/services/rideLifecycle.js
+      status: {
+        type: Sequelize.ENUM(
+          "pending",
+          "accepted",
+          "driver_arrived",
+          "ongoing",
+          "completed",
+          "cancelled_rider",
+          "cancelled_driver",
+          "cancelled_system",
+          "no_drivers"
+        ),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      pickupLocation: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      destinationLocation: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      pickupAddress: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      destinationAddress: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      routePolyline: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      fareAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      fareBreakdown: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+        defaultValue: "INR",
+      },
+      paymentStatus: {
+        type: Sequelize.ENUM("pending", "processing", "succeeded", "failed"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      stripePaymentIntentId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      stripeChargeId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      requestedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      acceptedAt: { type: Sequelize.DATE, allowNull: true },
+      arrivedAtPickupAt: { type: Sequelize.DATE, allowNull: true },
+      startedAt: { type: Sequelize.DATE, allowNull: true },
+      completedAt: { type: Sequelize.DATE, allowNull: true },
+      cancelledAt: { type: Sequelize.DATE, allowNull: true },
+      cancellationReason: { type: Sequelize.STRING(200), allowNull: true },
+      cancellationFee: { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      ratingGivenToDriver: { type: Sequelize.INTEGER, allowNull: true },
+      ratingGivenToRider: { type: Sequelize.INTEGER, allowNull: true },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("rides", ["riderUid"]);
+    await queryInterface.addIndex("rides", ["driverUid"]);
+    await queryInterface.addIndex("rides", ["status"]);
+    await queryInterface.addIndex("rides", ["requestedAt"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("rides");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_rides_status";'
+    );
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_rides_paymentStatus";'
+    );
+  },
+};
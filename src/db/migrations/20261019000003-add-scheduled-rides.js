@@ -0,0 +1,21 @@
+"use strict";
+
+/** Adds the 'scheduled' ride status and the booked pickup time for scheduled rides. */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_rides_status" ADD VALUE IF NOT EXISTS 'scheduled' BEFORE 'pending';`
+    );
+    await queryInterface.addColumn("rides", "scheduledPickupAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addIndex("rides", ["scheduledPickupAt"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("rides", ["scheduledPickupAt"]);
+    await queryInterface.removeColumn("rides", "scheduledPickupAt");
+    // Postgres can't drop a single enum value; 'scheduled' stays in enum_rides_status
+  },
+};
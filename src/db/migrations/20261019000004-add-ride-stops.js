@@ -0,0 +1,15 @@
+"use strict";
+
+/** Adds intermediate stops (multi-stop rides) to rides. */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("rides", "stops", {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("rides", "stops");
+  },
+};
@@ -0,0 +1,15 @@
+"use strict";
+
+/** Adds pooled-ride details (riders, fare shares, payments) to rides. */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("rides", "pool", {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("rides", "pool");
+  },
+};
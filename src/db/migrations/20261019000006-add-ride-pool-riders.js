@@ -0,0 +1,22 @@
+"use strict";
+
+/** Lists every rider of a pooled ride in its own column, for history and statements. */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("rides", "poolRiderUids", {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: true,
+    });
+    await queryInterface.sequelize.query(
+      `UPDATE "rides" SET "poolRiderUids" = ARRAY(SELECT jsonb_array_elements_text("pool"->'riderIds')) WHERE "pool" IS NOT NULL;`
+    );
+    await queryInterface.addIndex("rides", ["poolRiderUids"], {
+      using: "gin",
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("rides", ["poolRiderUids"]);
+    await queryInterface.removeColumn("rides", "poolRiderUids");
+  },
+};
@@ -77,8 +77,19 @@ const isRider = (req, res, next) => {
   }
 };
 
+// Middleware for operations staff (Firebase custom claim { admin: true })
+const isAdmin = (req, res, next) => {
+  // Assumes isAuth ran first and attached req.user
+  if (req.user && req.user.admin === true) {
+    next();
+  } else {
+    res.status(403).json({ message: "Forbidden: Requires admin privileges." });
+  }
+};
+
 module.exports = {
   isAuth,
   isDriver,
   isRider,
+  isAdmin,
 };
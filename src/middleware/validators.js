@@ -1,9 +1,44 @@
 // src/middleware/validators.js
 
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
+const { CANCELLATION_REASON_CODES } = require("../services/cancellationPolicy");
+const { TRIP_TYPES } = require("../services/tripShareService");
+const { MAX_RIDE_STOPS } = require("../services/rideStops");
+const { RIDE_STATUSES } = require("../services/rideLifecycle");
+const { MAX_PAGE_SIZE, PAYMENT_STATUSES } = require("../services/rideHistory");
+const { DRIVER_GENDERS } = require("../services/driverMatching");
+const { MAX_POOL_RIDERS } = require("../services/ridePooling");
+const {
+  REPORT_CATEGORIES,
+  MODERATION_STATUS,
+} = require("../services/safetyReports");
 
 // --- Validation Rules ---
 
+// Optional intermediate stops, shared by route search and ride requests
+const rideStopRules = [
+  body("stops")
+    .optional()
+    .isArray({ max: MAX_RIDE_STOPS })
+    .withMessage(`Up to ${MAX_RIDE_STOPS} stops are allowed.`),
+  body("stops.*.location.lat")
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Valid stop latitude is required."),
+  body("stops.*.location.lng")
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Valid stop longitude is required."),
+  body("stops.*.label").optional().isString().trim().isLength({ max: 100 }),
+  body("stops.*.passengerName")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 }),
+  body("stops.*.passengerPhone")
+    .optional({ checkFalsy: true })
+    .isMobilePhone("any", { strictMode: false })
+    .withMessage("Invalid stop passenger phone number."),
+];
+
 exports.validateRegistration = [
   body("email")
     .isEmail()
@@ -47,6 +82,7 @@ exports.validateGetSafestRoutes = [
     .optional()
     .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
     .withMessage("Time must be in HH:MM format (e.g., 21:30)."),
+  ...rideStopRules,
 ];
 
 exports.validateRequestRide = [
@@ -60,6 +96,55 @@ exports.validateRequestRide = [
     .isString()
     .notEmpty()
     .withMessage("Route polyline is required."),
+  ...rideStopRules,
+  // Upfront-price quote from /get-routes (optional)
+  body("quoteId").optional().isString().notEmpty(),
+  // Rider's consent to any driver if nobody matches their preferences
+  body("allowPreferenceFallback").optional().isBoolean({ strict: true }),
+];
+
+exports.validateScheduleRide = [
+  ...exports.validateRequestRide,
+  body("scheduledPickupAt")
+    .isISO8601()
+    .withMessage("Scheduled pickup time must be an ISO 8601 date-time."),
+];
+
+exports.validateRideHistory = [
+  // Comma-separated, e.g. ?status=completed,cancelled
+  query("status")
+    .optional()
+    .customSanitizer((value) => String(value).split(","))
+    .custom((statuses) =>
+      statuses.every((s) => s === "cancelled" || RIDE_STATUSES.includes(s))
+    )
+    .withMessage(
+      `Status must be 'cancelled' or one of: ${RIDE_STATUSES.join(", ")}.`
+    ),
+  query("paymentStatus")
+    .optional()
+    .isIn(PAYMENT_STATUSES)
+    .withMessage(
+      `Payment status must be one of: ${PAYMENT_STATUSES.join(", ")}.`
+    ),
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("'from' must be an ISO 8601 date."),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("'to' must be an ISO 8601 date."),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer."),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .toInt()
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}.`),
 ];
 
 exports.validateRideIdParam = [
@@ -70,6 +155,37 @@ exports.validateRideIdParam = [
   // Add specific format check if your ride IDs have one (e.g., isUUID, isLength)
 ];
 
+// Receipts and statements come as JSON or a downloadable HTML document
+const documentFormatRule = query("format")
+  .optional()
+  .isIn(["json", "html"])
+  .withMessage("Format must be 'json' or 'html'.");
+
+exports.validateRideReceipt = [
+  param("rideId")
+    .isString()
+    .notEmpty()
+    .withMessage("Ride ID parameter is required."),
+  documentFormatRule,
+];
+
+exports.validateMonthlyStatement = [
+  param("month")
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage("Month must be in YYYY-MM format (e.g., 2026-09)."),
+  documentFormatRule,
+];
+
+exports.validateStartRide = [
+  param("rideId")
+    .isString()
+    .notEmpty()
+    .withMessage("Ride ID parameter is required."),
+  body("pin")
+    .matches(/^\d{4}$/)
+    .withMessage("A 4-digit ride PIN is required."),
+];
+
 exports.validateCompleteRide = [
   // Validate rideId in the path
   param("rideId")
@@ -82,12 +198,31 @@ exports.validateCompleteRide = [
   body("finalLocation.lng").optional().isFloat({ min: -180, max: 180 }),
 ];
 
+exports.validateStopReached = [
+  param("rideId")
+    .isString()
+    .notEmpty()
+    .withMessage("Ride ID parameter is required."),
+  param("stopIndex")
+    .isInt({ min: 0, max: MAX_RIDE_STOPS - 1 })
+    .toInt()
+    .withMessage("Valid stop index is required."),
+  // Optional: where the driver actually stopped
+  body("location").optional().isObject(),
+  body("location.lat").optional().isFloat({ min: -90, max: 90 }),
+  body("location.lng").optional().isFloat({ min: -180, max: 180 }),
+];
+
 exports.validateCancelRide = [
   param("rideId")
     .isString()
     .notEmpty()
     .withMessage("Ride ID parameter is required."),
   body("reason").optional().isString().trim().isLength({ max: 200 }).escape(), // Escape potentially harmful chars
+  body("reasonCode")
+    .optional()
+    .isIn(CANCELLATION_REASON_CODES)
+    .withMessage("Invalid cancellation reason code."),
 ];
 
 exports.validateStartSharedJourney = [
@@ -159,12 +294,175 @@ exports.validateUpdateProfile = [
   // Add validation for driver-specific fields if needed
 ];
 
+exports.validateMatchingPreferences = [
+  body("verifiedOnly").optional().isBoolean({ strict: true }),
+  body("minRating")
+    .optional({ values: "null" })
+    .isFloat({ min: 1, max: 5 })
+    .withMessage("Minimum rating must be between 1 and 5."),
+  body("preferredDriverGender")
+    .optional({ values: "null" })
+    .isIn(DRIVER_GENDERS)
+    .withMessage(
+      `Preferred driver gender must be one of: ${DRIVER_GENDERS.join(", ")}.`
+    ),
+];
+
+exports.validateSetVerifiedGender = [
+  param("userUid")
+    .isString()
+    .notEmpty()
+    .withMessage("User ID parameter is required."),
+  // Null clears it, e.g. if the document check is being redone
+  body("gender")
+    .optional({ values: "null" })
+    .isIn(DRIVER_GENDERS)
+    .withMessage(`Gender must be one of: ${DRIVER_GENDERS.join(", ")}.`),
+];
+
+exports.validateFavouriteDriver = [
+  param("driverUid")
+    .isString()
+    .notEmpty()
+    .withMessage("Driver ID parameter is required."),
+  body("rideId")
+    .isString()
+    .notEmpty()
+    .withMessage("A completed ride with this driver is required."),
+];
+
+exports.validateBlockUser = [
+  param("userUid")
+    .isString()
+    .notEmpty()
+    .withMessage("User ID parameter is required."),
+  body("rideId")
+    .isString()
+    .notEmpty()
+    .withMessage("A ride with this user is required."),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+];
+
+exports.validatePoolCandidates = [
+  query("pickupLat").isFloat({ min: -90, max: 90 }).toFloat(),
+  query("pickupLng").isFloat({ min: -180, max: 180 }).toFloat(),
+  query("destinationLat").isFloat({ min: -90, max: 90 }).toFloat(),
+  query("destinationLng").isFloat({ min: -180, max: 180 }).toFloat(),
+];
+
+exports.validateCreatePool = [
+  body("pickupLocation").isObject(),
+  body("pickupLocation.lat").isFloat({ min: -90, max: 90 }),
+  body("pickupLocation.lng").isFloat({ min: -180, max: 180 }),
+  body("destinationLocation").isObject(),
+  body("destinationLocation.lat").isFloat({ min: -90, max: 90 }),
+  body("destinationLocation.lng").isFloat({ min: -180, max: 180 }),
+  body("inviteeUids")
+    .isArray({ min: 1, max: MAX_POOL_RIDERS - 1 })
+    .withMessage(
+      `Invite between 1 and ${MAX_POOL_RIDERS - 1} riders to share with.`
+    ),
+  body("inviteeUids.*").isString().notEmpty(),
+];
+
+exports.validatePoolIdParam = [
+  param("poolId")
+    .isString()
+    .notEmpty()
+    .withMessage("Pool ID parameter is required."),
+];
+
+exports.validateRespondToPool = [
+  ...exports.validatePoolIdParam,
+  body("accept")
+    .isBoolean({ strict: true })
+    .withMessage("'accept' must be true or false."),
+];
+
 exports.validateTriggerSOS = [
   body("location").isObject(),
   body("location.lat").isFloat({ min: -90, max: 90 }),
   body("location.lng").isFloat({ min: -180, max: 180 }),
 ];
 
+exports.validateShareTrip = [
+  body("tripType")
+    .isIn(TRIP_TYPES)
+    .withMessage("Trip type must be 'ride' or 'journey'."),
+  body("tripId").isString().notEmpty().withMessage("Trip ID is required."),
+  body("contactPhones")
+    .optional()
+    .isArray()
+    .withMessage("Contact phones must be an array."),
+  body("contactPhones.*").isString(),
+];
+
+exports.validateTripShareToken = [
+  param("token")
+    .isString()
+    .isLength({ min: 20, max: 64 })
+    .withMessage("Invalid trip share token."),
+];
+
+exports.validateGetSurge = [
+  query("lat")
+    .isFloat({ min: -90, max: 90 })
+    .toFloat()
+    .withMessage("Valid latitude is required."),
+  query("lng")
+    .isFloat({ min: -180, max: 180 })
+    .toFloat()
+    .withMessage("Valid longitude is required."),
+];
+
+exports.validateSurgeOverride = [
+  // Omit location for a global override
+  body("location").optional().isObject(),
+  body("location.lat").optional().isFloat({ min: -90, max: 90 }),
+  body("location.lng").optional().isFloat({ min: -180, max: 180 }),
+  body("multiplier")
+    .isFloat({ min: 1 })
+    .toFloat()
+    .withMessage("Multiplier must be a number of at least 1."),
+  body("expiresInMinutes").optional().isInt({ min: 1 }).toInt(),
+  body("reason").optional().isString().trim().isLength({ max: 200 }),
+];
+
+exports.validateClearSurgeOverride = [
+  body("location").optional().isObject(),
+  body("location.lat").optional().isFloat({ min: -90, max: 90 }),
+  body("location.lng").optional().isFloat({ min: -180, max: 180 }),
+];
+
+exports.validateCreateSafetyReport = [
+  body("location").isObject(),
+  body("location.lat").isFloat({ min: -90, max: 90 }),
+  body("location.lng").isFloat({ min: -180, max: 180 }),
+  body("category")
+    .isIn(REPORT_CATEGORIES)
+    .withMessage(`Category must be one of: ${REPORT_CATEGORIES.join(", ")}.`),
+  body("occurredAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Incident time must be an ISO 8601 date-time."),
+  body("description").optional().isString().trim().isLength({ max: 500 }),
+];
+
+exports.validateListSafetyReports = [
+  query("status").optional().isIn(Object.values(MODERATION_STATUS)),
+];
+
+exports.validateModerateSafetyReport = [
+  param("reportId")
+    .isString()
+    .notEmpty()
+    .withMessage("Report ID parameter is required."),
+  body("status")
+    .isIn([MODERATION_STATUS.VERIFIED, MODERATION_STATUS.REJECTED])
+    .withMessage("Status must be 'verified' or 'rejected'."),
+  body("note").optional().isString().trim().isLength({ max: 500 }),
+];
+
 exports.validateSubmitRating = [
   param("rideId")
     .isString()
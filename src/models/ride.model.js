@@ -1,4 +1,5 @@
 const { DataTypes } = require("sequelize");
+const { RIDE_STATUS, RIDE_STATUSES } = require("../services/rideLifecycle");
 
 module.exports = (sequelize) => {
   const Ride = sequelize.define(
@@ -28,19 +29,10 @@ module.exports = (sequelize) => {
         references: { model: "users", key: "uid" },
       },
       status: {
-        type: DataTypes.ENUM(
-          "pending", // Rider requested, searching for driver
-          "rejected", // A driver rejected, searching for next
-          "accepted", // Driver accepted, en route to pickup
-          "arrived", // Driver arrived at pickup
-          "started", // Ride is in progress
-          "completed", // Ride finished successfully
-          "cancelled_rider", // Rider cancelled
-          "cancelled_driver", // Driver cancelled
-          "no_drivers" // Failed to find any driver
-        ),
+        // Same statuses as Firestore, see services/rideLifecycle.js
+        type: DataTypes.ENUM(...RIDE_STATUSES),
         allowNull: false,
-        defaultValue: "pending",
+        defaultValue: RIDE_STATUS.PENDING,
       },
 
        // --- CHANGED TO JSONB (Fixes "geometry does not exist" error) ---
@@ -69,11 +61,31 @@ module.exports = (sequelize) => {
         type: DataTypes.TEXT, // Encoded polyline string can be long
         allowNull: true,
       },
+      // Intermediate stops in travel order: [{ location, label, passengerName, passengerPhone, reachedAt }]
+      stops: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      // Pooled rides: { poolId, riderIds, fareShares, fareSplit, paidRiderIds }
+      pool: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      // pool.riderIds, for finding a rider's pooled rides
+      poolRiderUids: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: true,
+      },
       fareAmount: {
         // Final calculated fare
         type: DataTypes.DECIMAL(10, 2), // Example: 123.45
         allowNull: true,
       },
+      // Itemised fare (base, distance, time, minimum) from the pricing service
+      fareBreakdown: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
       currency: {
         type: DataTypes.STRING(3), // e.g., 'INR', 'USD'
         allowNull: true,
@@ -98,11 +110,17 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.NOW,
       },
+      scheduledPickupAt: { type: DataTypes.DATE, allowNull: true }, // Only for booked-ahead rides
       acceptedAt: { type: DataTypes.DATE, allowNull: true },
+      arrivedAtPickupAt: { type: DataTypes.DATE, allowNull: true },
       startedAt: { type: DataTypes.DATE, allowNull: true },
       completedAt: { type: DataTypes.DATE, allowNull: true },
       cancelledAt: { type: DataTypes.DATE, allowNull: true },
 
+      // Cancellation details (see PUT /rides/:rideId/cancel)
+      cancellationReason: { type: DataTypes.STRING(200), allowNull: true },
+      cancellationFee: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+
       // Ratings given after the ride
       ratingGivenToDriver: { type: DataTypes.INTEGER, allowNull: true, validate: { min: 1, max: 5 } },
       ratingGivenToRider: { type: DataTypes.INTEGER, allowNull: true, validate: { min: 1, max: 5 } },
@@ -115,6 +133,8 @@ module.exports = (sequelize) => {
         { fields: ["driverUid"] },
         { fields: ["status"] },
         { fields: ["requestedAt"] },
+        { fields: ["scheduledPickupAt"] },
+        { fields: ["poolRiderUids"], using: "gin" },
       ],
     }
   );
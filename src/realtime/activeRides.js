@@ -0,0 +1,61 @@
+// src/realtime/activeRides.js
+// In-memory index of rides that have a driver on the way or on board,
+// so driver socket events can be routed to the right rider.
+
+const activeRidesByDriver = {}; // { driverUid: { rideId, riderId, driverUid, status, pickup, destination, routePolyline, stops, ... } }
+const driverUidByRide = {}; // { rideId: driverUid }
+
+/**
+ * Starts tracking a ride once a driver accepts it.
+ * @param {object} ride - { rideId, riderId, driverUid, status, pickup, destination, routePolyline, stops }
+ * @returns {object} The tracked entry.
+ */
+function trackRide(ride) {
+  const entry = {
+    ...ride,
+    lastForwardedAt: 0, // Last driver_location_update sent to the rider
+    lastTrailSampleAt: 0, // Last point added to the trail buffer
+    trailBuffer: [], // Trail points not yet written to Firestore
+  };
+  activeRidesByDriver[ride.driverUid] = entry;
+  driverUidByRide[ride.rideId] = ride.driverUid;
+  return entry;
+}
+
+/** @returns {object|null} The active ride the driver is serving, if any. */
+function getRideForDriver(driverUid) {
+  return activeRidesByDriver[driverUid] || null;
+}
+
+/** @returns {object|null} The tracked entry for a ride, if it is active. */
+function getActiveRide(rideId) {
+  const driverUid = driverUidByRide[rideId];
+  return driverUid ? activeRidesByDriver[driverUid] || null : null;
+}
+
+/** Records a status change (e.g., 'driver_arrived', 'ongoing') for a tracked ride. */
+function updateRideStatus(rideId, status) {
+  const entry = getActiveRide(rideId);
+  if (entry) entry.status = status;
+  return entry;
+}
+
+/**
+ * Stops tracking a ride (completed or cancelled).
+ * @returns {object|null} The removed entry, so callers can flush its trail.
+ */
+function untrackRide(rideId) {
+  const entry = getActiveRide(rideId);
+  if (!entry) return null;
+  delete activeRidesByDriver[entry.driverUid];
+  delete driverUidByRide[rideId];
+  return entry;
+}
+
+module.exports = {
+  trackRide,
+  getRideForDriver,
+  getActiveRide,
+  updateRideStatus,
+  untrackRide,
+};
@@ -0,0 +1,65 @@
+// src/realtime/routeDeviationMonitor.js
+// Compares an ongoing ride's live driver locations with the route the rider chose.
+
+const { routeDeviation: settings } = require("../config/rideMonitoring.json");
+const { decodePolyline, distanceToPathKm } = require("../utils/geo");
+
+/**
+ * Checks a driver location against the ride's chosen route polyline.
+ * State is kept on the active ride entry (see activeRides.js), so each
+ * off-route episode is reported once, and again when the car is back on route.
+ * @param {object} ride - Active ride entry (needs `routePolyline`).
+ * @param {{lat: number, lng: number}} location - Driver's current location.
+ * @param {number} [now] - Current time in ms.
+ * @returns {{event: "deviation"|"back_on_route", offRouteMeters: number, maxOffRouteMeters: number, offRouteSince: string, offRouteSeconds: number}|null}
+ *   An event to report, or null if nothing changed.
+ */
+function checkRouteDeviation(ride, location, now = Date.now()) {
+  // Decode once per ride; rides without a chosen route can't be checked
+  if (!ride.routePoints) ride.routePoints = decodePolyline(ride.routePolyline);
+  if (ride.routePoints.length === 0) return null;
+
+  const offRouteMeters = Math.round(
+    distanceToPathKm(location, ride.routePoints) * 1000
+  );
+  const deviation = ride.routeDeviation;
+
+  if (offRouteMeters <= settings.maxOffRouteMeters) {
+    ride.routeDeviation = null;
+    // Only worth reporting if the rider was already alerted
+    return deviation && deviation.alerted
+      ? describe("back_on_route", deviation, offRouteMeters, now)
+      : null;
+  }
+
+  if (!deviation) {
+    ride.routeDeviation = {
+      startedAt: now,
+      maxOffRouteMeters: offRouteMeters,
+      alerted: false,
+    };
+    return null;
+  }
+  deviation.maxOffRouteMeters = Math.max(
+    deviation.maxOffRouteMeters,
+    offRouteMeters
+  );
+  if (deviation.alerted) return null;
+  if (now - deviation.startedAt < settings.minOffRouteSeconds * 1000) {
+    return null;
+  }
+  deviation.alerted = true;
+  return describe("deviation", deviation, offRouteMeters, now);
+}
+
+function describe(event, deviation, offRouteMeters, now) {
+  return {
+    event,
+    offRouteMeters,
+    maxOffRouteMeters: deviation.maxOffRouteMeters,
+    offRouteSince: new Date(deviation.startedAt).toISOString(),
+    offRouteSeconds: Math.round((now - deviation.startedAt) / 1000),
+  };
+}
+
+module.exports = { checkRouteDeviation };
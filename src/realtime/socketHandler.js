@@ -1,14 +1,61 @@
 // src/realtime/socketHandler.js
 const firebaseConfig = require("../config/firebase");
+const admin = require("firebase-admin");
 const haversine = require("haversine");
+const {
+  RIDE_STATUS,
+  InvalidRideTransitionError,
+  recordRideRejection,
+} = require("../services/rideLifecycle");
+const { transitionRide } = require("../services/rideRepository");
+const { generateRidePin } = require("../services/ridePinService");
+const { nextStopIndex } = require("../services/rideStops");
+const { distanceKm, toLatLng, estimateEtaMinutes } = require("../utils/geo");
+const activeRides = require("./activeRides");
+const { checkRouteDeviation } = require("./routeDeviationMonitor");
+const {
+  checkUnexpectedStop,
+  CHECK_IN_RESPONSE_SECONDS,
+} = require("./unexpectedStopMonitor");
+const { triggerSosAlert } = require("../services/sosService");
+const { notifyRiderBySms } = require("../services/rideScheduler");
+const { endTripShares } = require("../services/tripShareService");
+const { initializeTripShareNamespace } = require("./tripShareNamespace");
+const { getCellId } = require("../services/surgeService");
+const {
+  hasPreferences,
+  loadDriverMatchingProfile,
+  getUnmetPreferences,
+} = require("../services/driverMatching");
+const { getDispatchRelations } = require("../services/userRelations");
+const {
+  POOL_PICKUP_RADIUS_KM,
+  POOL_DESTINATION_RADIUS_KM,
+  getRideRiderIds,
+} = require("../services/ridePooling");
 
 // --- In-Memory Data Stores ---
-const onlineDrivers = {}; // { driverUid: { socketId, location, uid, status } }
+const onlineDrivers = {}; // { driverUid: { socketId, location, uid, status, matchingProfile } }
 const lookingRiders = {}; // { riderUid: { socketId, uid, location, destination, pendingRequestFrom? } }
 const userSocketMap = {}; // { userId: socketId } - Map any connected user to their socket
+const rideDispatches = {}; // { rideId: { rideId, riderId, riderIds, pickup, destination, scheduledPickupAt, preferences, allowPreferenceFallback, preferencesRelaxed, skippedDrivers, favouriteDriverIds, blockedDriverIds, offeredDriverIds, currentDriverUid, radiusIndex, timeoutId } }
+
+// --- Dispatch Settings ---
+const DISPATCH_REQUEST_TIMEOUT_MS = 30000; // How long a driver has to respond to an offer
+const DISPATCH_RADIUS_STEPS_KM = [3, 5, 10, 15]; // Search radius widens step by step
+const DISPATCH_MAX_RADIUS_KM =
+  DISPATCH_RADIUS_STEPS_KM[DISPATCH_RADIUS_STEPS_KM.length - 1];
+
+// --- Live Tracking Settings ---
+const LOCATION_FORWARD_INTERVAL_MS = 3000; // At most one update to the rider every 3s
+const TRAIL_SAMPLE_INTERVAL_MS = 15000; // The stored trail keeps one point every 15s
+const TRAIL_FLUSH_SIZE = 4; // Trail points buffered before writing them to the ride
 
 // --- Main Initialization Function ---
 function initializeSocket(io) {
+  // Read-only namespace for trusted contacts following a shared trip
+  const tripShares = initializeTripShareNamespace(io, { getDriverLocation });
+
   io.on("connection", (socket) => {
     console.log(`[Socket.IO] New connection: ${socket.id}`);
     let currentUserId = null; // To track who this socket belongs to
@@ -48,19 +95,31 @@ function initializeSocket(io) {
         location: data.location,
         uid: data.uid,
         status: "available",
+        // Verification, rating and verified gender for riders' matching preferences
+        matchingProfile: onlineDrivers[data.uid]?.matchingProfile || null,
       };
+      loadDriverMatchingProfile(data.uid)
+        .then((profile) => {
+          if (onlineDrivers[data.uid]) {
+            onlineDrivers[data.uid].matchingProfile = profile;
+          }
+        })
+        .catch((error) =>
+          console.error(
+            `[Socket.IO] Error loading matching profile for driver ${data.uid}:`,
+            error
+          )
+        );
     });
 
     socket.on("update_location", (data) => {
       if (!data || !data.uid || !data.location) return;
       if (onlineDrivers[data.uid]) {
         onlineDrivers[data.uid].location = data.location;
-        // Broadcast location ONLY to the specific rider on this trip
-        // We need a way to know which rider is associated with this driver
-        // const ride = findRideForDriver(data.uid); // Need this lookup
-        // if (ride && ride.riderSocketId) {
-        //    io.to(ride.riderSocketId).emit('driver_location_update', data.location);
-        // }
+        // Only the driver's own socket may move the driver on a rider's map
+        if (socket.driverUID === data.uid) {
+          trackDriverLocation(data.uid, data.location, data.heading);
+        }
       }
     });
 
@@ -68,6 +127,7 @@ function initializeSocket(io) {
       if (socket.driverUID && onlineDrivers[socket.driverUID]) {
         console.log(`[Socket.IO] Driver ${socket.driverUID} went offline.`);
         delete onlineDrivers[socket.driverUID];
+        releaseDriverOffers(socket.driverUID, "went offline");
       }
     });
 
@@ -78,25 +138,65 @@ function initializeSocket(io) {
       console.log(
         `[Socket.IO] Driver ${socket.driverUID} accepted ride ${data.rideId}`
       );
+      // Only the driver currently holding the offer may accept it
+      const dispatch = rideDispatches[data.rideId];
+      if (!dispatch || dispatch.currentDriverUid !== socket.driverUID) {
+        console.warn(
+          `[Socket.IO] Driver ${socket.driverUID} tried to accept ride ${data.rideId} without a live offer.`
+        );
+        socket.emit("ride_update_failed", {
+          rideId: data.rideId,
+          error: "This ride request is no longer available.",
+        });
+        return;
+      }
+      clearTimeout(dispatch.timeoutId);
+      delete rideDispatches[data.rideId];
       if (onlineDrivers[socket.driverUID]) {
         onlineDrivers[socket.driverUID].status = "on-ride";
       }
       try {
         const rideRef = db.collection("rides").doc(data.rideId);
-        await rideRef.update({
-          status: "accepted",
-          driverId: socket.driverUID, // Assign driver UID on acceptance
-          driverFirebaseUid: socket.driverUID, // Assign driver UID on acceptance
-          driverDetails: data.driverDetails || {},
-          acceptedAt: new Date().toISOString(),
+        const ridePin = generateRidePin(); // Rider reads it out at pickup
+        const { rideData } = await transitionRide(
+          rideRef,
+          RIDE_STATUS.ACCEPTED,
+          {
+            extraFields: {
+              driverId: socket.driverUID, // Assign driver UID on acceptance
+              driverFirebaseUid: socket.driverUID, // Assign driver UID on acceptance
+              driverDetails: data.driverDetails || {},
+              ridePin,
+            },
+          }
+        );
+        // Start forwarding this driver's location to the rider
+        activeRides.trackRide({
+          rideId: data.rideId,
+          riderId: rideData.riderId,
+          riderIds: getRideRiderIds(rideData), // Every pool rider follows the trip
+          driverUid: socket.driverUID,
+          status: RIDE_STATUS.ACCEPTED,
+          pickup: rideData.pickup,
+          destination: rideData.destination,
+          routePolyline: rideData.routePolyline,
+          stops: rideData.stops || [],
         });
+        tripShares.publishTripUpdate(
+          "ride",
+          data.rideId,
+          rideData.riderId,
+          "status_update",
+          { status: RIDE_STATUS.ACCEPTED }
+        );
         socket.emit("ride_confirmed", { rideId: data.rideId });
-        // Find rider and notify them
-        const rideData = (await rideRef.get()).data();
+        // Notify the rider (every rider, on a pooled ride)
         if (rideData?.riderId) {
-          notifyRider(rideData.riderId, "ride_accepted", {
+          // Only riders get the PIN; the driver must ask for it
+          notifyRideRiders(getRideRiderIds(rideData), "ride_accepted", {
             rideId: data.rideId,
             driverDetails: data.driverDetails || {},
+            ridePin,
           });
         }
       } catch (error) {
@@ -106,7 +206,10 @@ function initializeSocket(io) {
         );
         socket.emit("ride_update_failed", {
           rideId: data.rideId,
-          error: "Failed to update ride status.",
+          error:
+            error instanceof InvalidRideTransitionError
+              ? error.message
+              : "Failed to update ride status.",
         });
         if (onlineDrivers[socket.driverUID]) {
           onlineDrivers[socket.driverUID].status = "available";
@@ -123,67 +226,57 @@ function initializeSocket(io) {
       if (onlineDrivers[socket.driverUID]) {
         onlineDrivers[socket.driverUID].status = "available";
       }
+      const dispatch = rideDispatches[data.rideId];
+      if (!dispatch || dispatch.currentDriverUid !== socket.driverUID) return;
       try {
-        const rideRef = db.collection("rides").doc(data.rideId);
-        const rideSnapshot = await rideRef.get();
-        const rideData = rideSnapshot.data();
-
-        await rideRef.update({
-          status: "rejected_by_driver", // More specific status
-          rejectedBy: socket.driverUID,
-        });
-
-        // --- Find the *next* available driver ---
-        if (rideData) {
-          console.log(
-            `[Socket.IO] Ride ${data.rideId} rejected. Finding next driver...`
-          );
-          const riderLocation = rideData.pickup;
-          const excludedDriverId = socket.driverUID;
-          // Find drivers again, excluding the one who rejected
-          const nearbyDrivers = findNearbyDrivers(
-            riderLocation,
-            10,
-            excludedDriverId
-          );
-
-          if (nearbyDrivers.length > 0) {
-            const nextDriver = nearbyDrivers[0];
-            const rideDetailsForDriver = {
-              rideId: data.rideId,
-              pickup: rideData.pickup,
-              destination: rideData.destination,
-            };
-            // Update ride doc to pending again before sending to next driver?
-            await rideRef.update({
-              status: "pending",
-              driverId: null,
-              driverFirebaseUid: null,
-            });
-            sendRideRequestToDriver(nextDriver.uid, rideDetailsForDriver);
-            console.log(
-              `[Socket.IO] Sent request for ride ${data.rideId} to next driver ${nextDriver.uid}`
-            );
-          } else {
-            console.log(
-              `[Socket.IO] No other drivers found for ride ${data.rideId} after rejection.`
-            );
-            await rideRef.update({
-              status: "cancelled_system",
-              cancellationReason: "No drivers available after rejection.",
-            });
-            // Notify rider that no drivers are available
-            notifyRider(rideData.riderId, "no_driver_found", {
-              rideId: data.rideId,
-            });
-          }
-        }
+        await recordRideRejection(
+          db.collection("rides").doc(data.rideId),
+          socket.driverUID
+        );
       } catch (error) {
         console.error(
-          `[Socket.IO] Error updating ride ${data.rideId} after rejection:`,
+          `[Socket.IO] Error recording rejection of ride ${data.rideId}:`,
           error
         );
       }
+      // Move the offer on to the next closest driver
+      handleDriverDeclined(data.rideId, socket.driverUID, "rejected");
+    });
+
+    // --- RIDE SAFETY EVENTS ---
+    // Rider answers a route_deviation prompt with "I'm OK" ('ok').
+    // "Trigger SOS" goes through the regular SOS endpoint instead.
+    socket.on("route_deviation_response", (data) => {
+      if (!data || !data.rideId || !socket.userId) return;
+      const ride = activeRides.getActiveRide(data.rideId);
+      if (!ride || !ride.riderIds.includes(socket.userId)) return;
+      console.log(
+        `[Route Monitor] Rider ${socket.userId} answered '${data.response}' to deviation on ride ${data.rideId}.`
+      );
+      io.to("safety_team_room").emit("route_deviation_acknowledged", {
+        rideId: data.rideId,
+        riderId: socket.userId,
+        response: data.response,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    // Rider answers a safety_check_in prompt: 'ok' closes it, 'sos' escalates now
+    socket.on("safety_check_in_response", (data) => {
+      if (!data || !data.rideId || !socket.userId) return;
+      const ride = activeRides.getActiveRide(data.rideId);
+      if (!ride || !ride.riderIds.includes(socket.userId) || !ride.checkIn) {
+        return;
+      }
+      if (data.response === "sos") {
+        escalateSafetyCheckIn(
+          data.rideId,
+          "rider_requested_sos",
+          socket.userId
+        );
+      } else {
+        resolveSafetyCheckIn(ride, "rider_ok");
+      }
     });
 
     // --- RIDER COMMUNITY CONNECT EVENTS ---
@@ -323,6 +416,7 @@ function initializeSocket(io) {
             `[Socket.IO] Driver ${disconnectedUid} removed from online pool due to disconnect.`
           );
           delete onlineDrivers[disconnectedUid];
+          releaseDriverOffers(disconnectedUid, "disconnected");
         }
         // Cleanup rider pool
         if (
@@ -382,6 +476,21 @@ function initializeSocket(io) {
   const notifyRider = notifyUser;
   const notifyDriver = notifyUser;
 
+  /**
+   * Emits an event to every rider on a ride (see ridePooling.getRideRiderIds).
+   * @returns {boolean} True if at least one of them was connected.
+   */
+  function notifyRideRiders(riderIds, eventName, data) {
+    return riderIds
+      .map((riderId) => notifyUser(riderId, eventName, data))
+      .some(Boolean);
+  }
+
+  /** Returns a driver's last known live location, or null if they're offline */
+  function getDriverLocation(driverUid) {
+    return onlineDrivers[driverUid]?.location || null;
+  }
+
   /** Marks a driver as available in the live pool */
   function makeDriverAvailable(driverUid) {
     if (onlineDrivers[driverUid]) {
@@ -395,12 +504,14 @@ function initializeSocket(io) {
   function findNearbyDrivers(
     riderLocation,
     radiusInKm = 10,
-    excludedDriverId = null
+    excludedDriverIds = []
   ) {
+    // Accept a single UID or a list of UIDs to skip
+    const excluded = [].concat(excludedDriverIds || []);
     const availableDrivers = [];
     for (const uid in onlineDrivers) {
-      // Skip excluded driver
-      if (uid === excludedDriverId) continue;
+      // Skip excluded drivers
+      if (excluded.includes(uid)) continue;
 
       const driver = onlineDrivers[uid];
       if (driver.status === "available") {
@@ -417,15 +528,41 @@ function initializeSocket(io) {
     return availableDrivers.sort((a, b) => a.distance - b.distance);
   }
 
+  /**
+   * Live demand in a surge cell: rides still looking for a driver versus
+   * drivers free to take them (see surgeService.getSurge).
+   */
+  function countSurgeDemand(cellId) {
+    const openRequests = Object.values(rideDispatches).filter(
+      (dispatch) => dispatch.pickup && getCellId(dispatch.pickup) === cellId
+    ).length;
+    const availableDrivers = Object.values(onlineDrivers).filter(
+      (driver) =>
+        driver.status === "available" &&
+        driver.location &&
+        getCellId(driver.location) === cellId
+    ).length;
+    return { openRequests, availableDrivers };
+  }
+
   function sendRideRequestToDriver(driverUid, rideDetails) {
     const driver = onlineDrivers[driverUid];
+    // Never offer a ride across a block, whichever side set it
+    if (
+      rideDispatches[rideDetails.rideId]?.blockedDriverIds.includes(driverUid)
+    ) {
+      console.warn(
+        `[Socket.IO] Not sending ride ${rideDetails.rideId} to driver ${driverUid}: blocked.`
+      );
+      return false;
+    }
     if (driver && driver.socketId) {
       console.log(
         `[Socket.IO] Emitting 'new_ride_request' to driver ${driverUid} (Socket: ${driver.socketId})`
       );
       io.to(driver.socketId).emit("new_ride_request", rideDetails);
       driver.status = "pending";
-      setTimeout(() => {
+      const timeoutId = setTimeout(() => {
         if (
           onlineDrivers[driverUid] &&
           onlineDrivers[driverUid].status === "pending"
@@ -434,10 +571,12 @@ function initializeSocket(io) {
           console.log(
             `[Socket.IO] Resetting status for driver ${driverUid} due to request timeout.`
           );
-          // Trigger finding the next driver (needs rideId and original rider details)
-          // findNextDriverForRide(rideDetails.rideId); // Need a function like this
         }
-      }, 30000); // 30 second timeout
+        handleDriverDeclined(rideDetails.rideId, driverUid, "timed out");
+      }, DISPATCH_REQUEST_TIMEOUT_MS);
+      if (rideDispatches[rideDetails.rideId]) {
+        rideDispatches[rideDetails.rideId].timeoutId = timeoutId;
+      }
       return true;
     }
     console.warn(
@@ -446,21 +585,642 @@ function initializeSocket(io) {
     return false;
   }
 
+  // --- Ride Dispatch (driver cascade) ---
+
+  /**
+   * Starts dispatching a newly requested ride: offers it to the closest available
+   * driver and keeps moving down the list on timeout, rejection or disconnect,
+   * widening the search radius step by step.
+   * Drivers who don't meet the rider's matching preferences are skipped; if
+   * nobody matches, the preferences are only dropped when the rider allowed it.
+   * The rider's favourite drivers are offered the ride first at each radius,
+   * and drivers blocked by or blocking the rider never get it.
+   * @param {string} rideId - Firestore ride document ID.
+   * @param {object} ride - { riderId, riderIds?, pickup, destination, scheduledPickupAt?, matchingPreferences?, allowPreferenceFallback?, relations? }
+   *   `riderIds` lists every rider of a pooled ride, to hear if no driver is found.
+   *   `relations` is the rider's userRelations.getDispatchRelations, loaded if not given.
+   * @returns {Promise<string|null>} UID of the first driver offered the ride, or null if none could be reached.
+   */
+  async function dispatchRide(rideId, ride) {
+    const relations =
+      ride.relations || (await getDispatchRelations(ride.riderId));
+    rideDispatches[rideId] = {
+      rideId,
+      riderId: ride.riderId,
+      riderIds: ride.riderIds || [ride.riderId],
+      pickup: ride.pickup,
+      destination: ride.destination,
+      scheduledPickupAt: ride.scheduledPickupAt || null,
+      preferences: ride.matchingPreferences || null,
+      allowPreferenceFallback: ride.allowPreferenceFallback === true,
+      preferencesRelaxed: false,
+      skippedDrivers: {}, // { driverUid: [unmet preference] }
+      favouriteDriverIds: relations.favouriteDriverIds,
+      blockedDriverIds: relations.blockedDriverIds,
+      offeredDriverIds: [],
+      currentDriverUid: null,
+      radiusIndex: 0,
+      timeoutId: null,
+    };
+    return offerRideToNextDriver(rideId);
+  }
+
+  /** Offers the ride to the closest driver not yet offered it, or gives up. */
+  async function offerRideToNextDriver(rideId) {
+    const dispatch = rideDispatches[rideId];
+    if (!dispatch) return null;
+    dispatch.currentDriverUid = null;
+
+    while (dispatch.radiusIndex < DISPATCH_RADIUS_STEPS_KM.length) {
+      const radiusKm = DISPATCH_RADIUS_STEPS_KM[dispatch.radiusIndex];
+      const candidates = prioritiseFavourites(
+        findNearbyDrivers(dispatch.pickup, radiusKm, [
+          ...dispatch.offeredDriverIds,
+          ...dispatch.blockedDriverIds,
+        ]),
+        dispatch.favouriteDriverIds
+      );
+
+      for (const candidate of candidates) {
+        if (!meetsRiderPreferences(dispatch, candidate)) continue;
+        dispatch.offeredDriverIds.push(candidate.uid);
+        dispatch.currentDriverUid = candidate.uid;
+        const sent = sendRideRequestToDriver(candidate.uid, {
+          rideId,
+          pickup: dispatch.pickup,
+          destination: dispatch.destination,
+        });
+        if (sent) {
+          console.log(
+            `[Dispatch] Offered ride ${rideId} to ${
+              candidate.isFavourite ? "favourite " : ""
+            }driver ${candidate.uid} (${candidate.distance.toFixed(
+              1
+            )}km, attempt ${dispatch.offeredDriverIds.length}).`
+          );
+          recordOfferedDrivers(dispatch);
+          return candidate.uid;
+        }
+        dispatch.currentDriverUid = null;
+      }
+
+      dispatch.radiusIndex++;
+      if (dispatch.radiusIndex < DISPATCH_RADIUS_STEPS_KM.length) {
+        console.log(
+          `[Dispatch] No untried drivers within ${radiusKm}km for ride ${rideId}. Widening to ${
+            DISPATCH_RADIUS_STEPS_KM[dispatch.radiusIndex]
+          }km.`
+        );
+      }
+    }
+
+    if (canRelaxPreferences(dispatch)) {
+      relaxRiderPreferences(dispatch);
+      return offerRideToNextDriver(rideId);
+    }
+    await markRideNoDrivers(dispatch);
+    return null;
+  }
+
+  /** Moves the rider's favourite drivers to the front, keeping distance order otherwise. */
+  function prioritiseFavourites(drivers, favouriteDriverIds) {
+    const marked = drivers.map((driver) => ({
+      ...driver,
+      isFavourite: favouriteDriverIds.includes(driver.uid),
+    }));
+    return [
+      ...marked.filter((driver) => driver.isFavourite),
+      ...marked.filter((driver) => !driver.isFavourite),
+    ];
+  }
+
+  /** Checks a driver against the rider's preferences, remembering why they were skipped. */
+  function meetsRiderPreferences(dispatch, driver) {
+    if (dispatch.preferencesRelaxed || !hasPreferences(dispatch.preferences)) {
+      return true;
+    }
+    const unmet = getUnmetPreferences(
+      driver.matchingProfile,
+      dispatch.preferences
+    );
+    if (unmet.length === 0) return true;
+    dispatch.skippedDrivers[driver.uid] = unmet;
+    return false;
+  }
+
+  /** Counts skipped drivers per unmet preference, e.g. { not_verified: 2 }. */
+  function countUnmetPreferences(dispatch) {
+    const counts = {};
+    Object.values(dispatch.skippedDrivers).forEach((unmet) =>
+      unmet.forEach((reason) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+      })
+    );
+    return counts;
+  }
+
+  function canRelaxPreferences(dispatch) {
+    return (
+      dispatch.allowPreferenceFallback &&
+      !dispatch.preferencesRelaxed &&
+      Object.keys(dispatch.skippedDrivers).length > 0
+    );
+  }
+
+  /**
+   * Retries the search without the rider's preferences (only with their consent).
+   * Drivers already offered the ride stay excluded.
+   */
+  function relaxRiderPreferences(dispatch) {
+    const { db } = firebaseConfig;
+    const unmetPreferences = countUnmetPreferences(dispatch);
+    dispatch.preferencesRelaxed = true;
+    dispatch.radiusIndex = 0;
+    console.log(
+      `[Dispatch] No driver matching preferences for ride ${dispatch.rideId}. Rider allowed fallback; searching all drivers.`
+    );
+    notifyRider(dispatch.riderId, "matching_preferences_relaxed", {
+      rideId: dispatch.rideId,
+      unmetPreferences,
+    });
+    db.collection("rides")
+      .doc(dispatch.rideId)
+      .update({
+        matchingPreferencesRelaxedAt: new Date().toISOString(),
+        unmetPreferences,
+      })
+      .catch((error) =>
+        console.error(
+          `[Dispatch] Failed to record relaxed preferences for ride ${dispatch.rideId}:`,
+          error
+        )
+      );
+  }
+
+  /** Persists the list of drivers offered a ride (best effort, for support/audit). */
+  function recordOfferedDrivers(dispatch) {
+    const { db } = firebaseConfig;
+    db.collection("rides")
+      .doc(dispatch.rideId)
+      .update({ offeredDriverIds: [...dispatch.offeredDriverIds] })
+      .catch((error) =>
+        console.error(
+          `[Dispatch] Failed to record offered drivers for ride ${dispatch.rideId}:`,
+          error
+        )
+      );
+  }
+
+  /** Ends dispatch for a ride nobody took and tells the rider. */
+  async function markRideNoDrivers(dispatch) {
+    const { db } = firebaseConfig;
+    delete rideDispatches[dispatch.rideId];
+    // Drivers were around but none matched what the rider asked for
+    const unmetPreferences = dispatch.preferencesRelaxed
+      ? null
+      : countUnmetPreferences(dispatch);
+    const noMatchingDrivers =
+      unmetPreferences && Object.keys(unmetPreferences).length > 0;
+    console.log(
+      `[Dispatch] No drivers accepted ride ${dispatch.rideId} after ${dispatch.offeredDriverIds.length} offer(s).`
+    );
+    try {
+      await transitionRide(
+        db.collection("rides").doc(dispatch.rideId),
+        RIDE_STATUS.NO_DRIVERS,
+        {
+          extraFields: {
+            offeredDriverIds: [...dispatch.offeredDriverIds],
+            cancellationReason: noMatchingDrivers
+              ? "No drivers matching your preferences were available."
+              : "No drivers available.",
+            unmetPreferences: noMatchingDrivers ? unmetPreferences : null,
+          },
+        }
+      );
+    } catch (error) {
+      console.error(
+        `[Dispatch] Failed to mark ride ${dispatch.rideId} as 'no_drivers':`,
+        error
+      );
+      // The ride moved on without us (e.g., the rider cancelled) - nothing to tell them
+      if (error instanceof InvalidRideTransitionError) return;
+    }
+    const notified = notifyRideRiders(dispatch.riderIds, "no_driver_found", {
+      rideId: dispatch.rideId,
+      scheduledPickupAt: dispatch.scheduledPickupAt,
+      code: noMatchingDrivers ? "NO_MATCHING_DRIVERS" : "NO_DRIVERS",
+      unmetPreferences: noMatchingDrivers ? unmetPreferences : null,
+    });
+    // Riders often book ahead and close the app; make sure they hear in time
+    if (!notified && dispatch.scheduledPickupAt) {
+      notifyRiderBySms(
+        dispatch.riderId,
+        "We couldn't find a driver for your scheduled ride. Please make other travel plans or request a new ride."
+      );
+    }
+    endTripSharing("ride", dispatch.rideId, "cancelled");
+  }
+
+  /**
+   * Called when the driver holding an offer rejects it, lets it time out or
+   * disconnects. Ignored if that driver no longer holds the offer.
+   */
+  function handleDriverDeclined(rideId, driverUid, reason) {
+    const dispatch = rideDispatches[rideId];
+    if (!dispatch || dispatch.currentDriverUid !== driverUid) return;
+    clearTimeout(dispatch.timeoutId);
+    console.log(
+      `[Dispatch] Offer of ride ${rideId} to driver ${driverUid} ended (${reason}). Finding next driver...`
+    );
+    offerRideToNextDriver(rideId).catch((error) =>
+      console.error(
+        `[Dispatch] Error offering ride ${rideId} to next driver:`,
+        error
+      )
+    );
+  }
+
+  /** Moves on any offer currently held by a driver who went away. */
+  function releaseDriverOffers(driverUid, reason) {
+    for (const rideId in rideDispatches) {
+      handleDriverDeclined(rideId, driverUid, reason);
+    }
+  }
+
+  /**
+   * Stops dispatching a ride (e.g., the rider cancelled while searching).
+   * Frees the driver currently holding the offer and withdraws it from their app.
+   */
+  function stopRideDispatch(rideId) {
+    const dispatch = rideDispatches[rideId];
+    if (!dispatch) return;
+    clearTimeout(dispatch.timeoutId);
+    delete rideDispatches[rideId];
+    if (dispatch.currentDriverUid) {
+      const driver = onlineDrivers[dispatch.currentDriverUid];
+      if (driver && driver.status === "pending") driver.status = "available";
+      notifyDriver(dispatch.currentDriverUid, "ride_request_cancelled", {
+        rideId,
+      });
+    }
+    console.log(`[Dispatch] Stopped dispatch for ride ${rideId}.`);
+  }
+
+  // --- Live Tracking ---
+
+  /**
+   * Handles a location update from a driver serving an active ride: forwards
+   * it to the rider (throttled) with an ETA, and samples it into the ride's trail.
+   */
+  function trackDriverLocation(driverUid, location, heading) {
+    const ride = activeRides.getRideForDriver(driverUid);
+    if (!ride) return;
+    const now = Date.now();
+
+    if (now - ride.lastTrailSampleAt >= TRAIL_SAMPLE_INTERVAL_MS) {
+      ride.lastTrailSampleAt = now;
+      ride.trailBuffer.push({
+        lat: location.lat,
+        lng: location.lng,
+        status: ride.status,
+        recordedAt: new Date(now).toISOString(),
+      });
+      if (ride.trailBuffer.length >= TRAIL_FLUSH_SIZE) flushLocationTrail(ride);
+    }
+
+    // Only the trip itself follows the chosen route
+    if (ride.status === RIDE_STATUS.ONGOING) {
+      const deviation = checkRouteDeviation(ride, location, now);
+      if (deviation) reportRouteDeviation(ride, location, deviation);
+      const stop = checkUnexpectedStop(ride, location, now);
+      if (stop) startSafetyCheckIn(ride, stop);
+    }
+
+    if (now - ride.lastForwardedAt < LOCATION_FORWARD_INTERVAL_MS) return;
+    ride.lastForwardedAt = now;
+
+    // Heading to the pickup until the trip starts, then to each stop in turn
+    // and finally the destination
+    const stopIndex =
+      ride.status === RIDE_STATUS.ONGOING ? nextStopIndex(ride.stops) : -1;
+    const etaTarget =
+      ride.status !== RIDE_STATUS.ONGOING
+        ? "pickup"
+        : stopIndex !== -1
+        ? "stop"
+        : "destination";
+    const targetLocation =
+      etaTarget === "stop"
+        ? ride.stops[stopIndex].location
+        : etaTarget === "destination"
+        ? ride.destination
+        : ride.pickup;
+    const etaMinutes =
+      ride.status === RIDE_STATUS.DRIVER_ARRIVED || !targetLocation
+        ? 0
+        : estimateEtaMinutes(location, targetLocation);
+
+    const update = {
+      location,
+      heading: heading ?? null,
+      status: ride.status,
+      etaTarget,
+      ...(etaTarget === "stop" && { stopIndex }),
+      etaMinutes,
+      timestamp: new Date(now).toISOString(),
+    };
+    // Trusted contacts following the trip see the same updates
+    tripShares.publishTripUpdate(
+      "ride",
+      ride.rideId,
+      ride.riderId,
+      "location_update",
+      update
+    );
+    // Emitted directly: notifyUser would log every few seconds per ride
+    ride.riderIds.forEach((riderId) => {
+      const riderSocketId = findSocketIdForUser(riderId);
+      if (riderSocketId) {
+        io.to(riderSocketId).emit("driver_location_update", {
+          rideId: ride.rideId,
+          ...update,
+        });
+      }
+    });
+  }
+
+  /** Appends buffered trail points to the ride's `locationTrail` in Firestore. */
+  async function flushLocationTrail(ride) {
+    if (ride.trailBuffer.length === 0) return;
+    const { db } = firebaseConfig;
+    const points = ride.trailBuffer.splice(0);
+    try {
+      await db
+        .collection("rides")
+        .doc(ride.rideId)
+        .update({
+          locationTrail: admin.firestore.FieldValue.arrayUnion(...points),
+        });
+    } catch (error) {
+      console.error(
+        `[Live Tracking] Failed to store location trail for ride ${ride.rideId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Alerts the rider (with an "I'm OK / Trigger SOS" prompt) and the safety team
+   * when an ongoing ride leaves its chosen route, and tells both when it's back.
+   */
+  function reportRouteDeviation(ride, location, deviation) {
+    const { db } = firebaseConfig;
+    const payload = {
+      rideId: ride.rideId,
+      riderId: ride.riderId,
+      driverUid: ride.driverUid,
+      location,
+      ...deviation,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (deviation.event === "back_on_route") {
+      console.log(`[Route Monitor] Ride ${ride.rideId} is back on its route.`);
+      notifyRideRiders(ride.riderIds, "route_deviation_cleared", {
+        rideId: ride.rideId,
+      });
+      io.to("safety_team_room").emit("route_deviation_cleared", payload);
+      return;
+    }
+
+    console.warn(
+      `[Route Monitor] Ride ${ride.rideId} has been ${deviation.offRouteMeters}m off its route for ${deviation.offRouteSeconds}s.`
+    );
+    notifyRideRiders(ride.riderIds, "route_deviation", {
+      rideId: ride.rideId,
+      location,
+      offRouteMeters: deviation.offRouteMeters,
+      offRouteSeconds: deviation.offRouteSeconds,
+      actions: ["im_ok", "trigger_sos"],
+    });
+    io.to("safety_team_room").emit("route_deviation_alert", payload);
+
+    // Keep a record on the ride for later review
+    db.collection("rides")
+      .doc(ride.rideId)
+      .update({
+        routeDeviations: admin.firestore.FieldValue.arrayUnion({
+          location,
+          offRouteMeters: deviation.offRouteMeters,
+          offRouteSince: deviation.offRouteSince,
+          alertedAt: payload.timestamp,
+        }),
+      })
+      .catch((error) =>
+        console.error(
+          `[Route Monitor] Failed to record deviation on ride ${ride.rideId}:`,
+          error.message
+        )
+      );
+  }
+
+  /**
+   * Asks the rider to confirm they're OK after the ride stopped unexpectedly.
+   * If they don't answer in time, escalates like a rider-triggered SOS.
+   */
+  function startSafetyCheckIn(ride, stop) {
+    if (ride.checkIn) return; // One check-in at a time
+    console.warn(
+      `[Safety Check-In] Ride ${ride.rideId} stopped for ${stop.stoppedSeconds}s away from its destination. Checking in with rider ${ride.riderId}.`
+    );
+    ride.checkIn = {
+      reason: "unexpected_stop",
+      promptedAt: new Date().toISOString(),
+      location: stop.location,
+      timeoutId: setTimeout(
+        () => escalateSafetyCheckIn(ride.rideId, "no_response"),
+        CHECK_IN_RESPONSE_SECONDS * 1000
+      ),
+    };
+    notifyRideRiders(ride.riderIds, "safety_check_in", {
+      rideId: ride.rideId,
+      reason: "unexpected_stop",
+      location: stop.location,
+      stoppedSeconds: stop.stoppedSeconds,
+      respondWithinSeconds: CHECK_IN_RESPONSE_SECONDS,
+      actions: ["im_ok", "trigger_sos"],
+    });
+    io.to("safety_team_room").emit("safety_check_in_started", {
+      rideId: ride.rideId,
+      riderId: ride.riderId,
+      driverUid: ride.driverUid,
+      ...stop,
+      timestamp: ride.checkIn.promptedAt,
+    });
+  }
+
+  /** Closes a pending check-in without escalating (the rider said they're OK). */
+  function resolveSafetyCheckIn(ride, outcome) {
+    const checkIn = ride.checkIn;
+    clearTimeout(checkIn.timeoutId);
+    ride.checkIn = null;
+    console.log(
+      `[Safety Check-In] Ride ${ride.rideId} check-in resolved: ${outcome}.`
+    );
+    io.to("safety_team_room").emit("safety_check_in_resolved", {
+      rideId: ride.rideId,
+      riderId: ride.riderId,
+      outcome,
+      timestamp: new Date().toISOString(),
+    });
+    recordSafetyCheckIn(ride.rideId, checkIn, outcome);
+  }
+
+  /**
+   * Escalates a pending check-in through the SOS path: emergency contacts get
+   * an SMS and the safety team gets an `sos_alert`. The alert is raised for
+   * the rider who asked for it, or for the one who booked the ride.
+   */
+  async function escalateSafetyCheckIn(rideId, outcome, riderUid = null) {
+    const ride = activeRides.getActiveRide(rideId);
+    if (!ride || !ride.checkIn) return;
+    const checkIn = ride.checkIn;
+    clearTimeout(checkIn.timeoutId);
+    ride.checkIn = null;
+    console.warn(
+      `[Safety Check-In] Escalating ride ${rideId} to SOS (${outcome}).`
+    );
+    notifyRideRiders(ride.riderIds, "safety_check_in_escalated", { rideId });
+    recordSafetyCheckIn(rideId, checkIn, outcome);
+    try {
+      await triggerSosAlert({
+        userId: riderUid || ride.riderId,
+        location: getDriverLocation(ride.driverUid) || checkIn.location,
+        io,
+        reason:
+          outcome === "no_response"
+            ? `Automatic alert: no response to a safety check-in after the ride stopped unexpectedly (Ride ID: ${rideId}).`
+            : `SOS requested from a safety check-in after the ride stopped unexpectedly (Ride ID: ${rideId}).`,
+        rideId,
+      });
+    } catch (error) {
+      console.error(
+        `[Safety Check-In] Failed to escalate ride ${rideId} to SOS:`,
+        error
+      );
+    }
+  }
+
+  /** Keeps a record of each check-in and its outcome on the ride. */
+  function recordSafetyCheckIn(rideId, checkIn, outcome) {
+    const { db } = firebaseConfig;
+    db.collection("rides")
+      .doc(rideId)
+      .update({
+        safetyCheckIns: admin.firestore.FieldValue.arrayUnion({
+          reason: checkIn.reason,
+          location: checkIn.location,
+          promptedAt: checkIn.promptedAt,
+          outcome,
+          resolvedAt: new Date().toISOString(),
+        }),
+      })
+      .catch((error) =>
+        console.error(
+          `[Safety Check-In] Failed to record check-in on ride ${rideId}:`,
+          error.message
+        )
+      );
+  }
+
+  /** Records a ride's new status (e.g., driver arrived, trip started) for live tracking. */
+  function updateActiveRideStatus(rideId, status) {
+    const ride = activeRides.updateRideStatus(rideId, status);
+    if (ride) {
+      tripShares.publishTripUpdate(
+        "ride",
+        rideId,
+        ride.riderId,
+        "status_update",
+        {
+          status,
+        }
+      );
+    }
+  }
+
+  /** Keeps a tracked ride's stops in sync after the driver reaches one. */
+  function updateActiveRideStops(rideId, stops) {
+    const ride = activeRides.getActiveRide(rideId);
+    if (ride) ride.stops = stops;
+  }
+
+  /** Updates a dispatching or tracked pooled ride after a rider gave up their seat. */
+  function updateActiveRidePool(
+    rideId,
+    { destination, routePolyline, stops, pool }
+  ) {
+    if (rideDispatches[rideId]) rideDispatches[rideId].riderIds = pool.riderIds;
+    const ride = activeRides.getActiveRide(rideId);
+    if (!ride) return;
+    Object.assign(ride, { destination, routePolyline, stops });
+    ride.riderIds = pool.riderIds;
+    ride.routePoints = null; // Decoded again from the new polyline
+  }
+
+  /** Stops live tracking for a ride that ended and stores the rest of its trail. */
+  function endActiveRide(rideId) {
+    const ride = activeRides.untrackRide(rideId);
+    if (!ride) return;
+    // The trip is over, so a pending check-in can no longer be answered
+    if (ride.checkIn) resolveSafetyCheckIn(ride, "ride_ended");
+    flushLocationTrail(ride);
+  }
+
+  /** Sends a live update to trusted contacts following a trip (see tripShareNamespace.js). */
+  function publishTripUpdate(tripType, tripId, ownerUid, eventName, data) {
+    tripShares.publishTripUpdate(tripType, tripId, ownerUid, eventName, data);
+  }
+
+  /**
+   * Ends all trip shares once a ride or shared journey is over: texts the
+   * contacts and disconnects anyone still watching.
+   */
+  async function endTripSharing(tripType, tripId, reason) {
+    try {
+      const endedShares = await endTripShares(tripType, tripId, reason);
+      endedShares.forEach(({ ownerUid }) =>
+        tripShares.closeTripShare(tripType, tripId, ownerUid, reason)
+      );
+    } catch (error) {
+      console.error(
+        `[Trip Share] Failed to end shares of ${tripType} ${tripId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Riders looking for company whose pickup and destination are close to this
+   * rider's: community matches, and candidates for a pooled ride.
+   */
   function findNearbyRiders(selfUid, riderLocation, riderDestination) {
     const matches = [];
-    const MAX_WALKING_DISTANCE_KM = 1.5;
-    const MAX_DESTINATION_DISTANCE_KM = 5;
+    const MAX_WALKING_DISTANCE_KM = POOL_PICKUP_RADIUS_KM;
+    const MAX_DESTINATION_DISTANCE_KM = POOL_DESTINATION_RADIUS_KM;
     for (const uid in lookingRiders) {
       if (uid === selfUid) continue;
       const otherRider = lookingRiders[uid];
-      const pickupDistance = haversine(riderLocation, otherRider.location, {
-        unit: "km",
-      });
+      // Riders may send either location format
+      const pickupDistance = distanceKm(
+        toLatLng(riderLocation),
+        toLatLng(otherRider.location)
+      );
       if (pickupDistance <= MAX_WALKING_DISTANCE_KM) {
-        const destinationDistance = haversine(
-          riderDestination,
-          otherRider.destination,
-          { unit: "km" }
+        const destinationDistance = distanceKm(
+          toLatLng(riderDestination),
+          toLatLng(otherRider.destination)
         );
         if (destinationDistance <= MAX_DESTINATION_DISTANCE_KM) {
           matches.push({
@@ -479,16 +1239,28 @@ function initializeSocket(io) {
   // --- Return Helper Functions ---
   return {
     findNearbyDrivers,
+    countSurgeDemand,
     sendRideRequestToDriver,
     findNearbyRiders,
     // NEW Helpers:
     notifyRider,
     notifyDriver,
     notifyUser, // Generic notifier
+    notifyRideRiders,
     makeDriverAvailable,
+    getDriverLocation,
     findSocketIdForUser,
+    dispatchRide,
+    stopRideDispatch,
+    updateActiveRideStatus,
+    updateActiveRideStops,
+    updateActiveRidePool,
+    endActiveRide,
+    publishTripUpdate,
+    closeTripShare: tripShares.closeTripShare,
+    endTripSharing,
   };
 } // End of initializeSocket
 
 // --- Export the Initializer ---
-module.exports = { initializeSocket };
+module.exports = { initializeSocket, DISPATCH_MAX_RADIUS_KM };
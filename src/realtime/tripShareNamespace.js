@@ -0,0 +1,81 @@
+// src/realtime/tripShareNamespace.js
+// Read-only Socket.IO namespace for trusted contacts following a shared trip.
+// Viewers connect with the share token: io("/trip-share", { auth: { token } }).
+
+const {
+  findActiveTripShare,
+  getSharedTripView,
+} = require("../services/tripShareService");
+
+/** Room for everyone watching one rider's share of a trip. */
+function tripRoom(tripType, tripId, ownerUid) {
+  return `${tripType}:${tripId}:${ownerUid}`;
+}
+
+/**
+ * Sets up the `/trip-share` namespace.
+ * @param {import("socket.io").Server} io
+ * @param {object} helpers
+ * @param {function(string): ({lat: number, lng: number}|null)} helpers.getDriverLocation
+ * @returns {{publishTripUpdate: Function, closeTripShare: Function}}
+ */
+function initializeTripShareNamespace(io, { getDriverLocation }) {
+  const namespace = io.of("/trip-share");
+
+  // Reject unknown, expired or ended links before the connection opens
+  namespace.use(async (socket, next) => {
+    try {
+      const token =
+        socket.handshake.auth?.token || socket.handshake.query?.token;
+      socket.data.share = await findActiveTripShare(token);
+      next();
+    } catch (error) {
+      next(new Error(error.message));
+    }
+  });
+
+  namespace.on("connection", async (socket) => {
+    const { share } = socket.data;
+    socket.join(tripRoom(share.tripType, share.tripId, share.ownerUid));
+    console.log(
+      `[Trip Share] Viewer ${socket.id} following ${share.tripType} ${share.tripId}.`
+    );
+
+    // Links stop working at expiry even if the viewer stays connected
+    const expiryTimer = setTimeout(() => {
+      socket.emit("trip_share_ended", { reason: "expired" });
+      socket.disconnect(true);
+    }, new Date(share.expiresAt).getTime() - Date.now());
+    socket.on("disconnect", () => clearTimeout(expiryTimer));
+
+    try {
+      socket.emit(
+        "trip_snapshot",
+        await getSharedTripView(share, getDriverLocation)
+      );
+    } catch (error) {
+      console.error(
+        `[Trip Share] Failed to send snapshot for ${share.tripType} ${share.tripId}:`,
+        error.message
+      );
+    }
+  });
+
+  /** Sends a live update (location, status...) to everyone following the trip. */
+  function publishTripUpdate(tripType, tripId, ownerUid, eventName, data) {
+    namespace
+      .to(tripRoom(tripType, tripId, ownerUid))
+      .emit(eventName, { tripType, tripId, ...data });
+  }
+
+  /** Tells viewers the trip is over and disconnects them. */
+  function closeTripShare(tripType, tripId, ownerUid, reason) {
+    const room = tripRoom(tripType, tripId, ownerUid);
+    namespace.to(room).emit("trip_share_ended", { tripType, tripId, reason });
+    namespace.in(room).disconnectSockets(true);
+  }
+
+  return { publishTripUpdate, closeTripShare };
+}
+
+module.exports = { initializeTripShareNamespace };
@@ -0,0 +1,59 @@
+// src/realtime/unexpectedStopMonitor.js
+// Spots ongoing rides that have stopped moving somewhere other than the destination
+// or one of the ride's planned stops.
+
+const { unexpectedStop: settings } = require("../config/rideMonitoring.json");
+const { distanceKm } = require("../utils/geo");
+
+/**
+ * Checks whether an ongoing ride has been stationary away from its destination
+ * for longer than the configured threshold. State is kept on the active ride
+ * entry (see activeRides.js), so each stop is reported once.
+ * @param {object} ride - Active ride entry (needs `destination`, optional `stops`).
+ * @param {{lat: number, lng: number}} location - Driver's current location.
+ * @param {number} [now] - Current time in ms.
+ * @returns {{location: {lat: number, lng: number}, stoppedSince: string, stoppedSeconds: number}|null}
+ *   Details of the stop the first time it crosses the threshold, otherwise null.
+ */
+function checkUnexpectedStop(ride, location, now = Date.now()) {
+  const stop = ride.stop;
+
+  // Moved away from where the car stopped: start watching from here
+  if (
+    !stop ||
+    distanceKm(stop.location, location) * 1000 > settings.stationaryRadiusMeters
+  ) {
+    ride.stop = { location, since: now, reported: false };
+    return null;
+  }
+  if (stop.reported) return null;
+  if (now - stop.since < settings.minStopSeconds * 1000) return null;
+
+  // Waiting near the drop-off or a planned stop is expected
+  const expectedPlaces = [
+    ride.destination,
+    ...(ride.stops || []).map((rideStop) => rideStop.location),
+  ];
+  if (
+    expectedPlaces.some(
+      (place) =>
+        place &&
+        distanceKm(stop.location, place) * 1000 <=
+          settings.destinationRadiusMeters
+    )
+  ) {
+    return null;
+  }
+
+  stop.reported = true;
+  return {
+    location: stop.location,
+    stoppedSince: new Date(stop.since).toISOString(),
+    stoppedSeconds: Math.round((now - stop.since) / 1000),
+  };
+}
+
+module.exports = {
+  checkUnexpectedStop,
+  CHECK_IN_RESPONSE_SECONDS: settings.checkInResponseSeconds,
+};
@@ -0,0 +1,91 @@
+// src/services/cancellationPolicy.js
+const policy = require("../config/cancellationPolicy.json");
+const { RIDE_STATUS } = require("./rideLifecycle");
+const { getTariffForLocation } = require("./pricingService");
+const { distanceKm } = require("../utils/geo");
+
+const CANCELLATION_REASON_CODES = policy.reasonCodes;
+const SAFETY_REASON_CODES = policy.safetyReasonCodes;
+
+/** @returns {boolean} True if the reason code is safety-related (always free). */
+function isSafetyReason(reasonCode) {
+  return SAFETY_REASON_CODES.includes(reasonCode);
+}
+
+/**
+ * Decides whether cancelling a ride costs the rider anything, and how much.
+ * Only rider cancellations are charged. Safety reasons, rides no driver has
+ * accepted yet, the grace period after acceptance and drivers still far from
+ * the pickup are always free.
+ * @param {object} params
+ * @param {object} params.rideData - Firestore ride data (before cancellation).
+ * @param {"rider"|"driver"} params.cancelledBy - Who is cancelling.
+ * @param {string} [params.reasonCode] - One of CANCELLATION_REASON_CODES.
+ * @param {{lat: number, lng: number}} [params.driverLocation] - Driver's live location, if known.
+ * @param {Date} [params.now] - Cancellation time (defaults to now).
+ * @returns {{fee: number, currency: string, reason: string, minutesSinceAccepted: number|null, driverDistanceKm: number|null}}
+ */
+function calculateCancellationFee({
+  rideData,
+  cancelledBy,
+  reasonCode,
+  driverLocation,
+  now = new Date(),
+}) {
+  const { currency } = getTariffForLocation(rideData.pickup);
+  const minutesSinceAccepted = rideData.acceptedAt
+    ? Math.max(0, (now - new Date(rideData.acceptedAt)) / 60000)
+    : null;
+  const driverDistanceKm =
+    driverLocation && rideData.pickup
+      ? distanceKm(driverLocation, rideData.pickup)
+      : null;
+
+  const result = (fee, reason) => ({
+    fee: Math.round(fee * 100) / 100,
+    currency,
+    reason,
+    minutesSinceAccepted:
+      minutesSinceAccepted !== null
+        ? Math.round(minutesSinceAccepted * 10) / 10
+        : null,
+    driverDistanceKm:
+      driverDistanceKm !== null
+        ? Math.round(driverDistanceKm * 100) / 100
+        : null,
+  });
+
+  if (cancelledBy !== "rider") return result(0, "not_cancelled_by_rider");
+  if (isSafetyReason(reasonCode)) return result(0, "safety_reason");
+  if (rideData.status === RIDE_STATUS.PENDING || minutesSinceAccepted === null)
+    return result(0, "no_driver_assigned");
+
+  // Driver is waiting at the pickup (or the trip already started)
+  if (
+    rideData.status === RIDE_STATUS.DRIVER_ARRIVED ||
+    rideData.status === RIDE_STATUS.ONGOING
+  ) {
+    return result(policy.driverArrivedFee, "driver_arrived");
+  }
+
+  if (minutesSinceAccepted < policy.gracePeriodMinutes)
+    return result(0, "within_grace_period");
+  if (
+    driverDistanceKm !== null &&
+    driverDistanceKm > policy.driverFarFromPickupKm
+  )
+    return result(0, "driver_far_from_pickup");
+
+  const fee = Math.min(
+    policy.baseFee + policy.perMinuteFee * minutesSinceAccepted,
+    policy.maxFee
+  );
+  return result(fee, "late_cancellation");
+}
+
+module.exports = {
+  CANCELLATION_REASON_CODES,
+  SAFETY_REASON_CODES,
+  isSafetyReason,
+  calculateCancellationFee,
+};
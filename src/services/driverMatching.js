@@ -0,0 +1,162 @@
+// src/services/driverMatching.js
+// Rider-side matching preferences (verified drivers only, a minimum rating,
+// a preferred driver gender where that's legally allowed) and the checks
+// dispatch uses to honour them.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { driverGenderPreference } = require("../config/matching.json");
+const { getTariffForLocation } = require("./pricingService");
+
+const DRIVER_GENDERS = ["female", "male", "non_binary"];
+// Why a driver was skipped, reported to riders when nobody matched
+const UNMET_PREFERENCE = {
+  NOT_VERIFIED: "not_verified",
+  RATING_TOO_LOW: "rating_too_low",
+  GENDER_MISMATCH: "gender_mismatch",
+};
+const NO_PREFERENCES = {
+  verifiedOnly: false,
+  minRating: null,
+  preferredDriverGender: null,
+};
+
+/** Whether riders may ask for a driver gender for pickups at this location. */
+function isGenderPreferenceAllowed(location) {
+  return driverGenderPreference.allowedTariffIds.includes(
+    getTariffForLocation(location).id
+  );
+}
+
+/** Fills in defaults for a stored (possibly partial or missing) preference set. */
+function normalizePreferences(preferences) {
+  return { ...NO_PREFERENCES, ...(preferences || {}) };
+}
+
+/** True if any preference would narrow down the drivers a rider can get. */
+function hasPreferences(preferences) {
+  return Boolean(
+    preferences &&
+      (preferences.verifiedOnly ||
+        preferences.minRating ||
+        preferences.preferredDriverGender)
+  );
+}
+
+/**
+ * Loads a rider's matching preferences as they apply to a pickup. A driver
+ * gender preference is dropped where the pickup's region doesn't allow it.
+ * @param {string} riderUid
+ * @param {{lat: number, lng: number}} pickup
+ * @returns {Promise<{verifiedOnly: boolean, minRating: number|null, preferredDriverGender: string|null}>}
+ */
+async function getMatchingPreferences(riderUid, pickup) {
+  const { db } = firebaseConfig;
+  const riderDoc = await db.collection("users").doc(riderUid).get();
+  const preferences = normalizePreferences(
+    riderDoc.exists ? riderDoc.data().matchingPreferences : null
+  );
+  if (preferences.preferredDriverGender && !isGenderPreferenceAllowed(pickup)) {
+    preferences.preferredDriverGender = null;
+  }
+  return preferences;
+}
+
+/**
+ * Gender from a verified identity document, as recorded by the verification
+ * webhook or an admin. Users can't set it themselves, so a driver can't claim
+ * a gender to be offered rides from riders who asked for it.
+ * @param {string} gender - As reported by the verification provider.
+ * @returns {string|null} A DRIVER_GENDERS value, or null if not recognised.
+ */
+function normalizeVerifiedGender(gender) {
+  const value = String(gender || "")
+    .trim()
+    .toLowerCase();
+  if (["f", "female", "woman"].includes(value)) return "female";
+  if (["m", "male", "man"].includes(value)) return "male";
+  if (["x", "non_binary", "non-binary", "nonbinary"].includes(value)) {
+    return "non_binary";
+  }
+  return null;
+}
+
+/**
+ * Loads what dispatch needs to know about a driver to apply preferences.
+ * @returns {Promise<{isVerified: boolean, rating: number|null, gender: string|null}>}
+ */
+async function loadDriverMatchingProfile(driverUid) {
+  const { db } = firebaseConfig;
+  const driverDoc = await db.collection("users").doc(driverUid).get();
+  const driver = driverDoc.exists ? driverDoc.data() : {};
+  return {
+    isVerified: driver.isVerified === true,
+    // Unrated drivers don't meet any minimum rating
+    rating: driver.ratings?.count > 0 ? driver.ratings.average : null,
+    // Only a verified gender counts; drivers without one never match a gender preference
+    gender: driver.isVerified === true ? driver.verifiedGender || null : null,
+  };
+}
+
+/**
+ * Lists the rider's preferences a driver doesn't meet.
+ * @param {object|null} driverProfile - From loadDriverMatchingProfile (null if not loaded yet).
+ * @param {object} preferences - Rider's matching preferences.
+ * @returns {string[]} UNMET_PREFERENCE values; empty if the driver matches.
+ */
+function getUnmetPreferences(driverProfile, preferences) {
+  const driver = driverProfile || {};
+  const unmet = [];
+  if (preferences.verifiedOnly && !driver.isVerified) {
+    unmet.push(UNMET_PREFERENCE.NOT_VERIFIED);
+  }
+  if (
+    preferences.minRating &&
+    !(driver.rating >= Number(preferences.minRating))
+  ) {
+    unmet.push(UNMET_PREFERENCE.RATING_TOO_LOW);
+  }
+  if (
+    preferences.preferredDriverGender &&
+    driver.gender !== preferences.preferredDriverGender
+  ) {
+    unmet.push(UNMET_PREFERENCE.GENDER_MISMATCH);
+  }
+  return unmet;
+}
+
+/**
+ * Splits nearby drivers into those matching the rider's preferences and a
+ * count of why the others didn't.
+ * @param {Array<{matchingProfile?: object}>} drivers - From findNearbyDrivers.
+ * @param {object} preferences
+ * @returns {{matching: object[], unmetCounts: Object<string, number>}}
+ */
+function partitionByPreferences(drivers, preferences) {
+  const matching = [];
+  const unmetCounts = {};
+  for (const driver of drivers) {
+    const unmet = getUnmetPreferences(driver.matchingProfile, preferences);
+    if (unmet.length === 0) {
+      matching.push(driver);
+      continue;
+    }
+    unmet.forEach((reason) => {
+      unmetCounts[reason] = (unmetCounts[reason] || 0) + 1;
+    });
+  }
+  return { matching, unmetCounts };
+}
+
+module.exports = {
+  DRIVER_GENDERS,
+  UNMET_PREFERENCE,
+  NO_PREFERENCES,
+  isGenderPreferenceAllowed,
+  normalizeVerifiedGender,
+  normalizePreferences,
+  hasPreferences,
+  getMatchingPreferences,
+  loadDriverMatchingProfile,
+  getUnmetPreferences,
+  partitionByPreferences,
+};
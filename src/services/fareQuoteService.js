@@ -0,0 +1,141 @@
+// src/services/fareQuoteService.js
+// Upfront-price quotes: the fare shown with a route is locked in for a few
+// minutes and honoured at completion if the trip goes roughly as planned.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { estimate: estimateSettings } = require("../config/tariffs.json");
+const { distanceKm } = require("../utils/geo");
+
+const QUOTE_MATCH_RADIUS_KM = 0.5; // Pickup/destination may move this far from the quoted route
+
+/** Builds an error the global error handler turns into a response. */
+function quoteError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Expired and already-used quotes look the same to the rider
+const quoteExpiredError = () =>
+  quoteError(
+    410,
+    "This fare quote has expired. Please check the price again.",
+    "QUOTE_EXPIRED"
+  );
+
+/** False once a quote has expired or locked in the price of a ride. */
+function isQuoteUsable(quote) {
+  return !quote.usedByRideId && new Date(quote.expiresAt) > new Date();
+}
+
+/**
+ * Stores a quote for a fare estimate.
+ * @param {object} params
+ * @param {string} params.riderUid - Who the quote is for.
+ * @param {{lat: number, lng: number}} params.pickup
+ * @param {{lat: number, lng: number}} params.destination
+ * @param {object} params.estimate - From pricingService.estimateFare.
+ * @param {object} [params.surge] - Surge the estimate was priced with (see surgeService.getSurge).
+ * @returns {Promise<{quoteId: string, expiresAt: string}>}
+ */
+async function createFareQuote({
+  riderUid,
+  pickup,
+  destination,
+  estimate,
+  surge,
+}) {
+  const { db } = firebaseConfig;
+  const now = new Date();
+  const expiresAt = new Date(
+    now.getTime() + estimateSettings.quoteTtlMinutes * 60 * 1000
+  ).toISOString();
+  const quoteRef = await db.collection("fare_quotes").add({
+    riderUid,
+    pickup,
+    destination,
+    tariffId: estimate.tariffId,
+    currency: estimate.currency,
+    upfrontFare: estimate.upfrontFare,
+    surge: surge || null,
+    createdAt: now.toISOString(),
+    expiresAt,
+    usedByRideId: null,
+  });
+  return { quoteId: quoteRef.id, expiresAt };
+}
+
+/**
+ * Checks a quote a rider sent with a ride request.
+ * @param {string} quoteId
+ * @param {object} params
+ * @param {string} params.riderUid
+ * @param {{lat: number, lng: number}} params.pickup - Requested pickup.
+ * @param {{lat: number, lng: number}} params.destination - Requested destination.
+ * @returns {Promise<{quoteId: string, upfrontFare: number, currency: string, tariffId: string, surge: object|null}>}
+ *   The quote as stored on the ride.
+ * @throws {Error} 404 unknown, 410 expired or already used, 409 if the trip doesn't match.
+ */
+async function validateFareQuote(quoteId, { riderUid, pickup, destination }) {
+  const { db } = firebaseConfig;
+  const quoteDoc = await db.collection("fare_quotes").doc(quoteId).get();
+  if (!quoteDoc.exists || quoteDoc.data().riderUid !== riderUid) {
+    throw quoteError(404, "Fare quote not found.", "QUOTE_NOT_FOUND");
+  }
+  const quote = quoteDoc.data();
+  if (!isQuoteUsable(quote)) throw quoteExpiredError();
+  if (
+    distanceKm(quote.pickup, pickup) > QUOTE_MATCH_RADIUS_KM ||
+    distanceKm(quote.destination, destination) > QUOTE_MATCH_RADIUS_KM
+  ) {
+    throw quoteError(
+      409,
+      "This fare quote was for a different trip.",
+      "QUOTE_MISMATCH"
+    );
+  }
+  return {
+    quoteId,
+    upfrontFare: quote.upfrontFare,
+    currency: quote.currency,
+    tariffId: quote.tariffId,
+    surge: quote.surge || null, // Locked in with the price
+  };
+}
+
+/**
+ * Marks a quote as used by a ride about to be created, in a transaction, so
+ * two requests sent with the same quote can't both lock in its price.
+ * @throws {Error} 410 if it expired or another ride took it since validation.
+ */
+async function claimFareQuote(quoteId, rideId) {
+  const { db } = firebaseConfig;
+  const quoteRef = db.collection("fare_quotes").doc(quoteId);
+  await db.runTransaction(async (t) => {
+    const quoteDoc = await t.get(quoteRef);
+    if (!quoteDoc.exists || !isQuoteUsable(quoteDoc.data())) {
+      throw quoteExpiredError();
+    }
+    t.update(quoteRef, {
+      usedByRideId: rideId,
+      usedAt: new Date().toISOString(),
+    });
+  });
+}
+
+/** Frees a claimed quote again if its ride couldn't be created. */
+async function releaseFareQuote(quoteId) {
+  const { db } = firebaseConfig;
+  await db.collection("fare_quotes").doc(quoteId).update({
+    usedByRideId: null,
+    usedAt: null,
+  });
+}
+
+module.exports = {
+  createFareQuote,
+  validateFareQuote,
+  claimFareQuote,
+  releaseFareQuote,
+};
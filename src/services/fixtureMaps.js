@@ -0,0 +1,186 @@
+// src/services/fixtureMaps.js
+// Offline implementation of the map provider interface (see mapProvider.js),
+// backed by GeoJSON POIs and canned routes. Trips without a canned route get
+// a straight-line route through their stops, so any request has an answer.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  distanceKm,
+  encodePolyline,
+  estimateEtaMinutes,
+  pathLengthKm,
+} = require("../utils/geo");
+
+const FIXTURES_DIR =
+  process.env.MAP_FIXTURES_DIR ||
+  path.join(__dirname, "..", "fixtures", "maps");
+const ROUTE_MATCH_RADIUS_KM = 1; // Origin/destination may be this far from a canned route's
+const REVERSE_GEOCODE_RADIUS_KM = 1;
+const STEPS_PER_SYNTHETIC_LEG = 4;
+
+/** Reads a JSON fixture file from the fixtures directory. */
+function loadFixture(fileName) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fileName), "utf8"));
+}
+
+const pois = loadFixture("pois.geojson").features.map((feature) => ({
+  place_id: feature.properties.place_id,
+  name: feature.properties.name,
+  types: feature.properties.types,
+  vicinity: feature.properties.vicinity || null,
+  geometry: {
+    location: {
+      lat: feature.geometry.coordinates[1], // GeoJSON is [lng, lat]
+      lng: feature.geometry.coordinates[0],
+    },
+  },
+}));
+const cannedTrips = loadFixture("routes.json").trips;
+console.log(
+  `[Fixture Maps] Loaded ${pois.length} POIs and ${cannedTrips.length} canned trips from ${FIXTURES_DIR}.`
+);
+
+/** Google Directions-style { text, value } for a distance in metres. */
+const toDistance = (meters) => ({
+  text: `${(meters / 1000).toFixed(1)} km`,
+  value: Math.round(meters),
+});
+
+/** Google Directions-style { text, value } for a duration in seconds. */
+const toDuration = (seconds) => ({
+  text: `${Math.round(seconds / 60)} mins`,
+  value: Math.round(seconds),
+});
+
+/**
+ * Builds a Google Directions-shaped route. Each leg is a path of points, and
+ * each segment of a path becomes a step.
+ * @param {string} summary
+ * @param {Array<Array<{lat: number, lng: number}>>} legPaths
+ * @param {number} [durationMinutes] - Whole-route duration; estimated if omitted.
+ */
+function buildRoute(summary, legPaths, durationMinutes) {
+  const routeKm = legPaths.reduce((sum, leg) => sum + pathLengthKm(leg), 0);
+  const legs = legPaths.map((legPath) => {
+    const steps = [];
+    for (let i = 1; i < legPath.length; i++) {
+      const stepKm = distanceKm(legPath[i - 1], legPath[i]);
+      steps.push({
+        start_location: legPath[i - 1],
+        end_location: legPath[i],
+        distance: toDistance(stepKm * 1000),
+        duration: toDuration(
+          estimateEtaMinutes(legPath[i - 1], legPath[i]) * 60
+        ),
+      });
+    }
+    const legKm = pathLengthKm(legPath);
+    const legSeconds =
+      durationMinutes != null && routeKm > 0
+        ? (durationMinutes * 60 * legKm) / routeKm // Shared out by length
+        : steps.reduce((sum, step) => sum + step.duration.value, 0);
+    return {
+      start_location: legPath[0],
+      end_location: legPath[legPath.length - 1],
+      distance: toDistance(legKm * 1000),
+      duration: toDuration(legSeconds),
+      steps,
+    };
+  });
+  const allPoints = legPaths.flatMap((legPath, index) =>
+    index === 0 ? legPath : legPath.slice(1)
+  );
+  return {
+    summary,
+    legs,
+    overview_polyline: { points: encodePolyline(allPoints) },
+    warnings: ["Offline fixture route"],
+  };
+}
+
+/** Evenly spaced points from `from` to `to`, both included. */
+function straightLine(from, to, segments) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    points.push({
+      lat: from.lat + (to.lat - from.lat) * t,
+      lng: from.lng + (to.lng - from.lng) * t,
+    });
+  }
+  return points;
+}
+
+/** Canned trips apply to requests starting and ending near their own ends. */
+function findCannedTrip(origin, destination) {
+  return cannedTrips.find(
+    (trip) =>
+      distanceKm(trip.origin, origin) <= ROUTE_MATCH_RADIUS_KM &&
+      distanceKm(trip.destination, destination) <= ROUTE_MATCH_RADIUS_KM
+  );
+}
+
+exports.getAlternativeRoutes = async (origin, destination, waypoints = []) => {
+  // Canned alternatives have a single leg, so they only serve trips without stops
+  const trip = waypoints.length === 0 && findCannedTrip(origin, destination);
+  if (trip) {
+    console.log(`[Fixture Maps] Using canned routes for "${trip.name}".`);
+    return trip.alternatives.map((alternative) =>
+      buildRoute(
+        alternative.summary,
+        [alternative.path.map(([lat, lng]) => ({ lat, lng }))],
+        alternative.durationMinutes
+      )
+    );
+  }
+
+  const ends = [origin, ...waypoints, destination];
+  const legPaths = [];
+  for (let i = 1; i < ends.length; i++) {
+    legPaths.push(straightLine(ends[i - 1], ends[i], STEPS_PER_SYNTHETIC_LEG));
+  }
+  return [buildRoute("Direct (straight line)", legPaths)];
+};
+
+exports.findPOIsNearLocation = async (location, poiTypes, radius = 500) =>
+  pois.filter(
+    (poi) =>
+      poi.types.some((type) => poiTypes.includes(type)) &&
+      distanceKm(location, poi.geometry.location) * 1000 <= radius
+  );
+
+/** A POI as a geocoding result. */
+const toGeocodeResult = (poi) => ({
+  formattedAddress: poi.vicinity ? `${poi.name}, ${poi.vicinity}` : poi.name,
+  location: poi.geometry.location,
+  placeId: poi.place_id,
+});
+
+// Matches the fixture POIs by name or address
+exports.geocodeAddress = async (address) => {
+  const query = String(address).trim().toLowerCase();
+  if (!query) return [];
+  return pois
+    .filter((poi) =>
+      toGeocodeResult(poi).formattedAddress.toLowerCase().includes(query)
+    )
+    .map(toGeocodeResult);
+};
+
+// The nearest fixture POI stands in for the address at a point
+exports.reverseGeocode = async (location) => {
+  let nearest = null;
+  let nearestKm = REVERSE_GEOCODE_RADIUS_KM;
+  pois.forEach((poi) => {
+    const km = distanceKm(location, poi.geometry.location);
+    if (km <= nearestKm) {
+      nearest = poi;
+      nearestKm = km;
+    }
+  });
+  return nearest ? toGeocodeResult(nearest) : null;
+};
+
+// No map images offline
+exports.getStaticMapUrl = () => null;
@@ -1,14 +1,17 @@
+// Google implementation of the map provider interface (see mapProvider.js)
 const axios = require('axios');
 
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const PLACES_API_BASE_URL = 'https://maps.googleapis.com/maps/api/place/nearbysearch/json';
 const DIRECTIONS_API_BASE_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+const GEOCODING_API_BASE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
 
 if (!GOOGLE_MAPS_API_KEY) {
     console.warn("[Google Maps Service] GOOGLE_MAPS_API_KEY is missing!");
 }
 
-exports.getAlternativeRoutes = async (origin, destination) => {
+// Optional waypoints ({ lat, lng }) are stops, so each one starts a new leg in the returned routes
+exports.getAlternativeRoutes = async (origin, destination, waypoints = []) => {
   if (!GOOGLE_MAPS_API_KEY) return [];
   try {
     const params = {
@@ -18,7 +21,10 @@ exports.getAlternativeRoutes = async (origin, destination) => {
       provideRouteAlternatives: true,
       travelMode: 'DRIVING',
     };
-    console.log(`[Google Maps] Directions requested: ${params.origin} to ${params.destination}`);
+    if (waypoints.length > 0) {
+      params.waypoints = waypoints.map(w => `${w.lat},${w.lng}`).join('|');
+    }
+    console.log(`[Google Maps] Directions requested: ${params.origin} to ${params.destination} (${waypoints.length} stop(s))`);
     const response = await axios.get(DIRECTIONS_API_BASE_URL, { params });
 
     if (response.data.status !== 'OK') {
@@ -32,59 +38,85 @@ exports.getAlternativeRoutes = async (origin, destination) => {
   }
 };
 
-// Updated to search multiple points along the route
-exports.findPOIsAlongRoute = async (route, poiTypes, radius = 1500) => {
-  if (!GOOGLE_MAPS_API_KEY || !route?.legs?.[0]?.steps) return [];
-
-  try {
-    const leg = route.legs[0];
-    const steps = leg.steps;
-    let searchLocations = [];
-
-    // 1. Pick 5 strategic points: Start, End, and 3 equidistant points in between
-    searchLocations.push(leg.start_location);
-    if (steps.length > 0) {
-        const stepCount = steps.length;
-        searchLocations.push(steps[Math.floor(stepCount * 0.25)].end_location); // 25%
-        searchLocations.push(steps[Math.floor(stepCount * 0.50)].end_location); // 50%
-        searchLocations.push(steps[Math.floor(stepCount * 0.75)].end_location); // 75%
+// POIs around a single point. Rejects if any lookup fails, so callers
+// (the places cache) don't mistake a failure for an empty area.
+exports.findPOIsNearLocation = async (location, poiTypes, radius = 500) => {
+  if (!GOOGLE_MAPS_API_KEY) return [];
+  const uniquePlaces = new Map();
+  const responses = await Promise.all(poiTypes.map(type =>
+    axios.get(PLACES_API_BASE_URL, {
+      params: {
+        location: `${location.lat},${location.lng}`,
+        radius: radius,
+        type: type,
+        key: GOOGLE_MAPS_API_KEY,
+      }
+    }).catch(e => ({ data: { status: 'ERROR', error_message: e.message } }))
+  ));
+  responses.forEach(res => {
+    if (res.data?.status === 'OK') {
+      res.data.results.forEach(place => uniquePlaces.set(place.place_id, place));
+    } else if (res.data?.status !== 'ZERO_RESULTS') {
+      throw new Error(`Places search failed: ${res.data?.status} ${res.data?.error_message || ''}`.trim());
     }
-    searchLocations.push(leg.end_location);
-
-    console.log(`[Google Maps] Scanning ${searchLocations.length} points along route for POIs...`);
-
-    const uniquePlaces = new Map();
-
-    // 2. Search around each point
-    for (const location of searchLocations) {
-        const searchPromises = poiTypes.map(type => {
-            return axios.get(PLACES_API_BASE_URL, {
-                params: {
-                    location: `${location.lat},${location.lng}`,
-                    radius: radius, // Increased radius
-                    type: type,
-                    key: GOOGLE_MAPS_API_KEY,
-                }
-            }).catch(e => ({ data: { status: 'ERROR' } })); // Catch individual errors
-        });
+  });
+  return Array.from(uniquePlaces.values());
+};
 
-        const responses = await Promise.all(searchPromises);
+// A Google geocoding result in the provider's shape
+const toGeocodeResult = (result) => ({
+  formattedAddress: result.formatted_address,
+  location: result.geometry.location,
+  placeId: result.place_id,
+});
 
-        responses.forEach(res => {
-            if (res.data?.status === 'OK') {
-                res.data.results.forEach(place => {
-                    uniquePlaces.set(place.place_id, place); // Store by ID to avoid duplicates
-                });
-            }
-        });
+// Best matches first; empty if nothing matches (or the lookup fails)
+exports.geocodeAddress = async (address) => {
+  if (!GOOGLE_MAPS_API_KEY) return [];
+  try {
+    const response = await axios.get(GEOCODING_API_BASE_URL, {
+      params: { address: address, key: GOOGLE_MAPS_API_KEY },
+    });
+    if (response.data.status !== 'OK') {
+      if (response.data.status !== 'ZERO_RESULTS') {
+        console.error('[Google Maps] Geocoding Error:', response.data.status, response.data.error_message);
+      }
+      return [];
     }
-
-    const results = Array.from(uniquePlaces.values());
-    console.log(`[Google Maps] Found ${results.length} unique POIs total.`);
-    return results;
-
+    return response.data.results.map(toGeocodeResult);
   } catch (error) {
-    console.error('[Google Maps] POI Search Error:', error.message);
+    console.error('[Google Maps] Geocoding Network Error:', error.message);
     return [];
   }
-};
\ No newline at end of file
+};
+
+// The address at a point, or null if there isn't one
+exports.reverseGeocode = async (location) => {
+  if (!GOOGLE_MAPS_API_KEY) return null;
+  try {
+    const response = await axios.get(GEOCODING_API_BASE_URL, {
+      params: { latlng: `${location.lat},${location.lng}`, key: GOOGLE_MAPS_API_KEY },
+    });
+    if (response.data.status !== 'OK') {
+      if (response.data.status !== 'ZERO_RESULTS') {
+        console.error('[Google Maps] Reverse Geocoding Error:', response.data.status, response.data.error_message);
+      }
+      return null;
+    }
+    return toGeocodeResult(response.data.results[0]);
+  } catch (error) {
+    console.error('[Google Maps] Reverse Geocoding Network Error:', error.message);
+    return null;
+  }
+};
+
+// Static map image of a route (encoded polyline), e.g. for receipts. Null without an API key.
+exports.getStaticMapUrl = (encodedPolyline, size = '600x300') => {
+  if (!GOOGLE_MAPS_API_KEY || !encodedPolyline) return null;
+  const params = new URLSearchParams({
+    size: size,
+    path: `weight:4|color:0x6a1b9aff|enc:${encodedPolyline}`,
+    key: GOOGLE_MAPS_API_KEY,
+  });
+  return `https://maps.googleapis.com/maps/api/staticmap?${params.toString()}`;
+};
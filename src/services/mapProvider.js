@@ -0,0 +1,204 @@
+// src/services/mapProvider.js
+// The maps API the rest of the app uses: directions, nearby-POI search and
+// geocoding, served by Google or by local fixture data (see fixtureMaps.js)
+// so routing and safety scoring work without network access.
+
+/**
+ * @typedef {object} MapProvider
+ * @property {(origin: object, destination: object, waypoints?: object[]) => Promise<object[]>} getAlternativeRoutes
+ *   Google Directions-shaped routes (`legs[].steps`, `overview_polyline`);
+ *   each waypoint ({ lat, lng }) starts a new leg. Empty if none are found.
+ * @property {(location: object, poiTypes: string[], radius?: number) => Promise<object[]>} findPOIsNearLocation
+ *   Google Places-shaped results (`place_id`, `name`, `types`, `geometry.location`)
+ *   of any of the types within `radius` metres.
+ * @property {(address: string) => Promise<Array<{formattedAddress: string, location: object, placeId: string}>>} geocodeAddress
+ * @property {(location: object) => Promise<{formattedAddress: string, location: object, placeId: string}|null>} reverseGeocode
+ * @property {(encodedPolyline: string, size?: string) => string|null} getStaticMapUrl
+ */
+
+const {
+  decodePolyline,
+  distanceKm,
+  distanceToPathKm,
+  samplePath,
+} = require("../utils/geo");
+const {
+  cellsAround,
+  findPlacesInCells,
+  clearPlacesCache,
+} = require("./placesCache");
+
+const PROVIDERS = {
+  google: () => require("./googleMaps"),
+  fixtures: () => require("./fixtureMaps"),
+};
+
+/**
+ * Picks the provider from `MAP_PROVIDER`. Without it, Google is used when an
+ * API key is set (always in production) and the fixtures otherwise.
+ */
+function resolveProviderName() {
+  if (process.env.MAP_PROVIDER) return process.env.MAP_PROVIDER;
+  if (
+    process.env.GOOGLE_MAPS_API_KEY ||
+    process.env.NODE_ENV === "production"
+  ) {
+    return "google";
+  }
+  console.warn(
+    "[Maps] GOOGLE_MAPS_API_KEY is not set; using offline fixture map data."
+  );
+  return "fixtures";
+}
+
+let providerName = null;
+let provider = null;
+
+/**
+ * Switches the map provider, e.g. to the fixtures in tests.
+ * @param {string} name - "google" or "fixtures".
+ */
+function setMapProvider(name) {
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `Unknown map provider "${name}" (expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}).`
+    );
+  }
+  provider = PROVIDERS[name]();
+  providerName = name;
+  clearPlacesCache(); // Cached places came from the previous provider
+  console.log(`[Maps] Using the ${name} map provider.`);
+}
+
+/** @returns {MapProvider} */
+function getProvider() {
+  if (!provider) setMapProvider(resolveProviderName());
+  return provider;
+}
+
+/** Name of the provider in use ("google" or "fixtures"). */
+function getMapProviderName() {
+  getProvider();
+  return providerName;
+}
+
+/** A route's path: its decoded overview polyline, or its step ends without one. */
+function routePath(route) {
+  const decoded = decodePolyline(route.overview_polyline?.points);
+  if (decoded.length > 0) return decoded;
+  return [
+    route.legs[0].start_location,
+    ...route.legs.flatMap((leg) =>
+      (leg.steps || []).map((step) => step.end_location)
+    ),
+  ];
+}
+
+/**
+ * Centres of the circles to search for POIs along a path. They are one
+ * radius apart on every route, however long, so the corridor stays about
+ * 0.87 radii wide on each side without gaps; what a long route costs in
+ * provider requests is bounded by the places cache and its budget instead.
+ * Circles that would mostly overlap one already searched (where the route
+ * doubles back or passes the same place twice) are merged into it.
+ * @param {Array<{lat: number, lng: number}>} path
+ * @param {number} radiusKm - Search radius.
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function routeSearchLocations(path, radiusKm) {
+  const searchLocations = [];
+  samplePath(path, radiusKm).forEach((point) => {
+    const overlaps = searchLocations.some(
+      (kept) => distanceKm(kept, point) < radiusKm / 2
+    );
+    if (!overlaps) searchLocations.push(point);
+  });
+  return searchLocations;
+}
+
+/** Asks the current provider for places of one type around a point. */
+const fetchPlaces = (location, type, radiusMeters) =>
+  getProvider().findPOIsNearLocation(location, [type], radiusMeters);
+
+/**
+ * POIs of the given types along a route (every leg, for routes with stops).
+ * Each place gets `distanceToRouteMeters`, its distance to the nearest
+ * segment of the route; places farther than `radius` from it are left out.
+ * Lookups go through the places cache (see placesCache.js).
+ * @param {object} route - From getAlternativeRoutes.
+ * @param {string[]} poiTypes - Places types, e.g. "police".
+ * @param {number} [radius] - Search radius in metres around the route.
+ * @returns {Promise<{places: object[], complete: boolean}>} Unique places;
+ *   `complete` is false if part of the route couldn't be searched.
+ */
+async function findPOIsAlongRoute(route, poiTypes, radius = 1500) {
+  if (!route?.legs?.[0]) return { places: [], complete: false };
+  try {
+    const path = routePath(route);
+    const searchLocations = routeSearchLocations(path, radius / 1000);
+    const cells = cellsAround(searchLocations, radius / 1000);
+    console.log(
+      `[Maps] Scanning ${cells.length} cells around ${searchLocations.length} points along route for POIs...`
+    );
+    const { places, complete } = await findPlacesInCells(
+      cells,
+      poiTypes,
+      fetchPlaces
+    );
+    const placesAlongRoute = [];
+    places.forEach((place) => {
+      const distanceToRouteMeters = Math.round(
+        distanceToPathKm(place.geometry.location, path) * 1000
+      );
+      if (distanceToRouteMeters > radius) return;
+      placesAlongRoute.push({ ...place, distanceToRouteMeters });
+    });
+    return { places: placesAlongRoute, complete };
+  } catch (error) {
+    console.error("[Maps] POI Search Error:", error.message);
+    return { places: [], complete: false };
+  }
+}
+
+/**
+ * POIs of the given types around a point (e.g., a stop where someone gets
+ * out), through the places cache.
+ * @param {{lat: number, lng: number}} location
+ * @param {string[]} poiTypes
+ * @param {number} [radius] - In metres.
+ * @returns {Promise<{places: object[], complete: boolean}>}
+ */
+async function findPOIsNearLocation(location, poiTypes, radius = 500) {
+  try {
+    const cells = cellsAround([location], radius / 1000);
+    const { places, complete } = await findPlacesInCells(
+      cells,
+      poiTypes,
+      fetchPlaces
+    );
+    return {
+      places: places.filter(
+        (place) =>
+          distanceKm(location, place.geometry.location) * 1000 <= radius
+      ),
+      complete,
+    };
+  } catch (error) {
+    console.error("[Maps] POI Search Error:", error.message);
+    return { places: [], complete: false };
+  }
+}
+
+module.exports = {
+  setMapProvider,
+  getMapProviderName,
+  getAlternativeRoutes: (...args) =>
+    getProvider().getAlternativeRoutes(...args),
+  findPOIsAlongRoute,
+  findPOIsNearLocation,
+  geocodeAddress: (address) => getProvider().geocodeAddress(address),
+  reverseGeocode: (location) => getProvider().reverseGeocode(location),
+  getStaticMapUrl: (...args) => getProvider().getStaticMapUrl(...args),
+};
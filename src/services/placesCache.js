@@ -0,0 +1,233 @@
+// src/services/placesCache.js
+// Shared cache for nearby-POI lookups. Results are stored per geohash cell
+// and POI type, so routes and riders passing the same area reuse them, and
+// the map provider is only asked about a cell once per TTL. Areas are
+// searched a coarse cell at a time, and split into the fine cells a search
+// needs where the provider's result cap was hit, a few new fine cells per
+// search. Concurrent lookups of the same cell share one request, and a
+// per-minute request budget caps what we send to the provider; past it,
+// stale cells are served and uncached ones skipped. Skipped cells, and cells
+// that may hold more places than the provider returned, make the lookup
+// incomplete.
+
+const {
+  distanceKm,
+  geohashBounds,
+  geohashesCoveringCircle,
+} = require("../utils/geo");
+
+const COARSE_PRECISION = 5; // About 4.9 x 4.9 km cells
+const FINE_PRECISION = 6; // About 1.2 x 0.6 km cells
+// Nearby Search returns at most this many places per request; a coarse cell
+// with this many may have more, so its fine cells are searched as well
+const PROVIDER_MAX_RESULTS = 20;
+// New fine-cell requests one search may make; fine cells already cached
+// don't count, so busy areas fill in over a few searches
+const MAX_SPLIT_REQUESTS_PER_SEARCH = 8;
+const CACHE_TTL_MS =
+  parseFloat(process.env.PLACES_CACHE_TTL_HOURS || "24") * 60 * 60 * 1000;
+const MAX_CACHED_CELLS = 20000; // Oldest entries are evicted beyond this
+// A cold search for a 20 km trip (three alternatives, 12 POI types) costs
+// about 120 requests, and at most about 170 where every type hits the
+// result cap
+const REQUESTS_PER_MINUTE = parseInt(
+  process.env.PLACES_REQUESTS_PER_MINUTE || "1000",
+  10
+);
+const MAX_CONCURRENT_REQUESTS = 8;
+
+// `${cell}:${type}` -> { places, truncated, fetchedAt }, oldest first
+const cache = new Map();
+// `${cell}:${type}` -> Promise of the provider request in flight
+const inFlight = new Map();
+const budget = { windowStart: 0, used: 0 };
+
+/** Takes one request from this minute's budget; false if it's spent. */
+function takeFromBudget() {
+  const now = Date.now();
+  if (now - budget.windowStart >= 60 * 1000) {
+    budget.windowStart = now;
+    budget.used = 0;
+  }
+  if (budget.used >= REQUESTS_PER_MINUTE) return false;
+  budget.used += 1;
+  return true;
+}
+
+/** Stores a cell's places, evicting the oldest cells past the size limit. */
+function storeCell(key, entry) {
+  cache.delete(key); // Re-inserting keeps the map ordered by age
+  cache.set(key, { ...entry, fetchedAt: Date.now() });
+  while (cache.size > MAX_CACHED_CELLS) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/** A cell's cached places of one type, if they are still fresh. */
+function freshCell(cell, type) {
+  const cached = cache.get(`${cell}:${type}`);
+  return cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS ? cached : null;
+}
+
+/**
+ * Places of one type in one cell: from the cache while fresh, otherwise from
+ * the provider (sharing any request already in flight for the cell).
+ * @returns {Promise<{places: object[], truncated: boolean}|null>} Null if
+ *   the cell couldn't be looked up; `truncated` if the provider's result cap
+ *   was hit, so the cell may have more places.
+ */
+async function getCellPlaces(cell, type, fetchPlaces) {
+  const key = `${cell}:${type}`;
+  const fresh = freshCell(cell, type);
+  if (fresh) return fresh;
+  const cached = cache.get(key);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  if (!takeFromBudget()) {
+    // Degrade: stale results are better than none
+    return cached || null;
+  }
+
+  // Search the circle around the cell, then keep what's inside the cell
+  const bounds = geohashBounds(cell);
+  const center = {
+    lat: (bounds.south + bounds.north) / 2,
+    lng: (bounds.west + bounds.east) / 2,
+  };
+  const radiusMeters = Math.ceil(
+    distanceKm(center, { lat: bounds.north, lng: bounds.east }) * 1000
+  );
+  const request = fetchPlaces(center, type, radiusMeters)
+    .then((places) => {
+      const inCell = places.filter((place) => {
+        const { lat, lng } = place.geometry.location;
+        return (
+          lat >= bounds.south &&
+          lat < bounds.north &&
+          lng >= bounds.west &&
+          lng < bounds.east
+        );
+      });
+      const entry = {
+        places: inCell,
+        truncated: places.length >= PROVIDER_MAX_RESULTS,
+      };
+      storeCell(key, entry);
+      return entry;
+    })
+    .catch((error) => {
+      console.error(
+        `[Places Cache] Lookup failed for cell ${cell} (${type}):`,
+        error.message
+      );
+      return cached || null;
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Cells to look up to find everything within `radiusKm` of any of the points.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number} radiusKm
+ * @returns {string[]}
+ */
+function cellsAround(points, radiusKm) {
+  const cells = new Set();
+  points.forEach((point) =>
+    geohashesCoveringCircle(point, radiusKm, FINE_PRECISION).forEach((cell) =>
+      cells.add(cell)
+    )
+  );
+  return Array.from(cells);
+}
+
+/**
+ * Places of the given types in the given cells, searched through the coarse
+ * cells containing them (so results may reach past the cells asked for).
+ * @param {string[]} cells - From cellsAround.
+ * @param {string[]} poiTypes
+ * @param {(location: object, type: string, radiusMeters: number) => Promise<object[]>} fetchPlaces
+ *   Asks the map provider for places of one type around a point.
+ * @returns {Promise<{places: object[], complete: boolean}>} Unique places;
+ *   `complete` is false if some cells were skipped (budget spent or lookups
+ *   failed) or may hold more places than the provider returned.
+ */
+async function findPlacesInCells(cells, poiTypes, fetchPlaces) {
+  // Coarse cell -> the fine cells under it that were asked for
+  const fineCells = new Map();
+  cells.forEach((cell) => {
+    const coarse = cell.slice(0, COARSE_PRECISION);
+    if (!fineCells.has(coarse)) fineCells.set(coarse, []);
+    fineCells.get(coarse).push(cell);
+  });
+  const lookups = Array.from(fineCells.keys()).flatMap((cell) =>
+    poiTypes.map((type) => ({ cell, type }))
+  );
+  const uniquePlaces = new Map();
+  let skipped = 0;
+  let truncated = 0;
+  let splitsLeft = MAX_SPLIT_REQUESTS_PER_SEARCH;
+
+  // A few requests at a time rather than one batch per point
+  let next = 0;
+  const worker = async () => {
+    while (next < lookups.length) {
+      const { cell, type } = lookups[next++];
+      const result = await getCellPlaces(cell, type, fetchPlaces);
+      if (!result) {
+        skipped += 1;
+        continue;
+      }
+      result.places.forEach((place) => uniquePlaces.set(place.place_id, place));
+      if (!result.truncated) continue;
+      if (!fineCells.has(cell)) {
+        truncated += 1; // A fine cell can't be split any further
+        continue;
+      }
+      fineCells.get(cell).forEach((fineCell) => {
+        const known =
+          freshCell(fineCell, type) || inFlight.has(`${fineCell}:${type}`);
+        if (known || splitsLeft > 0) {
+          if (!known) splitsLeft -= 1;
+          lookups.push({ cell: fineCell, type });
+        } else {
+          truncated += 1;
+        }
+      });
+    }
+  };
+  await Promise.all(
+    Array.from(
+      { length: Math.min(MAX_CONCURRENT_REQUESTS, lookups.length) },
+      worker
+    )
+  );
+
+  if (skipped > 0) {
+    console.warn(
+      `[Places Cache] Skipped ${skipped} of ${lookups.length} cell lookups (request budget spent or lookups failed).`
+    );
+  }
+  if (truncated > 0) {
+    console.warn(
+      `[Places Cache] ${truncated} cell lookups may be missing places (provider result cap hit).`
+    );
+  }
+  return {
+    places: Array.from(uniquePlaces.values()),
+    complete: skipped === 0 && truncated === 0,
+  };
+}
+
+/** Empties the cache, e.g. when the map provider changes. */
+function clearPlacesCache() {
+  cache.clear();
+}
+
+module.exports = {
+  cellsAround,
+  findPlacesInCells,
+  clearPlacesCache,
+};
@@ -0,0 +1,192 @@
+// src/services/pricingService.js
+const tariffs = require("../config/tariffs.json");
+const { distanceKm, decodePolyline, pathLengthKm } = require("../utils/geo");
+
+/** Rounds a money/measurement value to 2 decimal places. */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Picks the tariff for a location: the first configured city whose radius
+ * contains the point, otherwise the default tariff.
+ * @param {{lat: number, lng: number}} location - Usually the pickup location.
+ * @returns {object} Tariff with `id`, `currency`, `baseFare`, `perKm`, `perMinute`, `minimumFare`.
+ */
+function getTariffForLocation(location) {
+  if (location && typeof location.lat === "number") {
+    const city = tariffs.cities.find(
+      (c) => distanceKm(location, c.center) <= c.radiusKm
+    );
+    if (city) return city;
+  }
+  return { id: "default", ...tariffs.default };
+}
+
+/**
+ * Works out the trip distance. Prefers the length of the stored route polyline,
+ * falls back to straight-line distances from pickup through any stops to dropoff.
+ * @returns {{distanceKm: number, source: "polyline" | "haversine"}}
+ */
+function resolveDistance(pickup, dropoff, routePolyline, stops = []) {
+  const points = decodePolyline(routePolyline);
+  if (points.length >= 2) {
+    return { distanceKm: pathLengthKm(points), source: "polyline" };
+  }
+  if (pickup && dropoff) {
+    // Straight lines leg by leg, through every intermediate stop
+    const path = [pickup, ...stops.map((stop) => stop.location), dropoff];
+    return { distanceKm: pathLengthKm(path), source: "haversine" };
+  }
+  return { distanceKm: 0, source: "haversine" };
+}
+
+/**
+ * Calculates the fare for a ride and returns an itemised breakdown.
+ * @param {object} params
+ * @param {{lat: number, lng: number}} params.pickup - Pickup coordinates (also selects the tariff).
+ * @param {{lat: number, lng: number}} params.dropoff - Actual or planned dropoff coordinates.
+ * @param {string} [params.routePolyline] - Encoded route polyline stored on the ride.
+ * @param {Array<{location: {lat: number, lng: number}}>} [params.stops] - Intermediate stops, in order.
+ * @param {string} [params.startedAt] - ISO timestamp the trip started.
+ * @param {string} [params.endedAt] - ISO timestamp the trip ended (defaults to now).
+ * @param {number} [params.surgeMultiplier] - Surge locked in when the ride was requested (see surgeService).
+ * @returns {object} Fare breakdown; `total` is the amount to charge in `currency`.
+ */
+function calculateFare({
+  pickup,
+  dropoff,
+  routePolyline,
+  stops = [],
+  startedAt,
+  endedAt,
+  surgeMultiplier = 1,
+}) {
+  const tariff = getTariffForLocation(pickup);
+  // The route polyline already covers every leg when the ride has stops
+  const distance = resolveDistance(pickup, dropoff, routePolyline, stops);
+
+  const endTime = endedAt ? new Date(endedAt) : new Date();
+  const startTime = startedAt ? new Date(startedAt) : endTime;
+  const durationMinutes = Math.max(0, (endTime - startTime) / 60000);
+
+  return {
+    tariffId: tariff.id,
+    currency: tariff.currency,
+    distanceKm: round2(distance.distanceKm),
+    distanceSource: distance.source,
+    stopCount: stops.length,
+    durationMinutes: round2(durationMinutes),
+    ...priceTrip(tariff, distance.distanceKm, durationMinutes, surgeMultiplier),
+  };
+}
+
+/** Applies a tariff (and surge) to a trip's distance and duration. */
+function priceTrip(tariff, tripKm, durationMinutes, surgeMultiplier = 1) {
+  const baseFare = tariff.baseFare;
+  const distanceFare = tripKm * tariff.perKm;
+  const timeFare = durationMinutes * tariff.perMinute;
+  const subtotal = baseFare + distanceFare + timeFare;
+  const surgeAmount = subtotal * (surgeMultiplier - 1);
+  const surged = subtotal + surgeAmount;
+  const minimumFareApplied = surged < tariff.minimumFare;
+  const total = minimumFareApplied ? tariff.minimumFare : surged;
+  return {
+    baseFare: round2(baseFare),
+    distanceFare: round2(distanceFare),
+    timeFare: round2(timeFare),
+    subtotal: round2(subtotal),
+    surgeMultiplier,
+    surgeAmount: round2(surgeAmount),
+    minimumFare: tariff.minimumFare,
+    minimumFareApplied,
+    total: round2(total),
+  };
+}
+
+/**
+ * Estimates the fare of a planned route before the ride is requested.
+ * @param {object} params
+ * @param {{lat: number, lng: number}} params.pickup - Pickup coordinates (selects the tariff).
+ * @param {number} params.distanceMeters - Route distance (all legs).
+ * @param {number} params.durationSeconds - Expected driving time (all legs).
+ * @param {number} [params.surgeMultiplier] - Current surge at the pickup.
+ * @returns {{tariffId: string, currency: string, distanceKm: number, durationMinutes: number, surgeMultiplier: number, upfrontFare: number, min: number, max: number}}
+ *   `upfrontFare` is the price a quote locks in; `min`/`max` is the range shown to the rider.
+ */
+function estimateFare({
+  pickup,
+  distanceMeters,
+  durationSeconds,
+  surgeMultiplier = 1,
+}) {
+  const tariff = getTariffForLocation(pickup);
+  const tripKm = distanceMeters / 1000;
+  const durationMinutes = durationSeconds / 60;
+  const { total } = priceTrip(tariff, tripKm, durationMinutes, surgeMultiplier);
+  const { rangeLowFactor, rangeHighFactor } = tariffs.estimate;
+  return {
+    tariffId: tariff.id,
+    currency: tariff.currency,
+    distanceKm: round2(tripKm),
+    durationMinutes: round2(durationMinutes),
+    surgeMultiplier,
+    upfrontFare: Math.round(total),
+    // Never quote below the minimum fare
+    min: Math.round(Math.max(total * rangeLowFactor, tariff.minimumFare)),
+    max: Math.round(total * rangeHighFactor),
+  };
+}
+
+/**
+ * Charges the quoted upfront price instead of the metered fare when the two
+ * are within the configured tolerance (the trip went roughly as planned).
+ * @param {object} fareBreakdown - Metered breakdown from calculateFare.
+ * @param {{quoteId: string, upfrontFare: number, currency: string}} [fareQuote] - Quote stored on the ride.
+ * @returns {object} The breakdown, with `total` set to the amount to charge.
+ */
+function applyUpfrontPrice(fareBreakdown, fareQuote) {
+  if (!fareQuote || fareQuote.currency !== fareBreakdown.currency) {
+    return fareBreakdown;
+  }
+  const meteredTotal = fareBreakdown.total;
+  const difference =
+    Math.abs(meteredTotal - fareQuote.upfrontFare) / fareQuote.upfrontFare;
+  const upfrontPriceHonoured =
+    difference <= tariffs.estimate.upfrontToleranceRatio;
+  return {
+    ...fareBreakdown,
+    quoteId: fareQuote.quoteId,
+    upfrontFare: fareQuote.upfrontFare,
+    meteredTotal,
+    upfrontPriceHonoured,
+    total: upfrontPriceHonoured ? fareQuote.upfrontFare : meteredTotal,
+  };
+}
+
+/**
+ * Takes the surge back out of a quoted upfront price, for when the safety
+ * rules switched surge off after the quote was given (never below the
+ * minimum fare).
+ * @param {{upfrontFare: number, surge: object|null}} fareQuote - Quote stored on the ride.
+ * @param {{lat: number, lng: number}} pickup - Pickup coordinates (selects the tariff).
+ * @param {object} surge - The surge that applies now (see surgeService.enforceSurgeSafetyRules).
+ * @returns {object} The quote with its price and surge updated.
+ */
+function removeQuotedSurge(fareQuote, pickup, surge) {
+  const quotedMultiplier = fareQuote.surge?.multiplier || 1;
+  const tariff = getTariffForLocation(pickup);
+  return {
+    ...fareQuote,
+    upfrontFare: Math.round(
+      Math.max(fareQuote.upfrontFare / quotedMultiplier, tariff.minimumFare)
+    ),
+    surge,
+  };
+}
+
+module.exports = {
+  getTariffForLocation,
+  calculateFare,
+  estimateFare,
+  applyUpfrontPrice,
+  removeQuotedSurge,
+};
@@ -0,0 +1,411 @@
+// src/services/receiptService.js
+// Receipts for paid rides and monthly statements (rider spending, driver
+// earnings), as JSON or downloadable HTML for expense claims.
+
+const { Op } = require("sequelize");
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { models } = require("../config/postgres");
+const settings = require("../config/receipts.json");
+const { RIDE_STATUS } = require("./rideLifecycle");
+const { calculateApplicationFee } = require("./stripeService");
+const { getStaticMapUrl } = require("./mapProvider");
+const { isPoolRider, getRideRiderIds } = require("./ridePooling");
+
+/** Rounds a money value to 2 decimal places. */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Builds an error the global error handler turns into a response. */
+function receiptError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/** Fares are tax-inclusive, so the tax is backed out of the total. */
+function splitTax(total) {
+  const amountBeforeTax = round2(total / (1 + settings.taxRate));
+  return {
+    taxName: settings.taxName,
+    taxRate: settings.taxRate,
+    amountBeforeTax,
+    taxAmount: round2(total - amountBeforeTax),
+  };
+}
+
+/** e.g. FTS-202610-AB12CD34: stable, so re-downloads show the same number. */
+function buildReceiptNumber(rideId, completedAt) {
+  const date = new Date(completedAt || Date.now());
+  const month = `${date.getUTCFullYear()}${String(
+    date.getUTCMonth() + 1
+  ).padStart(2, "0")}`;
+  return `${settings.receiptNumberPrefix}-${month}-${rideId
+    .slice(0, 8)
+    .toUpperCase()}`;
+}
+
+/**
+ * Stamps the receipt number on a ride once its payment succeeds.
+ * @param {string} rideId
+ * @returns {Promise<{receiptNumber: string, riderIds: string[]}|null>} Null if
+ *   the ride doesn't exist; `riderIds` are everyone who can download it.
+ */
+async function issueRideReceipt(rideId) {
+  const { db } = firebaseConfig;
+  const rideRef = db.collection("rides").doc(rideId);
+  const rideDoc = await rideRef.get();
+  if (!rideDoc.exists) return null;
+  const rideData = rideDoc.data();
+  if (rideData.receiptNumber) {
+    return {
+      receiptNumber: rideData.receiptNumber,
+      riderIds: getRideRiderIds(rideData),
+    };
+  }
+  const receiptNumber = buildReceiptNumber(rideId, rideData.completedAt);
+  await rideRef.update({
+    receiptNumber,
+    receiptIssuedAt: new Date().toISOString(),
+  });
+  console.log(`[Receipts] Issued receipt ${receiptNumber} for ride ${rideId}.`);
+  return { receiptNumber, riderIds: getRideRiderIds(rideData) };
+}
+
+/**
+ * Builds the receipt for a paid ride. Each rider of a pooled ride gets a
+ * receipt for their own share once they've paid it; the driver's shows the
+ * whole fare.
+ * @param {string} rideId
+ * @param {string} requesterUid - Must be the ride's driver or one of its riders.
+ * @returns {Promise<object>} Receipt data (render with renderReceiptHtml).
+ * @throws {Error} 404 if the ride doesn't exist, 403 if not theirs, 409 if not paid yet.
+ */
+async function getRideReceipt(rideId, requesterUid) {
+  const { db } = firebaseConfig;
+  const rideDoc = await db.collection("rides").doc(rideId).get();
+  if (!rideDoc.exists) throw receiptError(404, "Ride not found.");
+  const ride = rideDoc.data();
+  const poolRider = isPoolRider(ride, requesterUid);
+  if (
+    ride.riderId !== requesterUid &&
+    ride.driverId !== requesterUid &&
+    !poolRider
+  ) {
+    throw receiptError(403, "Forbidden: You are not part of this ride.");
+  }
+  const paid = poolRider
+    ? ride.pool.paidRiderIds?.includes(requesterUid)
+    : ride.paymentStatus === "paid";
+  if (!paid) {
+    throw receiptError(409, "A receipt is available once the ride is paid.");
+  }
+
+  const [riderDoc, driverDoc] = await Promise.all([
+    db
+      .collection("users")
+      .doc(poolRider ? requesterUid : ride.riderId)
+      .get(),
+    db.collection("users").doc(ride.driverId).get(),
+  ]);
+  const rider = riderDoc.exists ? riderDoc.data() : {};
+  const driver = driverDoc.exists ? driverDoc.data() : {};
+  const vehicle = driver.vehicleDetails || ride.driverDetails?.vehicle || {};
+  const breakdown = ride.fareBreakdown || {};
+  const rideTotal = ride.actualFare ?? breakdown.total ?? 0;
+  const total = poolRider
+    ? ride.pool.fareSplit?.[requesterUid] ?? 0
+    : rideTotal;
+
+  return {
+    receiptNumber:
+      ride.receiptNumber || buildReceiptNumber(rideId, ride.completedAt),
+    issuedAt: ride.receiptIssuedAt || new Date().toISOString(),
+    issuer: {
+      name: settings.issuerName,
+      taxRegistrationNumber: settings.taxRegistrationNumber,
+    },
+    rideId,
+    rider: { name: rider.name || null },
+    driver: {
+      name: driver.name || ride.driverDetails?.name || null,
+      vehiclePlate: vehicle.licensePlate || null,
+      vehicle: [vehicle.color, vehicle.model].filter(Boolean).join(" ") || null,
+    },
+    trip: {
+      pickup: ride.pickup,
+      destination: ride.destination,
+      stopCount: (ride.stops || []).length,
+      startedAt: ride.startedAt || null,
+      completedAt: ride.completedAt || null,
+      distanceKm: breakdown.distanceKm ?? null,
+      durationMinutes: breakdown.durationMinutes ?? null,
+      routePolyline: ride.routePolyline || null,
+      mapUrl: getStaticMapUrl(ride.routePolyline),
+    },
+    // A pool rider's share isn't itemised; the ride's fare is shown instead
+    fare: {
+      currency: ride.currency || breakdown.currency || "INR",
+      baseFare: poolRider ? null : breakdown.baseFare ?? null,
+      distanceFare: poolRider ? null : breakdown.distanceFare ?? null,
+      timeFare: poolRider ? null : breakdown.timeFare ?? null,
+      minimumFareApplied: !poolRider && (breakdown.minimumFareApplied || false),
+      ...(poolRider && {
+        rideTotal,
+        fareShare: ride.pool.fareShares?.[requesterUid] ?? null,
+      }),
+      total,
+      ...splitTax(total),
+    },
+    payment: poolRider
+      ? {
+          status: "paid",
+          paymentIntentId: ride.pool.paymentIntentIds?.[requesterUid] || null,
+        }
+      : {
+          status: ride.paymentStatus,
+          paymentIntentId: ride.stripePaymentIntentId || null,
+        },
+  };
+}
+
+/**
+ * Builds a month's statement from the Postgres copy of rides: what a rider
+ * paid, or what a driver earned after the platform commission. Riders of a
+ * pooled ride count their own share, once they've paid it.
+ * @param {object} params
+ * @param {string} params.uid - Firebase UID.
+ * @param {"rider"|"driver"} params.role
+ * @param {string} params.month - 'YYYY-MM'.
+ * @returns {Promise<object>} Statement data (render with renderStatementHtml).
+ */
+async function buildMonthlyStatement({ uid, role, month }) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const periodStart = new Date(Date.UTC(year, monthNumber - 1, 1));
+  const periodEnd = new Date(Date.UTC(year, monthNumber, 1));
+
+  const paidRide = { paymentStatus: "succeeded" }; // 'paid' in Firestore
+  const rows = await models.Ride.findAll({
+    where: {
+      ...(role === "rider"
+        ? {
+            [Op.or]: [
+              { riderUid: uid, ...paidRide },
+              { poolRiderUids: { [Op.contains]: [uid] } }, // Paid share by share
+            ],
+          }
+        : { driverUid: uid, ...paidRide }),
+      status: RIDE_STATUS.COMPLETED,
+      completedAt: { [Op.gte]: periodStart, [Op.lt]: periodEnd },
+    },
+    order: [["completedAt", "ASC"]],
+  });
+  const pooled = (row) => role === "rider" && Boolean(row.pool);
+
+  const totals = {}; // { currency: { ... } }
+  const paidRows = rows.filter(
+    (row) => !pooled(row) || row.pool.paidRiderIds?.includes(uid)
+  );
+  const rides = paidRows.map((row) => {
+    const fare = pooled(row)
+      ? Number(row.pool.fareSplit?.[uid]) || 0
+      : Number(row.fareAmount) || 0;
+    const entry = {
+      rideId: row.firestoreRideId,
+      completedAt: row.completedAt,
+      currency: row.currency,
+      fare,
+      ...(pooled(row) && { rideTotal: Number(row.fareAmount) || 0 }),
+      ...splitTax(fare),
+    };
+    if (role === "driver") {
+      // Same commission Stripe takes as the application fee
+      entry.platformFee = calculateApplicationFee(Math.round(fare * 100)) / 100;
+      entry.netEarnings = round2(fare - entry.platformFee);
+    }
+    const sum = (totals[row.currency] = totals[row.currency] || {
+      rides: 0,
+      fare: 0,
+      taxAmount: 0,
+      ...(role === "driver" && { platformFee: 0, netEarnings: 0 }),
+    });
+    sum.rides += 1;
+    sum.fare = round2(sum.fare + fare);
+    sum.taxAmount = round2(sum.taxAmount + entry.taxAmount);
+    if (role === "driver") {
+      sum.platformFee = round2(sum.platformFee + entry.platformFee);
+      sum.netEarnings = round2(sum.netEarnings + entry.netEarnings);
+    }
+    return entry;
+  });
+
+  return {
+    type: role === "driver" ? "driver_earnings" : "rider_spending",
+    month,
+    issuer: {
+      name: settings.issuerName,
+      taxRegistrationNumber: settings.taxRegistrationNumber,
+    },
+    generatedAt: new Date().toISOString(),
+    rides,
+    totals: Object.entries(totals).map(([currency, sum]) => ({
+      currency,
+      ...sum,
+    })),
+  };
+}
+
+// --- HTML Rendering ---
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+const money = (amount, currency) =>
+  amount === null || amount === undefined
+    ? "-"
+    : `${escapeHtml(currency)} ${Number(amount).toFixed(2)}`;
+const dateTime = (value) =>
+  value ? new Date(value).toISOString().replace("T", " ").slice(0, 16) : "-";
+const row = (label, value) =>
+  `<tr><td>${escapeHtml(label)}</td><td>${value}</td></tr>`;
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:sans-serif;max-width:720px;margin:24px auto;color:#222}
+table{width:100%;border-collapse:collapse}td,th{padding:6px;border-bottom:1px solid #ddd;text-align:left}
+.total td{font-weight:bold}</style></head>
+<body>${body}</body></html>`;
+}
+
+/** @returns {string} A standalone HTML page for a ride receipt. */
+function renderReceiptHtml(receipt) {
+  const { fare, trip, driver } = receipt;
+  return htmlPage(
+    `Receipt ${receipt.receiptNumber}`,
+    `<h1>${escapeHtml(receipt.issuer.name)} - Ride Receipt</h1>
+<p>Receipt ${escapeHtml(receipt.receiptNumber)} &middot; Issued ${dateTime(
+      receipt.issuedAt
+    )}${
+      receipt.issuer.taxRegistrationNumber
+        ? ` &middot; ${escapeHtml(fare.taxName)} No. ${escapeHtml(
+            receipt.issuer.taxRegistrationNumber
+          )}`
+        : ""
+    }</p>
+<table>
+${row("Rider", escapeHtml(receipt.rider.name || "-"))}
+${row("Driver", escapeHtml(driver.name || "-"))}
+${row(
+  "Vehicle",
+  escapeHtml(
+    [driver.vehicle, driver.vehiclePlate].filter(Boolean).join(", ") || "-"
+  )
+)}
+${row("Started", dateTime(trip.startedAt))}
+${row("Completed", dateTime(trip.completedAt))}
+${row("Distance", trip.distanceKm !== null ? `${trip.distanceKm} km` : "-")}
+${row(
+  "Duration",
+  trip.durationMinutes !== null
+    ? `${Math.round(trip.durationMinutes)} min`
+    : "-"
+)}
+${trip.stopCount > 0 ? row("Stops", trip.stopCount) : ""}
+</table>
+${
+  trip.mapUrl
+    ? `<p><img src="${escapeHtml(
+        trip.mapUrl
+      )}" alt="Route map" width="600"></p>`
+    : ""
+}
+<h2>Fare</h2>
+<table>
+${
+  fare.rideTotal !== undefined
+    ? `${row("Shared ride fare", money(fare.rideTotal, fare.currency))}
+${row(
+  "Your share",
+  fare.fareShare !== null ? `${Math.round(fare.fareShare * 100)}%` : "-"
+)}`
+    : `${row("Base fare", money(fare.baseFare, fare.currency))}
+${row("Distance", money(fare.distanceFare, fare.currency))}
+${row("Time", money(fare.timeFare, fare.currency))}`
+}
+${fare.minimumFareApplied ? row("Minimum fare applied", "Yes") : ""}
+${row("Amount before tax", money(fare.amountBeforeTax, fare.currency))}
+${row(
+  `${fare.taxName} (${fare.taxRate * 100}%, included)`,
+  money(fare.taxAmount, fare.currency)
+)}
+<tr class="total"><td>Total paid</td><td>${money(
+      fare.total,
+      fare.currency
+    )}</td></tr>
+</table>`
+  );
+}
+
+/** @returns {string} A standalone HTML page for a monthly statement. */
+function renderStatementHtml(statement) {
+  const isDriver = statement.type === "driver_earnings";
+  const header = isDriver
+    ? "<tr><th>Completed</th><th>Ride</th><th>Fare</th><th>Platform fee</th><th>Net earnings</th></tr>"
+    : "<tr><th>Completed</th><th>Ride</th><th>Fare</th><th>Tax included</th></tr>";
+  const rows = statement.rides
+    .map(
+      (ride) =>
+        `<tr><td>${dateTime(ride.completedAt)}</td><td>${escapeHtml(
+          ride.rideId
+        )}</td><td>${money(ride.fare, ride.currency)}</td>${
+          isDriver
+            ? `<td>${money(ride.platformFee, ride.currency)}</td><td>${money(
+                ride.netEarnings,
+                ride.currency
+              )}</td>`
+            : `<td>${money(ride.taxAmount, ride.currency)}</td>`
+        }</tr>`
+    )
+    .join("\n");
+  const totals = statement.totals
+    .map(
+      (sum) =>
+        `<tr class="total"><td>Total (${
+          sum.rides
+        } rides)</td><td></td><td>${money(sum.fare, sum.currency)}</td>${
+          isDriver
+            ? `<td>${money(sum.platformFee, sum.currency)}</td><td>${money(
+                sum.netEarnings,
+                sum.currency
+              )}</td>`
+            : `<td>${money(sum.taxAmount, sum.currency)}</td>`
+        }</tr>`
+    )
+    .join("\n");
+  return htmlPage(
+    `Statement ${statement.month}`,
+    `<h1>${escapeHtml(statement.issuer.name)} - ${
+      isDriver ? "Earnings Statement" : "Ride Statement"
+    }</h1>
+<p>${escapeHtml(statement.month)} &middot; Generated ${dateTime(
+      statement.generatedAt
+    )}</p>
+<table>
+${header}
+${rows || '<tr><td colspan="5">No paid rides this month.</td></tr>'}
+${totals}
+</table>`
+  );
+}
+
+module.exports = {
+  issueRideReceipt,
+  getRideReceipt,
+  buildMonthlyStatement,
+  renderReceiptHtml,
+  renderStatementHtml,
+};
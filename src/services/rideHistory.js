@@ -0,0 +1,169 @@
+// src/services/rideHistory.js
+// Past trips for riders and drivers, served from the Postgres copy of rides.
+
+const { Op } = require("sequelize");
+const { models } = require("../config/postgres");
+const { CANCELLED_STATUSES } = require("./rideLifecycle");
+const {
+  fromPostgresRide,
+  toPostgresPaymentStatus,
+} = require("./rideRepository");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const PAYMENT_STATUSES = ["pending", "processing", "paid", "failed"]; // As stored in Firestore
+
+/**
+ * Expands status filters; 'cancelled' matches every cancelled status.
+ * @param {string[]} statuses
+ * @returns {string[]}
+ */
+function expandStatuses(statuses) {
+  return [
+    ...new Set(
+      statuses.flatMap((status) =>
+        status === "cancelled" ? CANCELLED_STATUSES : [status]
+      )
+    ),
+  ];
+}
+
+/**
+ * Shapes a ride for the history list, from the point of view of `role`.
+ * Riders of a pooled ride see their own share of the fare and payment.
+ * @param {object} row - models.Ride instance (with `rider`/`driver` included).
+ * @param {"rider"|"driver"} role
+ * @param {string} uid - The user the history is for.
+ * @returns {object}
+ */
+function toHistoryEntry(row, role, uid) {
+  const ride = fromPostgresRide(row);
+  const otherParty = role === "rider" ? row.driver : row.rider;
+  const isCancelled = CANCELLED_STATUSES.includes(ride.status);
+  const pool = role === "rider" ? ride.pool : null;
+  return {
+    id: ride.id,
+    status: ride.status,
+    requestedAt: ride.requestedAt,
+    scheduledPickupAt: ride.scheduledPickupAt,
+    startedAt: ride.startedAt,
+    completedAt: ride.completedAt,
+    [role === "rider" ? "driver" : "rider"]: otherParty
+      ? { uid: otherParty.uid, name: otherParty.name }
+      : null,
+    route: {
+      pickup: ride.pickup,
+      destination: ride.destination,
+      pickupAddress: row.pickupAddress || null,
+      destinationAddress: row.destinationAddress || null,
+      stopCount: (ride.stops || []).length,
+      distanceKm: ride.fareBreakdown?.distanceKm ?? null,
+      durationMinutes: ride.fareBreakdown?.durationMinutes ?? null,
+    },
+    fare: pool
+      ? {
+          amount: pool.fareSplit?.[uid] ?? null, // Set once the ride completes
+          currency: ride.currency,
+          rideTotal: ride.actualFare,
+          fareShare: pool.fareShares?.[uid] ?? null,
+        }
+      : {
+          amount: ride.actualFare,
+          currency: ride.currency,
+          breakdown: ride.fareBreakdown,
+        },
+    pooled: Boolean(ride.pool),
+    paymentStatus:
+      pool && pool.paidRiderIds?.includes(uid) ? "paid" : ride.paymentStatus,
+    // Riders rate drivers and drivers rate riders
+    rating: {
+      given:
+        role === "rider" ? ride.driverRatingByRider : ride.riderRatingByDriver,
+      received:
+        role === "rider" ? ride.riderRatingByDriver : ride.driverRatingByRider,
+    },
+    cancellation: isCancelled
+      ? {
+          cancelledBy: ride.status.replace("cancelled_", ""),
+          cancelledAt: ride.cancelledAt,
+          reason: ride.cancellationReason,
+          fee: ride.cancellationFee,
+        }
+      : null,
+  };
+}
+
+/**
+ * Lists a user's rides, newest first.
+ * @param {object} params
+ * @param {string} params.uid - Firebase UID of the rider or driver.
+ * @param {"rider"|"driver"} params.role - Which side of the rides to list.
+ * @param {string[]} [params.statuses] - Ride statuses to include ('cancelled' = any cancellation).
+ * @param {string} [params.paymentStatus] - 'pending', 'processing', 'paid' or 'failed'.
+ * @param {Date} [params.from] - Requested on or after.
+ * @param {Date} [params.to] - Requested on or before.
+ * @param {number} [params.page] - 1-based page number.
+ * @param {number} [params.limit] - Page size (max MAX_PAGE_SIZE).
+ * @returns {Promise<{rides: object[], pagination: {page: number, limit: number, total: number, totalPages: number}}>}
+ */
+async function listRideHistory({
+  uid,
+  role,
+  statuses,
+  paymentStatus,
+  from,
+  to,
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE,
+}) {
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+  // riderUid/driverUid, poolRiderUids and requestedAt are indexed (see ride.model.js)
+  const where =
+    role === "rider"
+      ? {
+          [Op.or]: [
+            { riderUid: uid },
+            { poolRiderUids: { [Op.contains]: [uid] } },
+          ],
+        }
+      : { driverUid: uid };
+  if (statuses && statuses.length > 0) {
+    where.status = { [Op.in]: expandStatuses(statuses) };
+  }
+  if (paymentStatus) {
+    where.paymentStatus = toPostgresPaymentStatus(paymentStatus);
+  }
+  if (from || to) {
+    where.requestedAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lte]: to }),
+    };
+  }
+
+  const { rows, count } = await models.Ride.findAndCountAll({
+    where,
+    include: [
+      { model: models.User, as: "rider", attributes: ["uid", "name"] },
+      { model: models.User, as: "driver", attributes: ["uid", "name"] },
+    ],
+    order: [["requestedAt", "DESC"]],
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+  });
+
+  return {
+    rides: rows.map((row) => toHistoryEntry(row, role, uid)),
+    pagination: {
+      page,
+      limit: pageSize,
+      total: count,
+      totalPages: Math.ceil(count / pageSize),
+    },
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  PAYMENT_STATUSES,
+  listRideHistory,
+};
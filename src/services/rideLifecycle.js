@@ -0,0 +1,181 @@
+// src/services/rideLifecycle.js
+
+// --- Ride Statuses ---
+// Single source of truth for ride statuses, shared by Firestore, Postgres,
+// the REST controllers and the Socket.IO handlers.
+const RIDE_STATUS = {
+  SCHEDULED: "scheduled", // Booked for later, dispatch starts shortly before pickup
+  PENDING: "pending", // Rider requested, dispatch is offering it to drivers
+  ACCEPTED: "accepted", // Driver accepted, en route to pickup
+  DRIVER_ARRIVED: "driver_arrived", // Driver is at the pickup location
+  ONGOING: "ongoing", // Rider picked up, trip in progress
+  COMPLETED: "completed", // Trip finished at destination
+  CANCELLED_RIDER: "cancelled_rider",
+  CANCELLED_DRIVER: "cancelled_driver",
+  CANCELLED_SYSTEM: "cancelled_system", // Cancelled by the platform (support, safety team)
+  NO_DRIVERS: "no_drivers", // Dispatch gave up, nobody accepted
+};
+
+const RIDE_STATUSES = Object.values(RIDE_STATUS);
+
+const CANCELLED_STATUSES = [
+  RIDE_STATUS.CANCELLED_RIDER,
+  RIDE_STATUS.CANCELLED_DRIVER,
+  RIDE_STATUS.CANCELLED_SYSTEM,
+];
+
+const TERMINAL_STATUSES = [
+  RIDE_STATUS.COMPLETED,
+  ...CANCELLED_STATUSES,
+  RIDE_STATUS.NO_DRIVERS,
+];
+
+// --- Legal Transitions ---
+// { fromStatus: [allowed next statuses] }
+const TRANSITIONS = {
+  [RIDE_STATUS.SCHEDULED]: [RIDE_STATUS.PENDING, ...CANCELLED_STATUSES],
+  [RIDE_STATUS.PENDING]: [
+    RIDE_STATUS.ACCEPTED,
+    RIDE_STATUS.NO_DRIVERS,
+    ...CANCELLED_STATUSES,
+  ],
+  [RIDE_STATUS.ACCEPTED]: [RIDE_STATUS.DRIVER_ARRIVED, ...CANCELLED_STATUSES],
+  [RIDE_STATUS.DRIVER_ARRIVED]: [RIDE_STATUS.ONGOING, ...CANCELLED_STATUSES],
+  [RIDE_STATUS.ONGOING]: [RIDE_STATUS.COMPLETED, ...CANCELLED_STATUSES],
+  [RIDE_STATUS.COMPLETED]: [],
+  [RIDE_STATUS.CANCELLED_RIDER]: [],
+  [RIDE_STATUS.CANCELLED_DRIVER]: [],
+  [RIDE_STATUS.CANCELLED_SYSTEM]: [],
+  [RIDE_STATUS.NO_DRIVERS]: [],
+};
+
+// Timestamp field written on the ride document when it enters each status
+const STATUS_TIMESTAMP_FIELDS = {
+  [RIDE_STATUS.SCHEDULED]: "bookedAt",
+  [RIDE_STATUS.PENDING]: "requestedAt", // For scheduled rides, when dispatch started
+  [RIDE_STATUS.ACCEPTED]: "acceptedAt",
+  [RIDE_STATUS.DRIVER_ARRIVED]: "arrivedAtPickupAt",
+  [RIDE_STATUS.ONGOING]: "startedAt",
+  [RIDE_STATUS.COMPLETED]: "completedAt",
+  [RIDE_STATUS.CANCELLED_RIDER]: "cancelledAt",
+  [RIDE_STATUS.CANCELLED_DRIVER]: "cancelledAt",
+  [RIDE_STATUS.CANCELLED_SYSTEM]: "cancelledAt",
+  [RIDE_STATUS.NO_DRIVERS]: "cancelledAt",
+};
+
+/**
+ * Thrown when a ride cannot move to the requested status.
+ * Carries `status = 409` so the global error handler responds with a Conflict.
+ */
+class InvalidRideTransitionError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`Cannot move ride from '${fromStatus}' to '${toStatus}'.`);
+    this.name = "InvalidRideTransitionError";
+    this.status = 409;
+    this.code = "INVALID_RIDE_TRANSITION";
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+/** @returns {boolean} True if a ride in `fromStatus` may move to `toStatus`. */
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/** Throws InvalidRideTransitionError unless the transition is legal. */
+function assertTransition(fromStatus, toStatus) {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new InvalidRideTransitionError(fromStatus, toStatus);
+  }
+}
+
+/** @returns {boolean} True if the ride can no longer change status. */
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Builds the Firestore update for entering `toStatus`: the status itself,
+ * its timestamp field and (for terminal statuses) `endedAt`.
+ */
+function buildTransitionUpdate(toStatus, at = new Date()) {
+  const timestamp = at.toISOString();
+  const update = {
+    status: toStatus,
+    [STATUS_TIMESTAMP_FIELDS[toStatus]]: timestamp,
+  };
+  if (isTerminalStatus(toStatus)) update.endedAt = timestamp;
+  return update;
+}
+
+/**
+ * Atomically moves a Firestore ride document to a new status.
+ * Re-reads the ride inside a transaction so concurrent REST/socket updates
+ * cannot both succeed from the same starting status.
+ * @param {FirebaseFirestore.DocumentReference} rideRef - Ride document reference.
+ * @param {string} toStatus - One of RIDE_STATUSES.
+ * @param {object} [options]
+ * @param {object} [options.extraFields] - Additional fields written with the transition.
+ * @param {Date} [options.at] - Transition time (defaults to now).
+ * @returns {Promise<{previousStatus: string, rideData: object, update: object}>}
+ *   `rideData` is the ride as it was before the transition.
+ * @throws {InvalidRideTransitionError} If the transition is not allowed (409).
+ */
+async function transitionRide(rideRef, toStatus, options = {}) {
+  const { extraFields = {}, at = new Date() } = options;
+
+  return rideRef.firestore.runTransaction(async (t) => {
+    const rideDoc = await t.get(rideRef);
+    if (!rideDoc.exists) {
+      const notFound = new Error("Ride not found.");
+      notFound.status = 404;
+      throw notFound;
+    }
+    const rideData = rideDoc.data();
+    assertTransition(rideData.status, toStatus);
+
+    const update = { ...extraFields, ...buildTransitionUpdate(toStatus, at) };
+    t.update(rideRef, update);
+    return { previousStatus: rideData.status, rideData, update };
+  });
+}
+
+/**
+ * Records that a driver declined a ride offer. The ride stays `pending` while
+ * dispatch moves on, so this only validates the status and logs the rejection.
+ * @throws {InvalidRideTransitionError} If the ride is no longer pending (409).
+ */
+async function recordRideRejection(rideRef, driverUid, at = new Date()) {
+  return rideRef.firestore.runTransaction(async (t) => {
+    const rideDoc = await t.get(rideRef);
+    if (!rideDoc.exists) return null;
+    const rideData = rideDoc.data();
+    if (rideData.status !== RIDE_STATUS.PENDING) {
+      throw new InvalidRideTransitionError(rideData.status, "rejected");
+    }
+    const rejections = rideData.rejections || [];
+    t.update(rideRef, {
+      rejections: [
+        ...rejections,
+        { driverId: driverUid, rejectedAt: at.toISOString() },
+      ],
+    });
+    return rideData;
+  });
+}
+
+module.exports = {
+  RIDE_STATUS,
+  RIDE_STATUSES,
+  CANCELLED_STATUSES,
+  TERMINAL_STATUSES,
+  STATUS_TIMESTAMP_FIELDS,
+  InvalidRideTransitionError,
+  canTransition,
+  assertTransition,
+  isTerminalStatus,
+  buildTransitionUpdate,
+  transitionRide,
+  recordRideRejection,
+};
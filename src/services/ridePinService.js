@@ -0,0 +1,65 @@
+// src/services/ridePinService.js
+// 4-digit PIN the rider reads out to the driver at pickup, so the ride can
+// only start once the rider is sure they're in the right car.
+
+const crypto = require("crypto");
+const { RIDE_STATUS, assertTransition } = require("./rideLifecycle");
+
+const MAX_PIN_ATTEMPTS = 3; // Wrong PINs allowed before the start is locked
+
+/** @returns {string} A random 4-digit PIN (may start with 0). */
+function generateRidePin() {
+  return crypto.randomInt(0, 10000).toString().padStart(4, "0");
+}
+
+/**
+ * Checks the PIN a driver entered to start a ride, counting failed attempts
+ * on the ride document. After MAX_PIN_ATTEMPTS failures the ride is locked
+ * and cannot be started.
+ * @param {FirebaseFirestore.DocumentReference} rideRef - Ride document reference.
+ * @param {string} pin - PIN entered by the driver.
+ * @returns {Promise<{valid: boolean, locked: boolean, lockedNow: boolean, failedAttempts: number, attemptsRemaining: number}>}
+ *   `lockedNow` is true only for the attempt that locked the ride.
+ * @throws {InvalidRideTransitionError} If the ride can't be started from its current status (409).
+ */
+async function verifyRidePin(rideRef, pin) {
+  return rideRef.firestore.runTransaction(async (t) => {
+    const rideDoc = await t.get(rideRef);
+    if (!rideDoc.exists) {
+      const notFound = new Error("Ride not found.");
+      notFound.status = 404;
+      throw notFound;
+    }
+    const rideData = rideDoc.data();
+    // Don't burn attempts on rides that couldn't start anyway
+    assertTransition(rideData.status, RIDE_STATUS.ONGOING);
+
+    const failedAttempts = rideData.pinFailedAttempts || 0;
+    const result = (valid, failed, lockedNow = false) => ({
+      valid,
+      locked: failed >= MAX_PIN_ATTEMPTS,
+      lockedNow,
+      failedAttempts: failed,
+      attemptsRemaining: Math.max(0, MAX_PIN_ATTEMPTS - failed),
+    });
+
+    if (failedAttempts >= MAX_PIN_ATTEMPTS)
+      return result(false, failedAttempts);
+    // Rides accepted before PINs existed have none to check
+    if (!rideData.ridePin || rideData.ridePin === String(pin)) {
+      return result(true, failedAttempts);
+    }
+
+    const update = { pinFailedAttempts: failedAttempts + 1 };
+    const lockedNow = update.pinFailedAttempts >= MAX_PIN_ATTEMPTS;
+    if (lockedNow) update.pinLockedAt = new Date().toISOString();
+    t.update(rideRef, update);
+    return result(false, update.pinFailedAttempts, lockedNow);
+  });
+}
+
+module.exports = {
+  MAX_PIN_ATTEMPTS,
+  generateRidePin,
+  verifyRidePin,
+};
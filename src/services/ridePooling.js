@@ -0,0 +1,576 @@
+// src/services/ridePooling.js
+// Pooled rides: verified riders with overlapping routes share one driver.
+// The organiser invites compatible riders (see findNearbyRiders), everyone
+// sees each other's verification before accepting, and the pooled route runs
+// through every pickup and drop-off with the fare split by distance on board.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { getAlternativeRoutes } = require("./mapProvider");
+const { distanceKm, estimateEtaMinutes } = require("../utils/geo");
+const { RIDE_STATUS } = require("./rideLifecycle");
+const { updateRide } = require("./rideRepository");
+
+const POOL_PICKUP_RADIUS_KM = 1.5; // Riders walk at most this far to share a pickup area
+const POOL_DESTINATION_RADIUS_KM = 5;
+const MAX_POOL_RIDERS = 3; // Including the organiser
+const POOL_INVITE_TTL_MINUTES = 5; // Unanswered invitations count as declined after this
+
+const POOL_STATUS = {
+  FORMING: "forming", // Invitations out
+  READY: "ready", // Everyone answered and at least two riders are in
+  REQUESTED: "requested", // Pooled ride created and dispatched
+  CANCELLED: "cancelled",
+};
+const MEMBER_STATUS = {
+  INVITED: "invited",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  LEFT: "left", // Gave up their seat after the ride was requested
+};
+// A seat can be given up until the driver picks the riders up
+const SEAT_CANCELLABLE_STATUSES = [
+  RIDE_STATUS.PENDING,
+  RIDE_STATUS.ACCEPTED,
+  RIDE_STATUS.DRIVER_ARRIVED,
+];
+
+/** Builds an error the global error handler turns into a response. */
+function poolError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+const firstName = (name) => (name ? name.split(" ")[0] : null);
+
+/** Loads rider profiles by UID. */
+async function loadRiderProfiles(uids) {
+  const { db } = firebaseConfig;
+  const docs = await Promise.all(
+    uids.map((uid) => db.collection("users").doc(uid).get())
+  );
+  const profiles = {};
+  docs.forEach((doc, i) => {
+    profiles[uids[i]] = doc.exists ? doc.data() : null;
+  });
+  return profiles;
+}
+
+/** What other riders may see about a pool member: no contact details or exact addresses. */
+function toPublicMember(member, organiserUid) {
+  return {
+    uid: member.uid,
+    firstName: firstName(member.name),
+    isVerified: member.isVerified,
+    verificationStatus: member.verificationStatus,
+    rating: member.rating,
+    status: member.status,
+    isOrganiser: member.uid === organiserUid,
+  };
+}
+
+/**
+ * Narrows nearby riders (from findNearbyRiders) down to verified ones and
+ * describes them for the organiser.
+ * @param {Array<{uid: string, distance: number}>} nearbyRiders
+ * @returns {Promise<Array<{uid: string, firstName: string, isVerified: boolean, rating: number|null, pickupDistanceKm: number}>>}
+ */
+async function findPoolCandidates(nearbyRiders) {
+  const profiles = await loadRiderProfiles(nearbyRiders.map((r) => r.uid));
+  return nearbyRiders
+    .filter((rider) => profiles[rider.uid]?.isVerified === true)
+    .slice(0, 10)
+    .map((rider) => ({
+      uid: rider.uid,
+      firstName: firstName(profiles[rider.uid].name),
+      isVerified: true,
+      rating: profiles[rider.uid].ratings?.average ?? null,
+      pickupDistanceKm: Math.round(rider.distance * 10) / 10,
+    }));
+}
+
+/**
+ * Starts a pool and invites compatible riders.
+ * @param {object} params
+ * @param {string} params.organiserUid
+ * @param {{lat: number, lng: number}} params.pickup
+ * @param {{lat: number, lng: number}} params.destination
+ * @param {Array<{uid: string, location: object, destination: object}>} params.invitees - From findNearbyRiders.
+ * @returns {Promise<object>} The pool (with `id`).
+ * @throws {Error} 403 if any rider isn't verified.
+ */
+async function createPool({ organiserUid, pickup, destination, invitees }) {
+  const { db } = firebaseConfig;
+  const uids = [organiserUid, ...invitees.map((i) => i.uid)];
+  const profiles = await loadRiderProfiles(uids);
+  const unverified = uids.filter((uid) => profiles[uid]?.isVerified !== true);
+  if (unverified.length > 0) {
+    throw poolError(
+      403,
+      unverified.includes(organiserUid)
+        ? "Only verified riders can share rides."
+        : "Every rider in a pool must be verified.",
+      "POOL_RIDER_NOT_VERIFIED"
+    );
+  }
+
+  const now = new Date();
+  const toMember = (uid, memberPickup, memberDestination, status) => ({
+    uid,
+    name: profiles[uid].name || null,
+    phoneNumber: profiles[uid].phoneNumber || null,
+    isVerified: true,
+    verificationStatus: profiles[uid].verificationStatus || null,
+    rating: profiles[uid].ratings?.average ?? null,
+    pickup: memberPickup,
+    destination: memberDestination,
+    status,
+    respondedAt: status === MEMBER_STATUS.ACCEPTED ? now.toISOString() : null,
+  });
+  const pool = {
+    organiserUid,
+    status: POOL_STATUS.FORMING,
+    riderIds: uids,
+    members: [
+      toMember(organiserUid, pickup, destination, MEMBER_STATUS.ACCEPTED),
+      ...invitees.map((invitee) =>
+        toMember(
+          invitee.uid,
+          invitee.location,
+          invitee.destination,
+          MEMBER_STATUS.INVITED
+        )
+      ),
+    ],
+    rideId: null,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(
+      now.getTime() + POOL_INVITE_TTL_MINUTES * 60 * 1000
+    ).toISOString(),
+  };
+  const poolRef = await db.collection("ride_pools").add(pool);
+  console.log(
+    `[Ride Pooling] ${organiserUid} started pool ${poolRef.id} with ${invitees.length} invitation(s).`
+  );
+  return { id: poolRef.id, ...pool };
+}
+
+/**
+ * Loads a pool the user belongs to.
+ * @throws {Error} 404 if it doesn't exist, 403 if they aren't in it.
+ */
+async function getPool(poolId, uid) {
+  const { db } = firebaseConfig;
+  const poolDoc = await db.collection("ride_pools").doc(poolId).get();
+  if (!poolDoc.exists) throw poolError(404, "Pool not found.");
+  const pool = { id: poolDoc.id, ...poolDoc.data() };
+  if (!pool.riderIds.includes(uid)) {
+    throw poolError(403, "Forbidden: You are not part of this pool.");
+  }
+  return pool;
+}
+
+/** The pool as one of its riders sees it. */
+function toPoolView(pool, uid) {
+  return {
+    poolId: pool.id,
+    status: pool.status,
+    expiresAt: pool.expiresAt,
+    rideId: pool.rideId,
+    myStatus: pool.members.find((m) => m.uid === uid)?.status || null,
+    members: pool.members.map((m) => toPublicMember(m, pool.organiserUid)),
+  };
+}
+
+const isInvitationExpired = (pool, at = new Date()) =>
+  new Date(pool.expiresAt) <= at;
+
+/** Status once nobody has an open invitation: ready with two or more riders. */
+function settledStatus(members) {
+  const accepted = members.filter((m) => m.status === MEMBER_STATUS.ACCEPTED);
+  return accepted.length >= 2 ? POOL_STATUS.READY : POOL_STATUS.CANCELLED;
+}
+
+/**
+ * Records an invited rider's answer.
+ * @param {string} poolId
+ * @param {string} uid - Invited rider.
+ * @param {boolean} accept
+ * @returns {Promise<object>} The updated pool.
+ * @throws {Error} 404/403, 409 if the pool moved on or they already answered, 410 if the invitation expired.
+ */
+async function respondToPool(poolId, uid, accept) {
+  const { db } = firebaseConfig;
+  const poolRef = db.collection("ride_pools").doc(poolId);
+  return db.runTransaction(async (t) => {
+    const poolDoc = await t.get(poolRef);
+    if (!poolDoc.exists) throw poolError(404, "Pool not found.");
+    const pool = { id: poolDoc.id, ...poolDoc.data() };
+    const member = pool.members.find((m) => m.uid === uid);
+    if (!member) {
+      throw poolError(403, "Forbidden: You are not part of this pool.");
+    }
+    if (
+      pool.status !== POOL_STATUS.FORMING ||
+      member.status !== MEMBER_STATUS.INVITED
+    ) {
+      throw poolError(409, "This pool invitation is no longer open.");
+    }
+    if (isInvitationExpired(pool)) {
+      throw poolError(410, "This pool invitation has expired.", "POOL_EXPIRED");
+    }
+
+    const members = pool.members.map((m) =>
+      m.uid === uid
+        ? {
+            ...m,
+            status: accept ? MEMBER_STATUS.ACCEPTED : MEMBER_STATUS.DECLINED,
+            respondedAt: new Date().toISOString(),
+          }
+        : m
+    );
+    const stillOpen = members.some((m) => m.status === MEMBER_STATUS.INVITED);
+    const status = stillOpen ? POOL_STATUS.FORMING : settledStatus(members);
+    t.update(poolRef, { members, status });
+    return { ...pool, members, status };
+  });
+}
+
+/** Lets the organiser call a pool off before the ride is requested. */
+async function cancelPool(poolId, uid) {
+  const { db } = firebaseConfig;
+  const pool = await getPool(poolId, uid);
+  if (pool.organiserUid !== uid) {
+    throw poolError(403, "Only the organiser can cancel a pool.");
+  }
+  if (![POOL_STATUS.FORMING, POOL_STATUS.READY].includes(pool.status)) {
+    throw poolError(409, "This pool can no longer be cancelled.");
+  }
+  await db.collection("ride_pools").doc(poolId).update({
+    status: POOL_STATUS.CANCELLED,
+    cancelledAt: new Date().toISOString(),
+  });
+  return { ...pool, status: POOL_STATUS.CANCELLED };
+}
+
+/**
+ * Riders the ride is for, once invitations are settled (answered or expired).
+ * @throws {Error} 409 if the pool isn't ready to request a ride.
+ */
+function getRidingMembers(pool) {
+  const settled =
+    pool.status === POOL_STATUS.READY ||
+    (pool.status === POOL_STATUS.FORMING && isInvitationExpired(pool));
+  const accepted = pool.members.filter(
+    (m) => m.status === MEMBER_STATUS.ACCEPTED
+  );
+  if (!settled || accepted.length < 2) {
+    throw poolError(
+      409,
+      pool.status === POOL_STATUS.FORMING && accepted.length >= 2
+        ? "Waiting for invited riders to answer."
+        : "At least two riders must accept before requesting a pooled ride.",
+      "POOL_NOT_READY"
+    );
+  }
+  return accepted;
+}
+
+/** Greedy nearest-next ordering of points starting from `from`. */
+function orderByProximity(from, items, locationOf) {
+  const remaining = [...items];
+  const ordered = [];
+  let current = from;
+  while (remaining.length > 0) {
+    remaining.sort(
+      (a, b) =>
+        distanceKm(current, locationOf(a)) - distanceKm(current, locationOf(b))
+    );
+    const next = remaining.shift();
+    ordered.push(next);
+    current = locationOf(next);
+  }
+  return ordered;
+}
+
+/**
+ * Plans the pooled trip: the organiser's pickup first, the other pickups by
+ * proximity, then every drop-off by proximity. Each rider's fare share is the
+ * distance they're on board over the total distance riders are on board.
+ * @param {object[]} members - Riding members (see getRidingMembers), organiser first.
+ * @returns {Promise<{pickup: object, destination: object, routePolyline: string|null, stops: object[], fareShares: Object<string, number>, distanceMeters: number, durationSeconds: number}>}
+ *   `stops` are ride stops (see rideStops) with `kind` and `poolRiderUid`.
+ */
+async function planPooledRoute(members) {
+  const [organiser, ...others] = members;
+  const pickups = [
+    organiser,
+    ...orderByProximity(organiser.pickup, others, (m) => m.pickup),
+  ].map((member) => ({ kind: "pickup", member, location: member.pickup }));
+  const dropoffs = orderByProximity(
+    pickups[pickups.length - 1].location,
+    members,
+    (m) => m.destination
+  ).map((member) => ({
+    kind: "dropoff",
+    member,
+    location: member.destination,
+  }));
+  const points = [...pickups, ...dropoffs];
+  const waypoints = points.slice(1, -1);
+
+  const [route] = await getAlternativeRoutes(
+    points[0].location,
+    points[points.length - 1].location,
+    waypoints.map((p) => p.location)
+  );
+  // Each leg joins two consecutive points; straight lines if routing failed
+  const legMeters = route
+    ? route.legs.map((leg) => leg.distance?.value || 0)
+    : points
+        .slice(1)
+        .map((p, i) => distanceKm(points[i].location, p.location) * 1000);
+  const durationSeconds = route
+    ? route.legs.reduce((sum, leg) => sum + (leg.duration?.value || 0), 0)
+    : points
+        .slice(1)
+        .reduce(
+          (sum, p, i) =>
+            sum + estimateEtaMinutes(points[i].location, p.location) * 60,
+          0
+        );
+
+  const onBoardMeters = {};
+  members.forEach((member) => {
+    const from = points.findIndex(
+      (p) => p.kind === "pickup" && p.member.uid === member.uid
+    );
+    const to = points.findIndex(
+      (p) => p.kind === "dropoff" && p.member.uid === member.uid
+    );
+    onBoardMeters[member.uid] = legMeters
+      .slice(from, to)
+      .reduce((sum, m) => sum + m, 0);
+  });
+  const totalOnBoard = Object.values(onBoardMeters).reduce((a, b) => a + b, 0);
+  const fareShares = {};
+  members.forEach((member) => {
+    fareShares[member.uid] =
+      totalOnBoard > 0
+        ? Math.round((onBoardMeters[member.uid] / totalOnBoard) * 10000) / 10000
+        : Math.round((1 / members.length) * 10000) / 10000;
+  });
+
+  return {
+    pickup: points[0].location,
+    destination: points[points.length - 1].location,
+    routePolyline: route?.overview_polyline?.points || null,
+    stops: waypoints.map((point) => ({
+      location: { lat: point.location.lat, lng: point.location.lng },
+      label: `${point.kind === "pickup" ? "Pickup" : "Drop-off"}: ${
+        firstName(point.member.name) || "rider"
+      }`,
+      passengerName: firstName(point.member.name),
+      // Riders get the "dropped off safely" text at their drop-off
+      passengerPhone:
+        point.kind === "dropoff" ? point.member.phoneNumber : null,
+      reachedAt: null,
+      kind: point.kind,
+      poolRiderUid: point.member.uid,
+    })),
+    fareShares,
+    distanceMeters: legMeters.reduce((sum, m) => sum + m, 0),
+    durationSeconds,
+  };
+}
+
+/**
+ * Splits a fare by the pool's shares. Rounding differences go to the organiser
+ * so the amounts always add up to the fare.
+ * @returns {Object<string, number>} Amount per rider UID.
+ */
+function splitFare(total, fareShares, organiserUid) {
+  const split = {};
+  let allocated = 0;
+  Object.entries(fareShares).forEach(([uid, share]) => {
+    if (uid === organiserUid) return;
+    split[uid] = Math.round(total * share * 100) / 100;
+    allocated += split[uid];
+  });
+  split[organiserUid] = Math.round((total - allocated) * 100) / 100;
+  return split;
+}
+
+/**
+ * Moves a pool to `requested` before its ride is created, in a transaction,
+ * so a double tap or retry can't request two rides for the same pool.
+ * @returns {Promise<object>} The pool as it was before the claim.
+ * @throws {Error} 403/404, or 409 if the pool was already requested,
+ *   cancelled or isn't ready.
+ */
+async function claimPool(poolId, uid) {
+  const { db } = firebaseConfig;
+  const poolRef = db.collection("ride_pools").doc(poolId);
+  return db.runTransaction(async (t) => {
+    const poolDoc = await t.get(poolRef);
+    if (!poolDoc.exists) throw poolError(404, "Pool not found.");
+    const pool = { id: poolDoc.id, ...poolDoc.data() };
+    if (pool.organiserUid !== uid) {
+      throw poolError(403, "Only the organiser can request the pooled ride.");
+    }
+    if (![POOL_STATUS.FORMING, POOL_STATUS.READY].includes(pool.status)) {
+      throw poolError(409, `This pool is already ${pool.status}.`);
+    }
+    getRidingMembers(pool); // 409 until settled
+    t.update(poolRef, {
+      status: POOL_STATUS.REQUESTED,
+      rideId: null,
+      requestedAt: new Date().toISOString(),
+    });
+    return pool;
+  });
+}
+
+/** Gives a claimed pool back its status if its ride couldn't be created. */
+async function releasePool(pool) {
+  const { db } = firebaseConfig;
+  await db.collection("ride_pools").doc(pool.id).update({
+    status: pool.status,
+    requestedAt: null,
+  });
+}
+
+/** Links a claimed pool to the ride requested for it. */
+async function markPoolRequested(poolId, rideId) {
+  const { db } = firebaseConfig;
+  await db.collection("ride_pools").doc(poolId).update({ rideId });
+}
+
+/**
+ * Records one pool rider's payment of their share (from the Stripe webhook).
+ * The ride counts as paid once every rider in the pool has paid.
+ * @param {FirebaseFirestore.DocumentReference} rideRef
+ * @param {string} riderUid
+ * @param {string} paymentIntentId
+ * @returns {Promise<boolean>} True if this payment completed the fare.
+ */
+async function recordPoolSharePayment(rideRef, riderUid, paymentIntentId) {
+  return rideRef.firestore.runTransaction(async (t) => {
+    const rideDoc = await t.get(rideRef);
+    const pool = rideDoc.data()?.pool;
+    if (!pool) throw poolError(404, "Pooled ride not found.");
+    const paidRiderIds = [...new Set([...(pool.paidRiderIds || []), riderUid])];
+    const allPaid = pool.riderIds.every((uid) => paidRiderIds.includes(uid));
+    const update = {
+      pool: {
+        ...pool,
+        paidRiderIds,
+        paymentIntentIds: {
+          ...(pool.paymentIntentIds || {}),
+          [riderUid]: paymentIntentId,
+        },
+      },
+    };
+    if (allPaid) update.paymentStatus = "paid";
+    t.update(rideRef, update);
+    return allPaid;
+  });
+}
+
+/** True if a user rides in a pooled ride without being the one who booked it. */
+function isPoolRider(rideData, uid) {
+  return Boolean(rideData.pool?.riderIds?.includes(uid));
+}
+
+/** Everyone riding: each pool rider on a pooled ride, else the rider who booked it. */
+function getRideRiderIds(rideData) {
+  return rideData.pool?.riderIds?.length
+    ? rideData.pool.riderIds
+    : [rideData.riderId];
+}
+
+/**
+ * Takes a pool rider (not the organiser) off a pooled ride before pickup. The
+ * route is planned again for the riders left and their fare shares follow it.
+ * @param {FirebaseFirestore.DocumentReference} rideRef
+ * @param {object} rideData - The ride as loaded by the caller.
+ * @param {string} uid - The rider giving up their seat.
+ * @returns {Promise<object>} The fields updated on the ride (`destination`,
+ *   `routePolyline`, `stops` and `pool`).
+ * @throws {Error} 403 for the organiser, 409 once the ride is under way.
+ */
+async function leavePooledRide(rideRef, rideData, uid) {
+  const { db } = firebaseConfig;
+  if (uid === rideData.riderId) {
+    throw poolError(403, "The organiser cancels the whole ride instead.");
+  }
+  if (!SEAT_CANCELLABLE_STATUSES.includes(rideData.status)) {
+    throw poolError(
+      409,
+      "You can only give up your seat before the ride starts.",
+      "POOL_SEAT_NOT_CANCELLABLE"
+    );
+  }
+
+  const poolRef = db.collection("ride_pools").doc(rideData.pool.poolId);
+  const poolDoc = await poolRef.get();
+  if (!poolDoc.exists) throw poolError(404, "Pool not found.");
+  const riderIds = rideData.pool.riderIds.filter((id) => id !== uid);
+  // Members are stored organiser first, as planPooledRoute expects
+  const poolMembers = poolDoc.data().members;
+  const plan = await planPooledRoute(
+    poolMembers.filter((m) => riderIds.includes(m.uid))
+  );
+
+  const update = {
+    destination: plan.destination,
+    routePolyline: plan.routePolyline,
+    stops: plan.stops,
+    pool: {
+      ...rideData.pool,
+      riderIds,
+      fareShares: plan.fareShares,
+      leftRiderIds: [...(rideData.pool.leftRiderIds || []), uid],
+    },
+  };
+  await updateRide(rideRef, update);
+  await poolRef.update({
+    members: poolMembers.map((m) =>
+      m.uid === uid
+        ? {
+            ...m,
+            status: MEMBER_STATUS.LEFT,
+            respondedAt: new Date().toISOString(),
+          }
+        : m
+    ),
+  });
+  console.log(
+    `[Ride Pooling] ${uid} left pooled ride ${rideRef.id}; ${riderIds.length} rider(s) remain.`
+  );
+  return update;
+}
+
+module.exports = {
+  POOL_PICKUP_RADIUS_KM,
+  POOL_DESTINATION_RADIUS_KM,
+  MAX_POOL_RIDERS,
+  POOL_STATUS,
+  findPoolCandidates,
+  createPool,
+  getPool,
+  toPoolView,
+  respondToPool,
+  cancelPool,
+  getRidingMembers,
+  planPooledRoute,
+  splitFare,
+  claimPool,
+  releasePool,
+  markPoolRequested,
+  recordPoolSharePayment,
+  isPoolRider,
+  getRideRiderIds,
+  leavePooledRide,
+};
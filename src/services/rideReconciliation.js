@@ -0,0 +1,156 @@
+// src/services/rideReconciliation.js
+
+const { Op } = require("sequelize");
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { models } = require("../config/postgres");
+const { toPostgresRide, mirrorRideToPostgres } = require("./rideRepository");
+
+// Columns compared between the two stores. Location/route columns never change
+// after creation, so a missing row is the only way they can diverge.
+const COMPARED_FIELDS = [
+  "riderUid",
+  "driverUid",
+  "status",
+  "fareAmount",
+  "currency",
+  "paymentStatus",
+  "stripePaymentIntentId",
+  "requestedAt",
+  "scheduledPickupAt",
+  "acceptedAt",
+  "arrivedAtPickupAt",
+  "startedAt",
+  "completedAt",
+  "cancelledAt",
+  "cancellationFee",
+  "ratingGivenToDriver",
+  "ratingGivenToRider",
+];
+const DATE_FIELDS = [
+  "requestedAt",
+  "scheduledPickupAt",
+  "acceptedAt",
+  "arrivedAtPickupAt",
+  "startedAt",
+  "completedAt",
+  "cancelledAt",
+];
+const DECIMAL_FIELDS = ["fareAmount", "cancellationFee"];
+
+/** Normalises a column value so Firestore and Postgres values compare equal. */
+function normalize(field, value) {
+  if (value === undefined || value === null) return null;
+  if (DATE_FIELDS.includes(field)) return new Date(value).toISOString();
+  if (DECIMAL_FIELDS.includes(field)) return Number(value).toFixed(2);
+  return value;
+}
+
+/**
+ * Lists the fields where the Postgres row differs from the Firestore ride.
+ * @returns {string[]} Names of diverging columns (empty if in sync).
+ */
+function findDivergentFields(rideId, firestoreData, pgRow) {
+  const expected = toPostgresRide(rideId, firestoreData);
+  return COMPARED_FIELDS.filter(
+    (field) =>
+      normalize(field, expected[field]) !== normalize(field, pgRow[field])
+  );
+}
+
+/**
+ * Compares rides requested since `since` in Firestore and Postgres and repairs
+ * the Postgres copy from Firestore (the live source of truth).
+ * Postgres rows with no Firestore document are reported, never deleted.
+ * @param {object} [options]
+ * @param {Date} [options.since] - Only check rides requested after this (default: 7 days ago).
+ * @param {number} [options.limit] - Maximum number of Firestore rides to check.
+ * @returns {Promise<{checked: number, created: number, repaired: number, failed: number, orphaned: string[]}>}
+ */
+async function reconcileRides(options = {}) {
+  const { db } = firebaseConfig;
+  const since = options.since || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const limit = options.limit || 1000;
+  const summary = {
+    checked: 0,
+    created: 0,
+    repaired: 0,
+    failed: 0,
+    orphaned: [],
+  };
+
+  // requestedAt is stored as an ISO string, which sorts chronologically
+  const snapshot = await db
+    .collection("rides")
+    .where("requestedAt", ">=", since.toISOString())
+    .orderBy("requestedAt", "desc")
+    .limit(limit)
+    .get();
+
+  const firestoreRides = new Map();
+  snapshot.docs.forEach((doc) => firestoreRides.set(doc.id, doc.data()));
+
+  const pgRides = await models.Ride.findAll({
+    where: { requestedAt: { [Op.gte]: since } },
+  });
+  const pgRidesById = new Map(pgRides.map((r) => [r.firestoreRideId, r]));
+
+  for (const [rideId, rideData] of firestoreRides) {
+    summary.checked++;
+    const pgRow = pgRidesById.get(rideId);
+    if (pgRow) {
+      const divergent = findDivergentFields(rideId, rideData, pgRow);
+      if (divergent.length === 0) continue;
+      console.warn(
+        `[Ride Reconciliation] Ride ${rideId} diverges on: ${divergent.join(
+          ", "
+        )}`
+      );
+    } else {
+      console.warn(`[Ride Reconciliation] Ride ${rideId} missing in Postgres.`);
+    }
+
+    const repaired = await mirrorRideToPostgres(rideId, rideData);
+    if (!repaired) summary.failed++;
+    else if (pgRow) summary.repaired++;
+    else summary.created++;
+  }
+
+  // Rows only Postgres knows about (only meaningful if we saw every Firestore ride)
+  if (snapshot.size < limit) {
+    summary.orphaned = pgRides
+      .map((r) => r.firestoreRideId)
+      .filter((id) => id && !firestoreRides.has(id));
+    if (summary.orphaned.length > 0) {
+      console.warn(
+        `[Ride Reconciliation] Postgres rides with no Firestore document: ${summary.orphaned.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  console.log(
+    `[Ride Reconciliation] Checked ${summary.checked} ride(s): ${summary.created} created, ${summary.repaired} repaired, ${summary.failed} failed, ${summary.orphaned.length} orphaned.`
+  );
+  return summary;
+}
+
+/**
+ * Runs reconcileRides on an interval. Errors are logged so one bad run
+ * doesn't stop the job.
+ * @param {number} intervalMinutes - Minutes between runs.
+ * @returns {NodeJS.Timeout} The interval handle.
+ */
+function startRideReconciliationJob(intervalMinutes) {
+  const run = () =>
+    reconcileRides().catch((error) =>
+      console.error("[Ride Reconciliation] Run failed:", error)
+    );
+  return setInterval(run, intervalMinutes * 60 * 1000);
+}
+
+module.exports = {
+  findDivergentFields,
+  reconcileRides,
+  startRideReconciliationJob,
+};
@@ -0,0 +1,193 @@
+// src/services/rideRepository.js
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { models } = require("../config/postgres");
+const rideLifecycle = require("./rideLifecycle");
+
+// Firestore keeps 'paid' while the Postgres enum uses Stripe's 'succeeded'
+const PAYMENT_STATUS_TO_POSTGRES = { paid: "succeeded" };
+const PAYMENT_STATUS_FROM_POSTGRES = { succeeded: "paid" };
+
+/** Maps a Firestore payment status ('paid', 'failed'...) to the Postgres enum value. */
+function toPostgresPaymentStatus(paymentStatus) {
+  return PAYMENT_STATUS_TO_POSTGRES[paymentStatus] || paymentStatus;
+}
+
+/** Returns the Firestore document reference for a ride. */
+function getRideRef(rideId) {
+  const { db } = firebaseConfig;
+  return db.collection("rides").doc(rideId);
+}
+
+/**
+ * Maps a Firestore ride document to the columns of the Postgres `rides` table.
+ * @param {string} rideId - Firestore ride ID.
+ * @param {object} rideData - Firestore ride data.
+ * @returns {object} Attributes for models.Ride.
+ */
+function toPostgresRide(rideId, rideData) {
+  return {
+    firestoreRideId: rideId,
+    riderUid: rideData.riderId,
+    driverUid: rideData.driverId || null,
+    status: rideData.status,
+    pickupLocation: rideData.pickup,
+    destinationLocation: rideData.destination,
+    routePolyline: rideData.routePolyline || null,
+    stops: rideData.stops || null,
+    pool: rideData.pool || null,
+    poolRiderUids: rideData.pool?.riderIds || null,
+    fareAmount: rideData.actualFare ?? null,
+    fareBreakdown: rideData.fareBreakdown || null,
+    currency: rideData.currency || "INR",
+    paymentStatus: toPostgresPaymentStatus(rideData.paymentStatus) || "pending",
+    stripePaymentIntentId: rideData.stripePaymentIntentId || null,
+    requestedAt: rideData.requestedAt,
+    scheduledPickupAt: rideData.scheduledPickupAt || null,
+    acceptedAt: rideData.acceptedAt || null,
+    arrivedAtPickupAt: rideData.arrivedAtPickupAt || null,
+    startedAt: rideData.startedAt || null,
+    completedAt: rideData.completedAt || null,
+    cancelledAt: rideData.cancelledAt || null,
+    cancellationReason: rideData.cancellationReason || null,
+    cancellationFee: rideData.cancellationFee ?? null,
+    ratingGivenToDriver: rideData.driverRatingByRider ?? null,
+    ratingGivenToRider: rideData.riderRatingByDriver ?? null,
+  };
+}
+
+/**
+ * Maps a Postgres ride row back to the Firestore field names used by controllers.
+ * @param {object} row - models.Ride instance or plain object.
+ * @returns {object} Ride data shaped like a Firestore ride document (with `id`).
+ */
+function fromPostgresRide(row) {
+  const ride = typeof row.toJSON === "function" ? row.toJSON() : row;
+  return {
+    id: ride.firestoreRideId,
+    riderId: ride.riderUid,
+    driverId: ride.driverUid,
+    status: ride.status,
+    pickup: ride.pickupLocation,
+    destination: ride.destinationLocation,
+    routePolyline: ride.routePolyline,
+    stops: ride.stops || [],
+    pool: ride.pool || null,
+    actualFare: ride.fareAmount !== null ? Number(ride.fareAmount) : null,
+    fareBreakdown: ride.fareBreakdown,
+    currency: ride.currency,
+    paymentStatus:
+      PAYMENT_STATUS_FROM_POSTGRES[ride.paymentStatus] || ride.paymentStatus,
+    stripePaymentIntentId: ride.stripePaymentIntentId,
+    requestedAt: ride.requestedAt,
+    scheduledPickupAt: ride.scheduledPickupAt,
+    acceptedAt: ride.acceptedAt,
+    arrivedAtPickupAt: ride.arrivedAtPickupAt,
+    startedAt: ride.startedAt,
+    completedAt: ride.completedAt,
+    cancelledAt: ride.cancelledAt,
+    cancellationReason: ride.cancellationReason,
+    cancellationFee:
+      ride.cancellationFee !== null ? Number(ride.cancellationFee) : null,
+    driverRatingByRider: ride.ratingGivenToDriver,
+    riderRatingByDriver: ride.ratingGivenToRider,
+  };
+}
+
+/**
+ * Creates or updates the Postgres copy of a ride from its Firestore state.
+ * Failures are logged, not thrown: Firestore stays the live source of truth and
+ * the reconciliation job repairs anything that failed to mirror.
+ * @param {string} rideId - Firestore ride ID.
+ * @param {object} [rideData] - Full Firestore ride data; read from Firestore if omitted.
+ * @returns {Promise<boolean>} True if the Postgres row now matches.
+ */
+async function mirrorRideToPostgres(rideId, rideData = null) {
+  try {
+    if (!models.Ride) return false; // Models not loaded (e.g., scripts)
+    let data = rideData;
+    if (!data) {
+      const rideDoc = await getRideRef(rideId).get();
+      if (!rideDoc.exists) return false;
+      data = rideDoc.data();
+    }
+    const attributes = toPostgresRide(rideId, data);
+    const existing = await models.Ride.findOne({
+      where: { firestoreRideId: rideId },
+    });
+    if (existing) {
+      await existing.update(attributes);
+    } else {
+      await models.Ride.create(attributes);
+    }
+    return true;
+  } catch (error) {
+    console.error(
+      `[Ride Repository] Failed to mirror ride ${rideId} to Postgres:`,
+      error.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Creates a ride in Firestore and mirrors it to Postgres.
+ * @param {object} rideData - Firestore ride data.
+ * @param {FirebaseFirestore.DocumentReference} [rideRef] - A new document to
+ *   create it as, when its ID is needed first; a fresh one by default.
+ * @returns {Promise<FirebaseFirestore.DocumentReference>} The new ride document.
+ */
+async function createRide(rideData, rideRef) {
+  const { db } = firebaseConfig;
+  const ref = rideRef || db.collection("rides").doc();
+  await ref.set(rideData);
+  await mirrorRideToPostgres(ref.id, rideData);
+  return ref;
+}
+
+/**
+ * Updates non-status fields of a ride (payment, ratings...) in both stores.
+ * Status changes must go through transitionRide.
+ */
+async function updateRide(rideRef, fields) {
+  await rideRef.update(fields);
+  await mirrorRideToPostgres(rideRef.id);
+}
+
+/**
+ * Moves a ride to a new status (see rideLifecycle.transitionRide) and mirrors
+ * the result to Postgres.
+ * @throws {InvalidRideTransitionError} If the transition is not allowed (409).
+ */
+async function transitionRide(rideRef, toStatus, options = {}) {
+  const result = await rideLifecycle.transitionRide(rideRef, toStatus, options);
+  await mirrorRideToPostgres(rideRef.id, {
+    ...result.rideData,
+    ...result.update,
+  });
+  return result;
+}
+
+/**
+ * Loads a ride from Firestore. The Postgres copy can lag behind (mirroring is
+ * best effort), so anything that acts on a ride's status, fare or payment
+ * reads it here.
+ * @returns {Promise<object|null>} Ride data (with `id`) or null.
+ */
+async function findRide(rideId) {
+  const rideDoc = await getRideRef(rideId).get();
+  if (!rideDoc.exists) return null;
+  return { id: rideDoc.id, ...rideDoc.data() };
+}
+
+module.exports = {
+  getRideRef,
+  toPostgresRide,
+  fromPostgresRide,
+  toPostgresPaymentStatus,
+  mirrorRideToPostgres,
+  createRide,
+  updateRide,
+  transitionRide,
+  findRide,
+};
@@ -0,0 +1,180 @@
+// src/services/rideScheduler.js
+// Scheduled (booked-ahead) rides: booking rules and the job that starts their
+// dispatch shortly before the pickup time.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { RIDE_STATUS, InvalidRideTransitionError } = require("./rideLifecycle");
+const { transitionRide } = require("./rideRepository");
+const { sendSmsAlert } = require("./twilioService");
+const { enforceSurgeSafetyRules } = require("./surgeService");
+const { removeQuotedSurge } = require("./pricingService");
+
+// --- Scheduling Settings ---
+const DISPATCH_LEAD_MINUTES =
+  parseInt(process.env.SCHEDULED_RIDE_LEAD_MINUTES, 10) || 20; // Dispatch starts this long before pickup
+const MIN_BOOKING_NOTICE_MINUTES = DISPATCH_LEAD_MINUTES + 10; // Anything sooner is just a normal ride
+const MAX_BOOKING_DAYS_AHEAD = 7;
+const MISSED_PICKUP_GRACE_MINUTES = 15; // Past this, a ride that never dispatched is cancelled
+
+/**
+ * Checks a requested pickup time against the booking window.
+ * @param {Date} pickupAt - Requested pickup time.
+ * @param {Date} [now]
+ * @returns {string|null} Why the time is not allowed, or null if it's fine.
+ */
+function validateScheduledPickupTime(pickupAt, now = new Date()) {
+  const minutesAhead = (pickupAt - now) / 60000;
+  if (minutesAhead < MIN_BOOKING_NOTICE_MINUTES) {
+    return `Scheduled rides must be booked at least ${MIN_BOOKING_NOTICE_MINUTES} minutes ahead. Request a ride now instead.`;
+  }
+  if (minutesAhead > MAX_BOOKING_DAYS_AHEAD * 24 * 60) {
+    return `Scheduled rides can be booked at most ${MAX_BOOKING_DAYS_AHEAD} days ahead.`;
+  }
+  return null;
+}
+
+/**
+ * Texts a rider whose scheduled ride couldn't be fulfilled. Used when they're
+ * not connected to receive the socket event, since bookings are made hours ahead.
+ */
+async function notifyRiderBySms(riderId, message) {
+  const { db } = firebaseConfig;
+  try {
+    const riderDoc = await db.collection("users").doc(riderId).get();
+    const phone = riderDoc.exists ? riderDoc.data().phoneNumber : null;
+    if (!phone) {
+      console.warn(
+        `[Ride Scheduler] No phone number to text rider ${riderId}.`
+      );
+      return false;
+    }
+    return await sendSmsAlert(phone, message);
+  } catch (error) {
+    console.error(`[Ride Scheduler] Failed to text rider ${riderId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Moves one due scheduled ride into the normal dispatch flow, or cancels it
+ * if its pickup time passed without dispatch (e.g., the server was down).
+ */
+async function startScheduledRide(rideDoc, socketHelpers, now) {
+  const { dispatchRide, notifyRider } = socketHelpers;
+  const ride = rideDoc.data();
+  const pickupAt = new Date(ride.scheduledPickupAt);
+
+  try {
+    if (now - pickupAt > MISSED_PICKUP_GRACE_MINUTES * 60000) {
+      await transitionRide(rideDoc.ref, RIDE_STATUS.CANCELLED_SYSTEM, {
+        extraFields: {
+          cancellationReason: "Scheduled pickup time passed before dispatch.",
+        },
+      });
+      console.warn(
+        `[Ride Scheduler] Cancelled scheduled ride ${rideDoc.id}: pickup time passed before dispatch.`
+      );
+      const payload = {
+        rideId: rideDoc.id,
+        scheduledPickupAt: ride.scheduledPickupAt,
+      };
+      if (!notifyRider(ride.riderId, "scheduled_ride_missed", payload)) {
+        notifyRiderBySms(
+          ride.riderId,
+          "We're sorry, we couldn't start your scheduled ride in time and it has been cancelled. Please request a new ride."
+        );
+      }
+      return;
+    }
+
+    // Surge booked with a quote is off if there's been an SOS nearby since
+    // (a late-night pickup never had it, see scheduleRide)
+    const surge = await enforceSurgeSafetyRules(ride.surge, ride.pickup, now);
+    const surgeFields =
+      surge !== ride.surge
+        ? {
+            surge,
+            fareQuote:
+              ride.fareQuote &&
+              removeQuotedSurge(ride.fareQuote, ride.pickup, surge),
+          }
+        : {};
+    // Claims the ride, so only one server instance dispatches it
+    await transitionRide(rideDoc.ref, RIDE_STATUS.PENDING, {
+      extraFields: surgeFields,
+    });
+  } catch (error) {
+    if (error instanceof InvalidRideTransitionError) return; // Cancelled or claimed meanwhile
+    throw error;
+  }
+
+  console.log(
+    `[Ride Scheduler] Dispatching scheduled ride ${rideDoc.id} (pickup at ${ride.scheduledPickupAt}).`
+  );
+  notifyRider(ride.riderId, "scheduled_ride_dispatching", {
+    rideId: rideDoc.id,
+    scheduledPickupAt: ride.scheduledPickupAt,
+  });
+  // If nobody accepts, dispatch marks the ride 'no_drivers' and tells the rider
+  // while there's still time to make other plans
+  await dispatchRide(rideDoc.id, {
+    riderId: ride.riderId,
+    pickup: ride.pickup,
+    destination: ride.destination,
+    scheduledPickupAt: ride.scheduledPickupAt,
+    matchingPreferences: ride.matchingPreferences,
+    allowPreferenceFallback: ride.allowPreferenceFallback,
+  });
+}
+
+/**
+ * Starts dispatch for every scheduled ride whose pickup is within the lead time.
+ * @param {object} socketHelpers - Helpers returned by initializeSocket.
+ * @returns {Promise<number>} Number of rides processed.
+ */
+async function dispatchDueScheduledRides(socketHelpers) {
+  const { db } = firebaseConfig;
+  const now = new Date();
+  const dueBy = new Date(now.getTime() + DISPATCH_LEAD_MINUTES * 60000);
+
+  // scheduledPickupAt is stored as an ISO string, which sorts chronologically
+  const snapshot = await db
+    .collection("rides")
+    .where("status", "==", RIDE_STATUS.SCHEDULED)
+    .where("scheduledPickupAt", "<=", dueBy.toISOString())
+    .get();
+
+  for (const rideDoc of snapshot.docs) {
+    try {
+      await startScheduledRide(rideDoc, socketHelpers, now);
+    } catch (error) {
+      console.error(
+        `[Ride Scheduler] Failed to start scheduled ride ${rideDoc.id}:`,
+        error
+      );
+    }
+  }
+  return snapshot.size;
+}
+
+/**
+ * Runs dispatchDueScheduledRides every minute. Errors are logged so one bad
+ * run doesn't stop the job.
+ * @param {object} socketHelpers - Helpers returned by initializeSocket.
+ * @returns {NodeJS.Timeout} The interval handle.
+ */
+function startRideSchedulerJob(socketHelpers) {
+  const run = () =>
+    dispatchDueScheduledRides(socketHelpers).catch((error) =>
+      console.error("[Ride Scheduler] Run failed:", error)
+    );
+  return setInterval(run, 60 * 1000);
+}
+
+module.exports = {
+  DISPATCH_LEAD_MINUTES,
+  validateScheduledPickupTime,
+  notifyRiderBySms,
+  dispatchDueScheduledRides,
+  startRideSchedulerJob,
+};
@@ -0,0 +1,68 @@
+// src/services/rideStops.js
+// Intermediate stops on a ride (e.g., dropping a friend off first).
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { sendSmsAlert } = require("./twilioService");
+
+const MAX_RIDE_STOPS = 3; // Intermediate stops allowed between pickup and destination
+
+/**
+ * Normalises stops from a ride request into the shape stored on the ride.
+ * @param {Array<{location: {lat: number, lng: number}, label?: string, passengerName?: string, passengerPhone?: string}>} [stops]
+ * @returns {Array<object>} Stops in travel order, none reached yet.
+ */
+function buildRideStops(stops) {
+  return (stops || []).map((stop) => ({
+    location: { lat: stop.location.lat, lng: stop.location.lng },
+    label: stop.label || null,
+    passengerName: stop.passengerName || null, // Who gets off here, if anyone
+    passengerPhone: stop.passengerPhone || null,
+    reachedAt: null,
+  }));
+}
+
+/** @returns {number} Index of the next stop not reached yet, or -1 if all are done. */
+function nextStopIndex(stops) {
+  return (stops || []).findIndex((stop) => !stop.reachedAt);
+}
+
+/**
+ * Texts a passenger who got off at a stop that they reached it safely.
+ * @param {object} stop - Stop as stored on the ride (reached).
+ * @param {string} riderId - Rider who booked the ride.
+ * @returns {Promise<boolean>} True if an SMS was attempted.
+ */
+async function sendStopReachedConfirmation(stop, riderId) {
+  if (!stop.passengerPhone) return false;
+  const { db } = firebaseConfig;
+  let riderName = "your friend";
+  try {
+    const riderDoc = await db.collection("users").doc(riderId).get();
+    if (riderDoc.exists && riderDoc.data().name)
+      riderName = riderDoc.data().name;
+  } catch (error) {
+    console.error(
+      `[Ride Stops] Failed to load rider ${riderId}:`,
+      error.message
+    );
+  }
+  const place = stop.label ? ` at ${stop.label}` : "";
+  const time = new Date(stop.reachedAt).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Kolkata",
+  });
+  return sendSmsAlert(
+    stop.passengerPhone,
+    `${
+      stop.passengerName || "Hi"
+    }, you were dropped off safely${place} at ${time} (ride booked by ${riderName}).`
+  );
+}
+
+module.exports = {
+  MAX_RIDE_STOPS,
+  buildRideStops,
+  nextStopIndex,
+  sendStopReachedConfirmation,
+};
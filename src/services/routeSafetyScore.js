@@ -0,0 +1,256 @@
+// src/services/routeSafetyScore.js
+// Scores a route for safety (police, hospitals... near the road) and
+// crowdedness (busy venues while they're open), and explains the score:
+// what each POI type contributed, which opening-hours adjustments applied,
+// the weakest stretches of the route and the POIs that counted most.
+
+const { distanceToPathKm, pathLengthKm, samplePath } = require("../utils/geo");
+
+const WEIGHTS = {
+  SAFETY: { police: 10, hospital: 5, atm: 1, pharmacy: 2 },
+  CROWDEDNESS: {
+    transit_station: 8,
+    shopping_mall: 6,
+    market: 6,
+    tourist_attraction: 4,
+    restaurant: 5,
+    cafe: 4,
+    bar: 3,
+    movie_theater: 4,
+  },
+};
+const SAFETY_POI_TYPES = Object.keys(WEIGHTS.SAFETY);
+const CROWD_POI_TYPES = Object.keys(WEIGHTS.CROWDEDNESS);
+// Venues only make a street busy while open (from the `open` hour through
+// the whole `close` hour, may wrap past midnight); outside them their weight
+// is scaled down
+const OPENING_HOURS = {
+  restaurant: { open: 18, close: 23, factorWhenClosed: 0.2 },
+  cafe: { open: 8, close: 18, factorWhenClosed: 0.3 },
+  bar: { open: 19, close: 1, factorWhenClosed: 0 }, // Until 02:00
+  shopping_mall: { open: 10, close: 21, factorWhenClosed: 0.1 },
+  market: { open: 9, close: 19, factorWhenClosed: 0.1 },
+};
+const ROUTE_POI_RADIUS_METERS = 750; // How far from the road POIs count at all
+const ROUTE_POI_FULL_WEIGHT_METERS = 100; // POIs this close count in full
+const SEGMENT_LENGTH_KM = 0.5; // Stretches compared to find the weakest ones
+const WEAKEST_SEGMENT_COUNT = 3;
+const TOP_POI_COUNT = 5;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+/**
+ * Share of a POI's weight that counts towards a route: full next to the
+ * road, fading to nothing at the edge of the search corridor.
+ * @param {number} distanceToRouteMeters - From findPOIsAlongRoute.
+ */
+function proximityFactor(distanceToRouteMeters) {
+  if (!(distanceToRouteMeters > ROUTE_POI_FULL_WEIGHT_METERS)) return 1;
+  return Math.max(
+    0,
+    (ROUTE_POI_RADIUS_METERS - distanceToRouteMeters) /
+      (ROUTE_POI_RADIUS_METERS - ROUTE_POI_FULL_WEIGHT_METERS)
+  );
+}
+
+/** Whether a venue type is open at an hour (types without hours always are). */
+function isOpenAt(type, hour) {
+  const hours = OPENING_HOURS[type];
+  if (!hours) return true;
+  return hours.open <= hours.close
+    ? hour >= hours.open && hour <= hours.close
+    : hour >= hours.open || hour <= hours.close;
+}
+
+/**
+ * Splits a path into stretches of about SEGMENT_LENGTH_KM, each with the
+ * distance along the route where it starts and ends.
+ */
+function splitIntoSegments(path) {
+  // Samples are SEGMENT_LENGTH_KM apart along the path, except the last one
+  const points = samplePath(path, SEGMENT_LENGTH_KM);
+  const totalMeters = Math.round(pathLengthKm(path) * 1000);
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    segments.push({
+      from: points[i - 1],
+      to: points[i],
+      startMeters: Math.round((i - 1) * SEGMENT_LENGTH_KM * 1000),
+      endMeters: Math.min(
+        Math.round(i * SEGMENT_LENGTH_KM * 1000),
+        totalMeters
+      ),
+      score: 0,
+      poiCount: 0,
+      reportCount: 0,
+    });
+  }
+  return segments;
+}
+
+/**
+ * Joins runs of consecutive segments with no POIs or reports near them into
+ * one stretch each, so a long unsupported stretch isn't listed as three
+ * arbitrary 500 m pieces of it.
+ */
+function mergeUnsupportedSegments(segments) {
+  const unsupported = (segment) =>
+    segment.poiCount === 0 && segment.reportCount === 0;
+  const merged = [];
+  segments.forEach((segment) => {
+    const previous = merged[merged.length - 1];
+    if (previous && unsupported(previous) && unsupported(segment)) {
+      previous.to = segment.to;
+      previous.endMeters = segment.endMeters;
+    } else {
+      merged.push({ ...segment });
+    }
+  });
+  return merged;
+}
+
+/** The segment passing closest to a location. */
+function nearestSegment(segments, location) {
+  let nearest = null;
+  let nearestKm = Infinity;
+  segments.forEach((segment) => {
+    const km = distanceToPathKm(location, [segment.from, segment.to]);
+    if (km < nearestKm) {
+      nearest = segment;
+      nearestKm = km;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Scores a route and explains the score.
+ * @param {object} params
+ * @param {Array<{lat: number, lng: number}>} params.path - Decoded route polyline.
+ * @param {object[]} params.safetyPOIs - From findPOIsAlongRoute (SAFETY_POI_TYPES).
+ * @param {object[]} params.crowdPOIs - From findPOIsAlongRoute (CROWD_POI_TYPES).
+ * @param {{penalty: number, reports: object[]}} params.reportImpact - From safetyReports.scoreReportsAlongPath.
+ * @param {number} params.hour - Hour of travel (0-23), for opening hours.
+ * @returns {{safetyScore: number, crowdScore: number, totalScore: number, breakdown: object}}
+ */
+function scoreRoute({ path, safetyPOIs, crowdPOIs, reportImpact, hour }) {
+  const byType = new Map();
+  const contributions = [];
+  const adjustments = new Map();
+  let safetyScore = 0;
+  let crowdScore = 0;
+
+  const countPOI = (poi, category, weights) => {
+    const type = poi.types?.find((t) => weights[t]);
+    if (!type) return;
+    // POIs count by how close the route passes them, not just by being nearby
+    let contribution =
+      weights[type] * proximityFactor(poi.distanceToRouteMeters);
+    if (category === "crowd" && !isOpenAt(type, hour)) {
+      const { open, close, factorWhenClosed } = OPENING_HOURS[type];
+      contribution *= factorWhenClosed;
+      const adjustment = adjustments.get(type) || {
+        type,
+        openingHours: `${formatHour(open)}-${formatHour((close + 1) % 24)}`,
+        factor: factorWhenClosed,
+        poiCount: 0,
+      };
+      adjustment.poiCount += 1;
+      adjustments.set(type, adjustment);
+    }
+
+    if (category === "safety") safetyScore += contribution;
+    else crowdScore += contribution;
+    const typeTotals = byType.get(type) || {
+      type,
+      category,
+      weight: weights[type],
+      count: 0,
+      contribution: 0,
+    };
+    typeTotals.count += 1;
+    typeTotals.contribution += contribution;
+    byType.set(type, typeTotals);
+    contributions.push({ poi, type, category, contribution });
+  };
+  safetyPOIs.forEach((poi) => countPOI(poi, "safety", WEIGHTS.SAFETY));
+  crowdPOIs.forEach((poi) => countPOI(poi, "crowd", WEIGHTS.CROWDEDNESS));
+
+  // Reports near the route take safety off, less as they age
+  safetyScore -= reportImpact.penalty;
+
+  // Weakest stretches: least POI support, after report penalties
+  const segments = path.length > 1 ? splitIntoSegments(path) : [];
+  if (segments.length > 0) {
+    contributions.forEach(({ poi, contribution }) => {
+      const segment = nearestSegment(segments, poi.geometry.location);
+      segment.score += contribution;
+      segment.poiCount += 1;
+    });
+    reportImpact.reports.forEach((report) => {
+      const segment = nearestSegment(segments, report.location);
+      segment.score -= report.penalty;
+      segment.reportCount += 1;
+    });
+  }
+  // Ties (most often stretches with nothing near them) go to the longest
+  const lengthOf = (segment) => segment.endMeters - segment.startMeters;
+  const weakestSegments =
+    segments.length > 1
+      ? mergeUnsupportedSegments(segments)
+          .sort((a, b) => a.score - b.score || lengthOf(b) - lengthOf(a))
+          .slice(0, WEAKEST_SEGMENT_COUNT)
+          .map((segment) => ({ ...segment, score: round1(segment.score) }))
+      : [];
+
+  const topPOIs = contributions
+    .filter(({ contribution }) => contribution > 0)
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, TOP_POI_COUNT)
+    .map(({ poi, type, category, contribution }) => ({
+      placeId: poi.place_id,
+      name: poi.name,
+      type,
+      category,
+      location: poi.geometry.location,
+      distanceToRouteMeters: poi.distanceToRouteMeters,
+      contribution: round1(contribution),
+    }));
+
+  return {
+    safetyScore: Math.round(safetyScore),
+    crowdScore: Math.round(crowdScore),
+    totalScore: Math.round(safetyScore + crowdScore),
+    breakdown: {
+      poiTypes: Array.from(byType.values())
+        .map((totals) => ({
+          ...totals,
+          contribution: round1(totals.contribution),
+        }))
+        .sort((a, b) => b.contribution - a.contribution),
+      timeOfDay: { hour, adjustments: Array.from(adjustments.values()) },
+      reportPenalty: round1(reportImpact.penalty),
+      weakestSegments,
+      topPOIs,
+    },
+  };
+}
+
+/** Safety score around a single point (e.g., a stop), from nearby POIs. */
+function scoreLocationSafety(places) {
+  let safetyScore = 0;
+  places.forEach((poi) => {
+    const type = poi.types?.find((t) => WEIGHTS.SAFETY[t]);
+    if (type) safetyScore += WEIGHTS.SAFETY[type];
+  });
+  return Math.round(safetyScore);
+}
+
+module.exports = {
+  SAFETY_POI_TYPES,
+  CROWD_POI_TYPES,
+  ROUTE_POI_RADIUS_METERS,
+  scoreRoute,
+  scoreLocationSafety,
+};
@@ -0,0 +1,254 @@
+// src/services/safetyReports.js
+// Rider reports of unsafe places (a dark underpass, harassment on a street),
+// moderated before they count. Verified reports near a route lower its
+// safety score, by less as they age.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const settings = require("../config/safetyReports.json");
+const {
+  distanceToPathKm,
+  encodeGeohash,
+  geohashesCoveringCircle,
+  samplePath,
+} = require("../utils/geo");
+
+const REPORT_CATEGORIES = Object.keys(settings.categoryPenalties);
+const MODERATION_STATUS = {
+  PENDING: "pending",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+};
+const REPORT_CELL_PRECISION = 5; // About 5km cells, for finding reports near a route
+const FIRESTORE_IN_LIMIT = 30; // Max values in a Firestore "in" query
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Builds an error the global error handler turns into a response. */
+function reportError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/** A report as returned to users; who reported it is never shown to others. */
+function toReportView(id, report, { includeReporter = false } = {}) {
+  const view = {
+    reportId: id,
+    category: report.category,
+    location: report.location,
+    occurredAt: report.occurredAt,
+    description: report.description,
+    moderationStatus: report.moderationStatus,
+    createdAt: report.createdAt,
+  };
+  if (includeReporter) view.reporterUid = report.reporterUid;
+  return view;
+}
+
+/**
+ * Files a report. It counts towards route scores once a moderator verifies it.
+ * @param {object} params
+ * @param {string} params.reporterUid
+ * @param {{lat: number, lng: number}} params.location
+ * @param {string} params.category - One of REPORT_CATEGORIES.
+ * @param {string} [params.occurredAt] - ISO time of the incident (default now).
+ * @param {string} [params.description]
+ * @returns {Promise<object>} The report view.
+ * @throws {Error} 400 if the incident time is in the future or too long ago.
+ */
+async function createSafetyReport({
+  reporterUid,
+  location,
+  category,
+  occurredAt,
+  description,
+}) {
+  const { db } = firebaseConfig;
+  const now = new Date();
+  const occurred = occurredAt ? new Date(occurredAt) : now;
+  if (occurred > now) {
+    throw reportError(400, "The incident time can't be in the future.");
+  }
+  if (now - occurred > settings.maxAgeDays * DAY_MS) {
+    throw reportError(
+      400,
+      `Incidents older than ${settings.maxAgeDays} days can't be reported.`,
+      "REPORT_TOO_OLD"
+    );
+  }
+
+  const point = { lat: Number(location.lat), lng: Number(location.lng) };
+  const report = {
+    reporterUid,
+    category,
+    location: point,
+    cell: encodeGeohash(point, REPORT_CELL_PRECISION),
+    occurredAt: occurred.toISOString(),
+    description: description || null,
+    moderationStatus: MODERATION_STATUS.PENDING,
+    moderatedBy: null,
+    moderatedAt: null,
+    moderationNote: null,
+    createdAt: now.toISOString(),
+  };
+  const reportRef = await db.collection("safety_reports").add(report);
+  console.log(
+    `[Safety Reports] ${reporterUid} reported ${category} (report ${reportRef.id}).`
+  );
+  return toReportView(reportRef.id, report);
+}
+
+/** Reports filed by a user, newest first, with their moderation status. */
+async function listMyReports(reporterUid) {
+  const { db } = firebaseConfig;
+  const snapshot = await db
+    .collection("safety_reports")
+    .where("reporterUid", "==", reporterUid)
+    .get();
+  return snapshot.docs
+    .map((doc) => toReportView(doc.id, doc.data()))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** Reports with a moderation status (the queue, for "pending"), oldest first. */
+async function listReportsByStatus(status) {
+  const { db } = firebaseConfig;
+  const snapshot = await db
+    .collection("safety_reports")
+    .where("moderationStatus", "==", status)
+    .get();
+  return snapshot.docs
+    .map((doc) => toReportView(doc.id, doc.data(), { includeReporter: true }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Verifies or rejects a report. A decision can be changed later.
+ * @param {string} reportId
+ * @param {object} params
+ * @param {string} params.status - MODERATION_STATUS.VERIFIED or REJECTED.
+ * @param {string} params.moderatorUid
+ * @param {string} [params.note]
+ * @returns {Promise<object>} The report view, with the reporter's UID.
+ * @throws {Error} 404 if the report doesn't exist.
+ */
+async function moderateReport(reportId, { status, moderatorUid, note }) {
+  const { db } = firebaseConfig;
+  const reportRef = db.collection("safety_reports").doc(reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) {
+    throw reportError(404, "Safety report not found.", "REPORT_NOT_FOUND");
+  }
+  const update = {
+    moderationStatus: status,
+    moderatedBy: moderatorUid,
+    moderatedAt: new Date().toISOString(),
+    moderationNote: note || null,
+  };
+  await reportRef.update(update);
+  console.log(
+    `[Safety Reports] Report ${reportId} marked ${status} by ${moderatorUid}.`
+  );
+  return toReportView(
+    reportId,
+    { ...reportDoc.data(), ...update },
+    { includeReporter: true }
+  );
+}
+
+/**
+ * Share of a report's penalty that still applies: it halves every
+ * `halfLifeDays` and stops counting after `maxAgeDays`.
+ */
+function decayFactor(occurredAt, now = new Date()) {
+  const ageDays = Math.max(0, (now - new Date(occurredAt)) / DAY_MS);
+  if (ageDays > settings.maxAgeDays) return 0;
+  return Math.pow(0.5, ageDays / settings.halfLifeDays);
+}
+
+/**
+ * Verified, unexpired reports near any of the paths, loaded in one go for
+ * all of a search's route alternatives.
+ * @param {Array<Array<{lat: number, lng: number}>>} paths - Decoded route polylines.
+ * @returns {Promise<Array<{reportId: string}>>} Stored reports with their IDs.
+ */
+async function loadVerifiedReportsNear(paths) {
+  const { db } = firebaseConfig;
+  const radiusKm = settings.routeRadiusMeters / 1000;
+  const cells = new Set();
+  paths
+    .filter((path) => path.length > 0)
+    .forEach((path) =>
+      samplePath(path, radiusKm).forEach((point) =>
+        geohashesCoveringCircle(point, radiusKm, REPORT_CELL_PRECISION).forEach(
+          (cell) => cells.add(cell)
+        )
+      )
+    );
+
+  const cellList = Array.from(cells);
+  const chunks = [];
+  for (let i = 0; i < cellList.length; i += FIRESTORE_IN_LIMIT) {
+    chunks.push(cellList.slice(i, i + FIRESTORE_IN_LIMIT));
+  }
+  const snapshots = await Promise.all(
+    chunks.map((chunk) =>
+      db.collection("safety_reports").where("cell", "in", chunk).get()
+    )
+  );
+  const now = new Date();
+  return snapshots
+    .flatMap((snapshot) => snapshot.docs)
+    .map((doc) => ({ reportId: doc.id, ...doc.data() }))
+    .filter(
+      (report) =>
+        report.moderationStatus === MODERATION_STATUS.VERIFIED &&
+        decayFactor(report.occurredAt, now) > 0
+    );
+}
+
+/**
+ * How much the reports near a route take off its safety score, and which
+ * reports contributed.
+ * @param {Array<{reportId: string}>} reports - From loadVerifiedReportsNear.
+ * @param {Array<{lat: number, lng: number}>} path - The route's decoded polyline.
+ * @returns {{penalty: number, reports: object[]}}
+ */
+function scoreReportsAlongPath(reports, path) {
+  const now = new Date();
+  let penalty = 0;
+  const contributing = [];
+  reports.forEach((report) => {
+    const distanceToRouteMeters = Math.round(
+      distanceToPathKm(report.location, path) * 1000
+    );
+    if (distanceToRouteMeters > settings.routeRadiusMeters) return;
+    const reportPenalty =
+      (settings.categoryPenalties[report.category] || 0) *
+      decayFactor(report.occurredAt, now);
+    penalty += reportPenalty;
+    contributing.push({
+      reportId: report.reportId,
+      category: report.category,
+      location: report.location,
+      occurredAt: report.occurredAt,
+      description: report.description,
+      distanceToRouteMeters,
+      penalty: Math.round(reportPenalty * 10) / 10,
+    });
+  });
+  contributing.sort((a, b) => b.penalty - a.penalty);
+  return { penalty, reports: contributing };
+}
+
+module.exports = {
+  REPORT_CATEGORIES,
+  MODERATION_STATUS,
+  createSafetyReport,
+  listMyReports,
+  listReportsByStatus,
+  moderateReport,
+  decayFactor,
+  loadVerifiedReportsNear,
+  scoreReportsAlongPath,
+};
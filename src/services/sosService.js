@@ -0,0 +1,224 @@
+// src/services/sosService.js
+// SOS escalation shared by the SOS endpoint and automatic safety escalations
+// (e.g., a rider who doesn't answer a safety check-in).
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { sendSmsAlert } = require("./twilioService"); // Use mock/real Twilio service
+const { encodeGeohash } = require("../utils/geo");
+
+const SOS_CELL_PRECISION = 5; // About 5km cells, for finding alerts near a pickup
+
+/**
+ * Stores an SOS for the record. Surge pricing stays off around recent ones
+ * (see surgeService). Failures are logged; they never hold up the alert.
+ */
+async function recordSosAlert({ userId, location, reason, rideId }) {
+  const { db } = firebaseConfig;
+  const point = { lat: Number(location.lat), lng: Number(location.lng) };
+  try {
+    await db.collection("sos_alerts").add({
+      userId,
+      location: point,
+      cell: encodeGeohash(point, SOS_CELL_PRECISION),
+      reason: reason || null,
+      rideId: rideId || null,
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`[SOS] Failed to store SOS alert for user ${userId}:`, error);
+  }
+}
+
+/**
+ * Raises an SOS for a user: checks for an active shared journey, sends SMS
+ * alerts to all emergency contacts and notifies the internal safety team.
+ * @param {object} params
+ * @param {string} params.userId - Firebase UID of the user in danger.
+ * @param {{lat: number, lng: number}} params.location - Their last known location.
+ * @param {import("socket.io").Server} [params.io] - Socket.IO server, for the safety team alert.
+ * @param {string} [params.reason] - Why the SOS was raised, if not by the user (added to alerts).
+ * @param {string} [params.rideId] - Ride the user is on, if any.
+ * @returns {Promise<{contactsNotified: number, journeyId: string|null}>}
+ * @throws {Error} With status 404 if the user profile doesn't exist.
+ */
+async function triggerSosAlert({ userId, location, io, reason, rideId }) {
+  const { db } = firebaseConfig;
+  console.log(
+    `[SOS] Triggered for user ${userId} at Lat: ${location.lat}, Lng: ${
+      location.lng
+    }${reason ? ` (${reason})` : ""}`
+  );
+
+  // Surge pricing stays off around an SOS for a while; storing it mustn't
+  // delay the alerts, so it isn't awaited
+  recordSosAlert({ userId, location, reason, rideId });
+
+  // --- 1. Fetch Triggering User's Profile (Firestore) ---
+  const userDoc = await db.collection("users").doc(userId).get();
+  if (!userDoc.exists) {
+    console.error(`[SOS] Critical: User profile not found for user ${userId}`);
+    const notFound = new Error("User profile not found.");
+    notFound.status = 404;
+    throw notFound;
+  }
+  const userData = userDoc.data();
+  const emergencyContacts = userData.emergencyContacts || []; // Expecting [{ name: "...", phone: "+..." }]
+  const userName = userData.name || `User (${userId.substring(0, 6)}...)`; // Use name or partial UID
+
+  // --- 2. Check for Active Shared Journey ---
+  let alertMessage = `SOS Alert! ${userName} requires immediate assistance. Last known location: https://maps.google.com/?q=${location.lat},${location.lng}`;
+  if (reason) alertMessage += `\n${reason}`;
+  let combinedContacts = [...emergencyContacts]; // Start with the triggering user's contacts
+  let otherRiderData = null;
+  let activeJourneyId = null;
+
+  const activeJourney = await findActiveSharedJourneyForUser(userId, db);
+
+  if (activeJourney) {
+    activeJourneyId = activeJourney.id;
+    console.log(
+      `[SOS] User ${userId} is in active shared journey ${activeJourneyId}. Fetching linked rider details.`
+    );
+    const otherRiderUid = activeJourney.riderIds.find((id) => id !== userId);
+
+    if (otherRiderUid) {
+      const otherRiderDoc = await db
+        .collection("users")
+        .doc(otherRiderUid)
+        .get();
+      if (otherRiderDoc.exists) {
+        otherRiderData = otherRiderDoc.data();
+        const otherRiderName =
+          otherRiderData.name || `User (${otherRiderUid.substring(0, 6)}...)`;
+        // Add other rider's contacts (duplicates removed below)
+        combinedContacts = combinedContacts.concat(
+          otherRiderData.emergencyContacts || []
+        );
+        alertMessage += `\nThey were in a shared journey (ID: ${activeJourneyId}) with ${otherRiderName}.`;
+        console.log(
+          `[SOS] Found linked rider ${otherRiderUid} (${otherRiderName}). Combining emergency contacts.`
+        );
+
+        // Mark journey as having SOS triggered
+        try {
+          await db.collection("shared_journeys").doc(activeJourneyId).update({
+            status: "sos_triggered",
+            sosTriggeredBy: userId,
+            sosTriggeredAt: new Date().toISOString(),
+          });
+          console.log(
+            `[SOS] Marked shared journey ${activeJourneyId} as 'sos_triggered'.`
+          );
+        } catch (updateError) {
+          console.error(
+            `[SOS] Failed to update shared journey ${activeJourneyId} status:`,
+            updateError
+          );
+          // Continue with SOS despite this failure
+        }
+      } else {
+        console.warn(
+          `[SOS] Linked rider ${otherRiderUid} in journey ${activeJourneyId} not found in Firestore.`
+        );
+        alertMessage += `\nThey were in a shared journey (ID: ${activeJourneyId}) with another user (profile not found).`;
+      }
+    } else {
+      console.warn(
+        `[SOS] Active journey ${activeJourneyId} found but could not identify other rider.`
+      );
+    }
+  }
+
+  // --- 3. Prepare Contact List & Send SMS Alerts ---
+  // Ensure contacts have phone numbers and remove duplicates based on phone
+  const uniquePhoneNumbers = [
+    ...new Set(
+      combinedContacts
+        .filter(
+          (c) => c && typeof c.phone === "string" && c.phone.trim() !== ""
+        )
+        .map((c) => c.phone.trim())
+    ),
+  ];
+
+  if (uniquePhoneNumbers.length > 0) {
+    console.log(
+      "[SOS] Sending SMS alerts via Twilio service to:",
+      uniquePhoneNumbers
+    );
+    // Don't wait for delivery; the caller only needs to know it started
+    sendSmsAlert(uniquePhoneNumbers, alertMessage)
+      .then((success) => {
+        if (success) console.log("[SOS] Twilio SMS sending process initiated.");
+        else
+          console.error("[SOS] Twilio SMS sending process failed to initiate.");
+      })
+      .catch((smsError) =>
+        console.error("[SOS] Error calling sendSmsAlert:", smsError)
+      );
+  } else {
+    console.warn(
+      `[SOS] No valid emergency contacts found for user ${userId} (and linked rider, if any).`
+    );
+  }
+
+  // --- 4. Notify Internal Safety Team (via Socket.IO) ---
+  if (io) {
+    io.to("safety_team_room").emit("sos_alert", {
+      triggeredBy: { uid: userId, name: userName, location },
+      reason: reason || null,
+      rideId: rideId || null,
+      journey: activeJourneyId
+        ? {
+            id: activeJourneyId,
+            otherRider: otherRiderData
+              ? { uid: otherRiderData.uid, name: otherRiderData.name }
+              : null,
+          }
+        : null,
+      timestamp: new Date().toISOString(),
+    });
+    console.log("[SOS] Notified internal safety team via Socket.IO.");
+  } else {
+    console.error(
+      "[SOS] Cannot notify safety team: Socket.IO instance not available."
+    );
+  }
+
+  return {
+    contactsNotified: uniquePhoneNumbers.length,
+    journeyId: activeJourneyId,
+  };
+}
+
+/**
+ * Finds the most recent active shared journey for a user in Firestore.
+ * @param {string} userId - The Firebase UID of the user.
+ * @param {FirebaseFirestore.Firestore} dbInstance - The Firestore DB instance.
+ * @returns {Promise<object|null>} - The journey data object (including ID) or null if not found.
+ */
+async function findActiveSharedJourneyForUser(userId, dbInstance) {
+  try {
+    const snapshot = await dbInstance
+      .collection("shared_journeys")
+      .where("status", "==", "active") // Only look for currently active journeys
+      .where("riderIds", "array-contains", userId) // Where the user is one of the participants
+      .orderBy("startedAt", "desc") // Get the most recent one if multiple somehow exist
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null; // No active journey found
+    }
+    const doc = snapshot.docs[0];
+    return { id: doc.id, ...doc.data() };
+  } catch (error) {
+    console.error(
+      `[SOS Helper] Error finding active shared journey for user ${userId}:`,
+      error
+    );
+    return null; // Return null on error
+  }
+}
+
+module.exports = { SOS_CELL_PRECISION, triggerSosAlert };
@@ -87,7 +87,65 @@ if (STRIPE_SECRET_KEY) {
   };
 }
 
-// Export the initialized (or mocked) Stripe instance
+// --- Shared Payment Helpers ---
+
+/**
+ * Gets a Stripe Customer ID for a user, creating one if it doesn't exist.
+ * Stores the ID in the user's Firestore profile.
+ * @param {FirebaseFirestore.Firestore} dbInstance - Firestore instance.
+ * @param {string} userUid - Firebase UID.
+ * @param {string} userEmail - User's email.
+ * @returns {Promise<string>} Stripe Customer ID (e.g., 'cus_xxx').
+ */
+async function getOrCreateStripeCustomer(dbInstance, userUid, userEmail) {
+  const userRef = dbInstance.collection("users").doc(userUid);
+  try {
+    const userDoc = await userRef.get();
+    if (userDoc.exists && userDoc.data()?.stripeCustomerId) {
+      return userDoc.data().stripeCustomerId;
+    } else {
+      console.log(
+        `[Stripe Service] Creating Stripe customer for UID: ${userUid}`
+      );
+      const customer = await stripeInstance.customers.create({
+        email: userEmail,
+        metadata: { firebaseUid: userUid },
+      });
+      // Save the new ID back to the user's profile
+      await userRef.set({ stripeCustomerId: customer.id }, { merge: true });
+      return customer.id;
+    }
+  } catch (error) {
+    console.error(
+      `[Stripe Service] Error getting/creating Stripe customer for ${userUid}:`,
+      error
+    );
+    throw new Error("Could not retrieve or create payment profile."); // Throw error to be caught by controller
+  }
+}
+
+/**
+ * Calculates your application fee (commission) in the smallest currency unit.
+ * @param {number} totalAmountInSmallestUnit - Total transaction amount (e.g., in paisa).
+ * @returns {number} The amount you take as commission.
+ */
+function calculateApplicationFee(totalAmountInSmallestUnit) {
+  const commissionRate = parseFloat(process.env.APP_COMMISSION_RATE || "0.15"); // e.g., 0.15 for 15%
+  if (isNaN(commissionRate) || commissionRate < 0 || commissionRate >= 1) {
+    console.error(
+      `[Stripe Service] Invalid APP_COMMISSION_RATE: ${process.env.APP_COMMISSION_RATE}. Defaulting to 0.`
+    );
+    return 0; // Default to no fee if rate is invalid
+  }
+  const fee = Math.round(totalAmountInSmallestUnit * commissionRate);
+  // Stripe has minimums for application fees, ensure it's not too small (e.g., min 50 cents/INR equiv)
+  const minFee = 50; // Example minimum fee in paisa/cents
+  return Math.max(fee, minFee);
+}
+
+// Export the initialized (or mocked) Stripe instance and shared helpers
 module.exports = {
   stripeInstance,
+  getOrCreateStripeCustomer,
+  calculateApplicationFee,
 };
@@ -0,0 +1,227 @@
+// src/services/surgeService.js
+// Demand-based surge pricing per map cell, with hard caps, admin overrides and
+// safety rules that switch surge off when pricing could leave riders stranded.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const settings = require("../config/surge.json");
+const { distanceKm, geohashesCoveringCircle } = require("../utils/geo");
+const { SOS_CELL_PRECISION } = require("./sosService");
+
+/** Builds an error the global error handler turns into a response. */
+function surgeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/** Grid cell containing a location, e.g. '1430:3860' (about 2km square). */
+function getCellId(location) {
+  const size = settings.cellSizeDegrees;
+  return `${Math.floor(location.lat / size)}:${Math.floor(
+    location.lng / size
+  )}`;
+}
+
+/**
+ * True if an SOS was raised near a location in the `sosSuppression` window
+ * before `at`, from the alerts stored by sosService (so every server
+ * instance, and a restarted one, sees the same alerts).
+ */
+async function hasRecentSosNearby(location, at) {
+  const { db } = firebaseConfig;
+  const { radiusKm, minutes } = settings.sosSuppression;
+  const since = new Date(at.getTime() - minutes * 60 * 1000);
+  // A few cells around the pickup, well within Firestore's "in" limit;
+  // createdAt is an ISO string, which sorts chronologically
+  const cells = geohashesCoveringCircle(location, radiusKm, SOS_CELL_PRECISION);
+  const snapshot = await db
+    .collection("sos_alerts")
+    .where("cell", "in", cells)
+    .where("createdAt", ">=", since.toISOString())
+    .get();
+  return snapshot.docs.some((doc) => {
+    const sos = doc.data();
+    return (
+      sos.location &&
+      sos.createdAt <= at.toISOString() &&
+      distanceKm(sos.location, location) <= radiusKm
+    );
+  });
+}
+
+function isLateNight(at) {
+  const { startHour, endHour, timezone } = settings.lateNight;
+  const hour = Number(
+    new Intl.DateTimeFormat("en-GB", {
+      hour: "numeric",
+      hourCycle: "h23",
+      timeZone: timezone,
+    }).format(at)
+  );
+  // The window wraps past midnight (e.g., 22:00-05:00)
+  return startHour > endHour
+    ? hour >= startHour || hour < endHour
+    : hour >= startHour && hour < endHour;
+}
+
+/**
+ * The safety rule (or kill switch) that keeps surge off at a location and
+ * time, if any: 'disabled', 'recent_sos' or 'late_night'.
+ * @returns {Promise<string|null>}
+ */
+async function findSurgeSuppression(location, at) {
+  if (!settings.enabled) return "disabled";
+  if (await hasRecentSosNearby(location, at)) return "recent_sos";
+  if (isLateNight(at)) return "late_night";
+  return null;
+}
+
+/** Multiplier from the ratio of open requests to available drivers. */
+function multiplierFromDemand({ openRequests, availableDrivers }) {
+  if (openRequests < settings.minOpenRequests) return 1;
+  const ratio = openRequests / Math.max(availableDrivers, 1);
+  if (ratio <= settings.demandRatioThreshold) return 1;
+  const multiplier =
+    1 +
+    (ratio - settings.demandRatioThreshold) * settings.multiplierPerExtraRatio;
+  return Math.min(Math.round(multiplier * 10) / 10, settings.maxAutoMultiplier);
+}
+
+/** Active override for a cell (or the global one), if not expired. */
+async function findSurgeOverride(cellId, now) {
+  const { db } = firebaseConfig;
+  const docs = await Promise.all(
+    [cellId, "global"].map((id) =>
+      db.collection("surge_overrides").doc(id).get()
+    )
+  );
+  const active = docs.find(
+    (doc) =>
+      doc.exists &&
+      (!doc.data().expiresAt || new Date(doc.data().expiresAt) > now)
+  );
+  return active ? { id: active.id, ...active.data() } : null;
+}
+
+/**
+ * Works out the surge multiplier for a pickup location.
+ * Safety rules always win: surge is off late at night and near a recent SOS,
+ * whatever the demand or an admin override says.
+ * @param {{lat: number, lng: number}} location - Pickup location.
+ * @param {object} [options]
+ * @param {function(string): {openRequests: number, availableDrivers: number}} [options.countDemand] - Live demand in a cell (socket helper).
+ * @param {Date} [options.at] - When the ride is requested (default now).
+ * @returns {Promise<{multiplier: number, cellId: string, reason: string}>}
+ *   `reason`: 'demand', 'no_surge', 'admin_override', 'recent_sos', 'late_night' or 'disabled'.
+ */
+async function getSurge(location, { countDemand, at = new Date() } = {}) {
+  const cellId = getCellId(location);
+  const noSurge = (reason) => ({ multiplier: 1, cellId, reason });
+
+  const suppression = await findSurgeSuppression(location, at);
+  if (suppression) return noSurge(suppression);
+
+  const override = await findSurgeOverride(cellId, at);
+  if (override) {
+    return {
+      multiplier: Math.min(override.multiplier, settings.hardCapMultiplier),
+      cellId,
+      reason: "admin_override",
+    };
+  }
+
+  const demand = countDemand
+    ? countDemand(cellId)
+    : { openRequests: 0, availableDrivers: 0 };
+  const multiplier = Math.min(
+    multiplierFromDemand(demand),
+    settings.hardCapMultiplier
+  );
+  return multiplier > 1
+    ? { multiplier, cellId, reason: "demand" }
+    : noSurge("no_surge");
+}
+
+/**
+ * Checks a surge priced earlier (with a fare quote, or when a ride was
+ * booked ahead) against the safety rules again, for when the ride starts.
+ * @param {object|null} surge - From getSurge.
+ * @param {{lat: number, lng: number}} location - Pickup location.
+ * @param {Date} [at] - When the ride starts (default now).
+ * @returns {Promise<object|null>} The same surge, or no surge with the
+ *   suppression reason if the safety rules now switch it off.
+ */
+async function enforceSurgeSafetyRules(surge, location, at = new Date()) {
+  if (!surge || surge.multiplier <= 1) return surge;
+  const suppression = await findSurgeSuppression(location, at);
+  if (!suppression) return surge;
+  return {
+    multiplier: 1,
+    cellId: surge.cellId || getCellId(location),
+    reason: suppression,
+  };
+}
+
+/**
+ * Sets an admin override for one cell or everywhere. Overrides can lower surge
+ * (1 switches it off) or raise it up to the hard cap, but never beat the
+ * safety rules.
+ * @param {object} params
+ * @param {{lat: number, lng: number}} [params.location] - Cell to override; omit for a global override.
+ * @param {number} params.multiplier - 1 to hardCapMultiplier.
+ * @param {number} [params.expiresInMinutes] - Omit to keep until removed.
+ * @param {string} params.setBy - Admin UID.
+ * @param {string} [params.reason]
+ * @returns {Promise<object>} The stored override (with `id`).
+ * @throws {Error} 400 if the multiplier is out of range.
+ */
+async function setSurgeOverride({
+  location,
+  multiplier,
+  expiresInMinutes,
+  setBy,
+  reason,
+}) {
+  if (multiplier < 1 || multiplier > settings.hardCapMultiplier) {
+    throw surgeError(
+      400,
+      `Surge multiplier must be between 1 and ${settings.hardCapMultiplier}.`
+    );
+  }
+  const { db } = firebaseConfig;
+  const id = location ? getCellId(location) : "global";
+  const now = new Date();
+  const override = {
+    multiplier,
+    setBy,
+    reason: reason || null,
+    createdAt: now.toISOString(),
+    expiresAt: expiresInMinutes
+      ? new Date(now.getTime() + expiresInMinutes * 60 * 1000).toISOString()
+      : null,
+  };
+  await db.collection("surge_overrides").doc(id).set(override);
+  console.log(
+    `[Surge] ${setBy} set ${id} override to x${multiplier} (${
+      override.expiresAt || "no expiry"
+    }).`
+  );
+  return { id, ...override };
+}
+
+/** Removes an admin override for a cell (or the global one). */
+async function clearSurgeOverride(location) {
+  const { db } = firebaseConfig;
+  const id = location ? getCellId(location) : "global";
+  await db.collection("surge_overrides").doc(id).delete();
+  console.log(`[Surge] Cleared ${id} override.`);
+  return id;
+}
+
+module.exports = {
+  getCellId,
+  getSurge,
+  enforceSurgeSafetyRules,
+  setSurgeOverride,
+  clearSurgeOverride,
+};
@@ -0,0 +1,267 @@
+// src/services/tripShareService.js
+// "Share my trip": expiring, read-only links that let a rider's trusted
+// contacts follow a ride or shared journey until it ends.
+
+const crypto = require("crypto");
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { sendSmsAlert } = require("./twilioService");
+const { isTerminalStatus } = require("./rideLifecycle");
+
+const TRIP_TYPES = ["ride", "journey"];
+const TRIP_COLLECTIONS = { ride: "rides", journey: "shared_journeys" };
+const SHARE_TTL_HOURS = Number(process.env.TRIP_SHARE_TTL_HOURS) || 12; // Links never outlive this, even if the trip does
+const SHARE_BASE_URL =
+  process.env.TRIP_SHARE_BASE_URL ||
+  `http://localhost:${process.env.PORT || 8080}/api/v1/shares/public`;
+
+/** Builds an error the global error handler turns into a response. */
+function shareError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/** Share documents are keyed by a hash, so the database never holds usable links. */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/** Journeys only use 'active' and 'sos_triggered' while in progress. */
+function isTripOver(tripType, tripData) {
+  return tripType === "ride"
+    ? isTerminalStatus(tripData.status)
+    : !["active", "sos_triggered"].includes(tripData.status);
+}
+
+/** Unique, non-empty phone numbers from a contact list. */
+function uniquePhones(contacts) {
+  return [
+    ...new Set(
+      (contacts || [])
+        .filter((c) => c && typeof c.phone === "string" && c.phone.trim())
+        .map((c) => c.phone.trim())
+    ),
+  ];
+}
+
+/**
+ * Starts sharing a ride or shared journey with the owner's emergency contacts
+ * and texts them the link.
+ * @param {object} params
+ * @param {string} params.ownerUid - Rider sharing their trip.
+ * @param {"ride"|"journey"} params.tripType
+ * @param {string} params.tripId - Ride or shared journey ID.
+ * @param {string[]} [params.contactPhones] - Limit sharing to these emergency contacts (default: all).
+ * @returns {Promise<{token: string, url: string, expiresAt: string, contactsNotified: number}>}
+ * @throws {Error} With status 400/403/404/409 if the trip can't be shared.
+ */
+async function createTripShare({ ownerUid, tripType, tripId, contactPhones }) {
+  const { db } = firebaseConfig;
+  const tripDoc = await db
+    .collection(TRIP_COLLECTIONS[tripType])
+    .doc(tripId)
+    .get();
+  if (!tripDoc.exists) throw shareError(404, "Trip not found.");
+  const tripData = tripDoc.data();
+
+  const isParticipant =
+    tripType === "ride"
+      ? tripData.riderId === ownerUid
+      : tripData.riderIds?.includes(ownerUid);
+  if (!isParticipant) {
+    throw shareError(403, "Forbidden: You are not part of this trip.");
+  }
+  if (isTripOver(tripType, tripData)) {
+    throw shareError(409, "This trip has already ended.");
+  }
+
+  const ownerDoc = await db.collection("users").doc(ownerUid).get();
+  const owner = ownerDoc.exists ? ownerDoc.data() : {};
+  let contacts = (owner.emergencyContacts || []).filter((c) => c && c.phone);
+  if (contactPhones && contactPhones.length > 0) {
+    contacts = contacts.filter((c) => contactPhones.includes(c.phone));
+  }
+  if (uniquePhones(contacts).length === 0) {
+    throw shareError(
+      400,
+      "Add at least one emergency contact with a phone number to share your trip."
+    );
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SHARE_TTL_HOURS * 60 * 60 * 1000);
+  await db
+    .collection("trip_shares")
+    .doc(hashToken(token))
+    .set({
+      tripType,
+      tripId,
+      ownerUid,
+      ownerName: owner.name || null,
+      contacts: contacts.map((c) => ({ name: c.name || null, phone: c.phone })),
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      endedAt: null,
+      endReason: null,
+    });
+
+  const url = `${SHARE_BASE_URL}/${token}`;
+  const phones = uniquePhones(contacts);
+  sendSmsAlert(
+    phones,
+    `${
+      owner.name || "Your contact"
+    } is sharing their trip with you. Follow it live until they arrive: ${url}`
+  ).catch((smsError) =>
+    console.error("[Trip Share] Error sending share SMS:", smsError)
+  );
+  console.log(
+    `[Trip Share] ${ownerUid} started sharing ${tripType} ${tripId} with ${phones.length} contact(s).`
+  );
+
+  return {
+    token,
+    url,
+    expiresAt: expiresAt.toISOString(),
+    contactsNotified: phones.length,
+  };
+}
+
+/**
+ * Looks up a share link that can still be viewed.
+ * @param {string} token - Token from the share link.
+ * @returns {Promise<object>} Share data (with `id`).
+ * @throws {Error} 404 if unknown, 410 if it expired or the trip ended.
+ */
+async function findActiveTripShare(token) {
+  const { db } = firebaseConfig;
+  if (!token) throw shareError(404, "Trip share not found.");
+  const shareDoc = await db
+    .collection("trip_shares")
+    .doc(hashToken(token))
+    .get();
+  if (!shareDoc.exists) throw shareError(404, "Trip share not found.");
+  const share = { id: shareDoc.id, ...shareDoc.data() };
+  if (share.endedAt) throw shareError(410, "This trip has ended.");
+  if (new Date(share.expiresAt) <= new Date()) {
+    throw shareError(410, "This trip share link has expired.");
+  }
+  return share;
+}
+
+/**
+ * Builds the read-only view a trusted contact sees. Only status, driver name,
+ * vehicle and live location are exposed; never contact details or the ride PIN.
+ * @param {object} share - Active share (see findActiveTripShare).
+ * @param {function(string): ({lat: number, lng: number}|null)} [getDriverLocation] - Live driver location lookup.
+ * @returns {Promise<object>}
+ */
+async function getSharedTripView(share, getDriverLocation) {
+  const { db } = firebaseConfig;
+  const tripDoc = await db
+    .collection(TRIP_COLLECTIONS[share.tripType])
+    .doc(share.tripId)
+    .get();
+  if (!tripDoc.exists) throw shareError(404, "Trip not found.");
+  const tripData = tripDoc.data();
+  const view = {
+    tripType: share.tripType,
+    tripId: share.tripId,
+    sharedBy: share.ownerName,
+    status: tripData.status,
+    expiresAt: share.expiresAt,
+  };
+
+  if (share.tripType === "journey") {
+    const ownerLocation = tripData.lastKnownLocations?.[share.ownerUid];
+    view.location = ownerLocation
+      ? { lat: ownerLocation.latitude, lng: ownerLocation.longitude }
+      : null;
+    view.locationUpdatedAt = ownerLocation?.timestamp || null;
+    return view;
+  }
+
+  view.driver = null;
+  view.vehicle = null;
+  if (tripData.driverId) {
+    const driverDoc = await db.collection("users").doc(tripData.driverId).get();
+    const driver = driverDoc.exists ? driverDoc.data() : {};
+    const driverName = driver.name || tripData.driverDetails?.name || null;
+    view.driver = { name: driverName ? driverName.split(" ")[0] : null };
+    view.vehicle =
+      driver.vehicleDetails || tripData.driverDetails?.vehicle || null;
+  }
+  view.location =
+    tripData.driverId && getDriverLocation
+      ? getDriverLocation(tripData.driverId)
+      : null;
+  return view;
+}
+
+/**
+ * Ends every active share of a trip and texts the contacts that it's over.
+ * @param {"ride"|"journey"} tripType
+ * @param {string} tripId
+ * @param {string} reason - e.g. 'completed', 'cancelled'.
+ * @returns {Promise<Array<{ownerUid: string}>>} The shares that were ended.
+ */
+async function endTripShares(tripType, tripId, reason) {
+  const { db } = firebaseConfig;
+  const snapshot = await db
+    .collection("trip_shares")
+    .where("tripType", "==", tripType)
+    .where("tripId", "==", tripId)
+    .where("endedAt", "==", null)
+    .get();
+  await Promise.all(snapshot.docs.map((doc) => endShare(doc, reason)));
+  return snapshot.docs.map((doc) => ({ ownerUid: doc.data().ownerUid }));
+}
+
+/**
+ * Lets the owner stop sharing before the trip ends.
+ * @returns {Promise<object>} The ended share's data.
+ * @throws {Error} 404 if the share doesn't exist or isn't theirs.
+ */
+async function revokeTripShare(ownerUid, token) {
+  const { db } = firebaseConfig;
+  const shareDoc = await db
+    .collection("trip_shares")
+    .doc(hashToken(token))
+    .get();
+  if (!shareDoc.exists || shareDoc.data().ownerUid !== ownerUid) {
+    throw shareError(404, "Trip share not found.");
+  }
+  if (!shareDoc.data().endedAt) await endShare(shareDoc, "stopped_by_rider");
+  return shareDoc.data();
+}
+
+async function endShare(shareDoc, reason) {
+  const share = shareDoc.data();
+  await shareDoc.ref.update({
+    endedAt: new Date().toISOString(),
+    endReason: reason,
+  });
+  const name = share.ownerName || "Your contact";
+  const message =
+    reason === "completed"
+      ? `${name}'s trip has ended safely. Trip sharing has stopped.`
+      : reason === "cancelled"
+      ? `${name}'s trip was cancelled. Trip sharing has stopped.`
+      : `${name} has stopped sharing their trip.`;
+  sendSmsAlert(uniquePhones(share.contacts), message).catch((smsError) =>
+    console.error("[Trip Share] Error sending share-ended SMS:", smsError)
+  );
+  console.log(
+    `[Trip Share] Ended share of ${share.tripType} ${share.tripId} (${reason}).`
+  );
+}
+
+module.exports = {
+  TRIP_TYPES,
+  createTripShare,
+  findActiveTripShare,
+  getSharedTripView,
+  endTripShares,
+  revokeTripShare,
+};
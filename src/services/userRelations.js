@@ -0,0 +1,217 @@
+// src/services/userRelations.js
+// Riders' favourite drivers and blocks between riders and drivers. Dispatch
+// offers rides to favourites first and never pairs users who blocked each
+// other, in either direction.
+
+const firebaseConfig = require("../config/firebase"); // Use getters for db
+const { RIDE_STATUS } = require("./rideLifecycle");
+const { getRideRiderIds } = require("./ridePooling");
+
+const BLOCK_SOURCES = { USER: "user", REPORT: "report" }; // Blocked by hand, or by reporting the other party
+
+/** Builds an error the global error handler turns into a response. */
+function relationError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+/** One document per (blocker, blocked) pair, so blocking twice is a no-op. */
+function blockDocId(blockerUid, blockedUid) {
+  return `${blockerUid}_${blockedUid}`;
+}
+
+/**
+ * Loads a ride one user drove and the other rode in. On a pooled ride that
+ * is any pool rider, including one who has given up their seat.
+ * @throws {Error} 404 if the ride doesn't exist or didn't involve both of them.
+ */
+async function findSharedRide(rideId, uid, otherUid) {
+  const { db } = firebaseConfig;
+  const rideDoc = await db.collection("rides").doc(rideId).get();
+  const ride = rideDoc.exists ? rideDoc.data() : null;
+  const riderIds = ride
+    ? [...getRideRiderIds(ride), ...(ride.pool?.leftRiderIds || [])]
+    : [];
+  const shared =
+    ride?.driverId &&
+    ((ride.driverId === uid && riderIds.includes(otherUid)) ||
+      (ride.driverId === otherUid && riderIds.includes(uid)));
+  if (!shared) {
+    throw relationError(404, "No ride with this user was found.");
+  }
+  return ride;
+}
+
+// --- Favourite Drivers ---
+
+/**
+ * Marks a driver as a rider's favourite after a completed trip with them.
+ * @param {string} riderUid
+ * @param {string} driverUid
+ * @param {string} rideId - Completed ride with this driver.
+ * @returns {Promise<object>} The favourite entry.
+ * @throws {Error} 404/409 if the ride doesn't qualify or the driver is blocked.
+ */
+async function addFavouriteDriver(riderUid, driverUid, rideId) {
+  const { db } = firebaseConfig;
+  const ride = await findSharedRide(rideId, riderUid, driverUid);
+  if (
+    !getRideRiderIds(ride).includes(riderUid) ||
+    ride.status !== RIDE_STATUS.COMPLETED
+  ) {
+    throw relationError(
+      409,
+      "Drivers can only be added as favourites after a completed trip with them."
+    );
+  }
+  if (await isBlockedPair(riderUid, driverUid)) {
+    throw relationError(
+      409,
+      "This driver can't be added as a favourite.",
+      "USER_BLOCKED"
+    );
+  }
+  const favourite = {
+    driverUid,
+    driverName: ride.driverDetails?.name || null,
+    rideId,
+    addedAt: new Date().toISOString(),
+  };
+  await db
+    .collection("users")
+    .doc(riderUid)
+    .collection("favourite_drivers")
+    .doc(driverUid)
+    .set(favourite);
+  return favourite;
+}
+
+async function removeFavouriteDriver(riderUid, driverUid) {
+  const { db } = firebaseConfig;
+  await db
+    .collection("users")
+    .doc(riderUid)
+    .collection("favourite_drivers")
+    .doc(driverUid)
+    .delete();
+}
+
+/** @returns {Promise<object[]>} The rider's favourite drivers, newest first. */
+async function listFavouriteDrivers(riderUid) {
+  const { db } = firebaseConfig;
+  const snapshot = await db
+    .collection("users")
+    .doc(riderUid)
+    .collection("favourite_drivers")
+    .orderBy("addedAt", "desc")
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+// --- Blocks ---
+
+/**
+ * Blocks another user someone has ridden with (riders block drivers, drivers
+ * block riders). Also drops the driver from the rider's favourites.
+ * @param {string} blockerUid
+ * @param {string} blockedUid
+ * @param {object} params
+ * @param {string} params.rideId - Ride they shared.
+ * @param {string} [params.reason]
+ * @param {"user"|"report"} [params.source] - 'report' when blocked because of a safety report.
+ * @returns {Promise<object>} The block entry.
+ * @throws {Error} 404 if they haven't shared that ride.
+ */
+async function blockUser(
+  blockerUid,
+  blockedUid,
+  { rideId, reason = null, source = BLOCK_SOURCES.USER }
+) {
+  const { db } = firebaseConfig;
+  await findSharedRide(rideId, blockerUid, blockedUid);
+  const block = {
+    blockerUid,
+    blockedUid,
+    rideId,
+    reason,
+    source,
+    blockedAt: new Date().toISOString(),
+  };
+  await db
+    .collection("user_blocks")
+    .doc(blockDocId(blockerUid, blockedUid))
+    .set(block);
+  await removeFavouriteDriver(blockerUid, blockedUid);
+  console.log(
+    `[User Relations] ${blockerUid} blocked ${blockedUid} (${source}, ride ${rideId}).`
+  );
+  return block;
+}
+
+async function unblockUser(blockerUid, blockedUid) {
+  const { db } = firebaseConfig;
+  await db
+    .collection("user_blocks")
+    .doc(blockDocId(blockerUid, blockedUid))
+    .delete();
+}
+
+/** @returns {Promise<object[]>} Users someone has blocked, newest first. */
+async function listBlockedUsers(blockerUid) {
+  const { db } = firebaseConfig;
+  const snapshot = await db
+    .collection("user_blocks")
+    .where("blockerUid", "==", blockerUid)
+    .get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => b.blockedAt.localeCompare(a.blockedAt));
+}
+
+/** True if either user has blocked the other. */
+async function isBlockedPair(uid, otherUid) {
+  const { db } = firebaseConfig;
+  const [blocked, blockedBy] = await Promise.all([
+    db.collection("user_blocks").doc(blockDocId(uid, otherUid)).get(),
+    db.collection("user_blocks").doc(blockDocId(otherUid, uid)).get(),
+  ]);
+  return blocked.exists || blockedBy.exists;
+}
+
+/**
+ * What dispatch needs to know about a rider's relations with drivers.
+ * @param {string} riderUid
+ * @returns {Promise<{favouriteDriverIds: string[], blockedDriverIds: string[]}>}
+ *   `blockedDriverIds` covers blocks in both directions.
+ */
+async function getDispatchRelations(riderUid) {
+  const { db } = firebaseConfig;
+  const [favourites, blocked, blockedBy] = await Promise.all([
+    db.collection("users").doc(riderUid).collection("favourite_drivers").get(),
+    db.collection("user_blocks").where("blockerUid", "==", riderUid).get(),
+    db.collection("user_blocks").where("blockedUid", "==", riderUid).get(),
+  ]);
+  return {
+    favouriteDriverIds: favourites.docs.map((doc) => doc.id),
+    blockedDriverIds: [
+      ...new Set([
+        ...blocked.docs.map((doc) => doc.data().blockedUid),
+        ...blockedBy.docs.map((doc) => doc.data().blockerUid),
+      ]),
+    ],
+  };
+}
+
+module.exports = {
+  BLOCK_SOURCES,
+  addFavouriteDriver,
+  removeFavouriteDriver,
+  listFavouriteDrivers,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  isBlockedPair,
+  getDispatchRelations,
+};
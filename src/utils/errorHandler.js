@@ -22,6 +22,7 @@ const errorHandler = (error, req, res, next) => {
 
   let statusCode = 500;
   let message = "An unexpected error occurred. Please try again later."; // More user-friendly default
+  let code = null; // Machine-readable code for clients (custom errors only)
 
   // --- Customize response based on specific known error types ---
 
@@ -58,6 +59,7 @@ const errorHandler = (error, req, res, next) => {
   else if (error.status && typeof error.status === "number") {
     statusCode = error.status;
     message = error.message || "An error occurred."; // Use error's message if provided
+    if (typeof error.code === "string") code = error.code; // e.g., INVALID_RIDE_TRANSITION
   }
   // Firebase Authentication Errors
   else if (error.code && error.code.startsWith("auth/")) {
@@ -84,6 +86,7 @@ const errorHandler = (error, req, res, next) => {
   if (!res.headersSent) {
     res.status(statusCode).json({
       message: message,
+      ...(code && { code }),
       // Optionally include more details ONLY in development for debugging
       ...(process.env.NODE_ENV === "development" && {
         errorType: error.name,
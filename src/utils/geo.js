@@ -0,0 +1,305 @@
+// src/utils/geo.js
+const haversine = require("haversine");
+
+/**
+ * Distance in kilometres between two { lat, lng } points.
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number}
+ */
+function distanceKm(from, to) {
+  return haversine(from, to, { unit: "km", format: "{lat,lng}" });
+}
+
+/**
+ * Normalises a location sent as { lat, lng } or { latitude, longitude }
+ * (the community connect events use the latter).
+ * @returns {{lat: number, lng: number}}
+ */
+function toLatLng(location) {
+  return {
+    lat: Number(location.lat ?? location.latitude),
+    lng: Number(location.lng ?? location.longitude),
+  };
+}
+
+/**
+ * Decodes a Google encoded polyline string into an array of { lat, lng } points.
+ * @param {string} encoded - The encoded polyline (e.g., `overview_polyline.points`).
+ * @returns {Array<{lat: number, lng: number}>} Decoded points (empty if input is invalid).
+ */
+function decodePolyline(encoded) {
+  if (!encoded || typeof encoded !== "string") return [];
+
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    // Each coordinate is a zig-zag encoded delta split into 5-bit chunks
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    lat += result & 1 ? ~(result >> 1) : result >> 1;
+
+    result = 0;
+    shift = 0;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    lng += result & 1 ? ~(result >> 1) : result >> 1;
+
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points;
+}
+
+/**
+ * Encodes { lat, lng } points as a Google encoded polyline string (the
+ * inverse of decodePolyline, at the same 5-decimal precision).
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {string}
+ */
+function encodePolyline(points) {
+  let encoded = "";
+  let previousLat = 0;
+  let previousLng = 0;
+  const encodeValue = (delta) => {
+    // Zig-zag encode the delta, then emit it in 5-bit chunks (low bits first)
+    let value = delta < 0 ? ~(delta << 1) : delta << 1;
+    let chunk = "";
+    while (value >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (value & 0x1f)) + 63);
+      value >>= 5;
+    }
+    return chunk + String.fromCharCode(value + 63);
+  };
+
+  for (const point of points) {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  }
+  return encoded;
+}
+
+/**
+ * Total length in kilometres of a path of { lat, lng } points.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {number}
+ */
+function pathLengthKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distanceKm(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/**
+ * Points every `spacingKm` along a path, measured along the path itself,
+ * plus its last point.
+ * @param {Array<{lat: number, lng: number}>} path - At least one point.
+ * @param {number} spacingKm - Must be positive.
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function samplePath(path, spacingKm) {
+  const samples = [path[0]];
+  let untilNextKm = spacingKm;
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    const segmentKm = distanceKm(from, to);
+    let travelledKm = 0;
+    // A long segment can hold several samples
+    while (segmentKm - travelledKm >= untilNextKm) {
+      travelledKm += untilNextKm;
+      const t = travelledKm / segmentKm;
+      samples.push({
+        lat: from.lat + (to.lat - from.lat) * t,
+        lng: from.lng + (to.lng - from.lng) * t,
+      });
+      untilNextKm = spacingKm;
+    }
+    untilNextKm -= segmentKm - travelledKm;
+  }
+  const last = path[path.length - 1];
+  if (distanceKm(samples[samples.length - 1], last) > 0.001) samples.push(last);
+  return samples;
+}
+
+/**
+ * Shortest distance in kilometres from a point to a path (polyline) of points.
+ * Uses a flat projection around the point, which is accurate at city scale.
+ * @param {{lat: number, lng: number}} point
+ * @param {Array<{lat: number, lng: number}>} path - At least one point.
+ * @returns {number}
+ */
+function distanceToPathKm(point, path) {
+  if (path.length === 1) return distanceKm(point, path[0]);
+  const kmPerDegLat = 111.32;
+  const kmPerDegLng = 111.32 * Math.cos((point.lat * Math.PI) / 180);
+  const toXY = (p) => ({
+    x: (p.lng - point.lng) * kmPerDegLng,
+    y: (p.lat - point.lat) * kmPerDegLat,
+  });
+
+  let shortest = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    // Closest point on segment a-b to the origin (our point)
+    const a = toXY(path[i - 1]);
+    const b = toXY(path[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq > 0
+        ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSq))
+        : 0;
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return shortest;
+}
+
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Geohash of a point: a cell name whose precision (length) sets the cell
+ * size, e.g. about 1.2 x 0.6 km at precision 6.
+ * @param {{lat: number, lng: number}} point
+ * @param {number} precision - Number of characters.
+ * @returns {string}
+ */
+function encodeGeohash(point, precision) {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let hash = "";
+  let bits = 0;
+  let bitCount = 0;
+  let useLng = true; // Bits alternate, longitude first
+  while (hash.length < precision) {
+    const axis = useLng ? "lng" : "lat";
+    const middle = (range[axis][0] + range[axis][1]) / 2;
+    const upperHalf = point[axis] >= middle;
+    bits = (bits << 1) | (upperHalf ? 1 : 0);
+    range[axis][upperHalf ? 0 : 1] = middle;
+    useLng = !useLng;
+    if (++bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * The rectangle a geohash cell covers.
+ * @param {string} hash
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+function geohashBounds(hash) {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let useLng = true;
+  for (const char of hash) {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const axis = useLng ? "lng" : "lat";
+      const middle = (range[axis][0] + range[axis][1]) / 2;
+      range[axis][(value >> bit) & 1 ? 0 : 1] = middle;
+      useLng = !useLng;
+    }
+  }
+  return {
+    south: range.lat[0],
+    west: range.lng[0],
+    north: range.lat[1],
+    east: range.lng[1],
+  };
+}
+
+/**
+ * Geohash cells of the given precision that overlap a circle.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} radiusKm
+ * @param {number} precision
+ * @returns {string[]}
+ */
+function geohashesCoveringCircle(center, radiusKm, precision) {
+  const kmPerDegLat = 111.32;
+  const kmPerDegLng = 111.32 * Math.cos((center.lat * Math.PI) / 180);
+  const cell = geohashBounds(encodeGeohash(center, precision));
+  const cellHeight = cell.north - cell.south;
+  const cellWidth = cell.east - cell.west;
+  const south = center.lat - radiusKm / kmPerDegLat;
+  const north = center.lat + radiusKm / kmPerDegLat;
+  const west = center.lng - radiusKm / kmPerDegLng;
+  const east = center.lng + radiusKm / kmPerDegLng;
+
+  const hashes = new Set();
+  // Step by whole cells from the south-west corner's cell to the north-east
+  const start = geohashBounds(
+    encodeGeohash({ lat: south, lng: west }, precision)
+  );
+  for (
+    let lat = start.south + cellHeight / 2;
+    lat < north + cellHeight / 2;
+    lat += cellHeight
+  ) {
+    for (
+      let lng = start.west + cellWidth / 2;
+      lng < east + cellWidth / 2;
+      lng += cellWidth
+    ) {
+      const hash = encodeGeohash({ lat, lng }, precision);
+      const bounds = geohashBounds(hash);
+      // Nearest point of the cell to the centre must be inside the circle
+      const nearest = {
+        lat: Math.min(Math.max(center.lat, bounds.south), bounds.north),
+        lng: Math.min(Math.max(center.lng, bounds.west), bounds.east),
+      };
+      if (distanceKm(center, nearest) <= radiusKm) hashes.add(hash);
+    }
+  }
+  return Array.from(hashes);
+}
+
+// Straight-line distances underestimate city driving; average speed is a rough urban figure
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_CITY_SPEED_KMH = 25;
+
+/**
+ * Rough driving ETA in minutes between two points, without calling a maps API.
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @param {number} [speedKmh] - Assumed average speed.
+ * @returns {number} Whole minutes (at least 1 unless the points coincide).
+ */
+function estimateEtaMinutes(from, to, speedKmh = AVERAGE_CITY_SPEED_KMH) {
+  const roadKm = distanceKm(from, to) * ROAD_DISTANCE_FACTOR;
+  if (roadKm < 0.05) return 0;
+  return Math.max(1, Math.round((roadKm / speedKmh) * 60));
+}
+
+module.exports = {
+  distanceKm,
+  toLatLng,
+  decodePolyline,
+  encodePolyline,
+  pathLengthKm,
+  samplePath,
+  distanceToPathKm,
+  encodeGeohash,
+  geohashBounds,
+  geohashesCoveringCircle,
+  estimateEtaMinutes,
+};